@@ -48,7 +48,8 @@ async function getMerakiApiKey() {
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
 function getSsidNumber(ssidName) {
-    const map = JSON.parse(process.env.SSID_MAP || '{"ICS-Staff":"1","ICS-HS":"7"}');
+    // Set by Terraform from var.ssid_map, the same value the splash server gets as MERAKI_SSID_MAP
+    const map = JSON.parse(process.env.SSID_MAP || '{}');
     return map[ssidName] ?? null;
 }
 
@@ -144,7 +145,7 @@ async function extendOne(clientId) {
     const ssidNum  = getSsidNumber(ssid);
 
     if (!ssidNum) {
-        throw new Error(`No SSID number mapping for "${ssid}". Update the SSID_MAP variable.`);
+        throw new Error(`No SSID number mapping for "${ssid}". Update var.ssid_map in Terraform.`);
     }
 
     const apiKey = await getMerakiApiKey();
@@ -7,6 +7,15 @@
  *   - If the ClientID is new  → creates a new DynamoDB record
  *   - If the ClientID exists  → updates timestamps and increments ConnectionCount
  *
+ * For a revoke event ({ type: 'revoke' }, sent when a RADIUS Disconnect-Request
+ * revokes the splash authorization) the existing record is marked Revoked. The
+ * next successful auth clears the mark again.
+ *
+ * With OTEL_TRACES_EXPORTER=console, each record is traced as a consumer span continuing
+ * the splash server's trace (the `traceparent` message attribute), with a child span for
+ * the DynamoDB write. Spans are written to the log as JSON lines carrying the request ID
+ * (the `RequestId` message attribute) as `correlation.id`.
+ *
  * Records are NEVER deleted. ExpirationTimestamp is purely informational
  * and does NOT trigger DynamoDB TTL removal.
  *
@@ -17,16 +26,38 @@
  *   ClientIP            (S)  IP at time of last auth
  *   SSID                (S)  WiFi SSID the client authenticated on (from NETWORK_SSID env var)
  *   ConnectionTimestamp (S)  Last successful auth — ISO 8601, SGT (+08:00)
- *   ExpirationTimestamp (S)  ConnectionTimestamp + 90 days — ISO 8601, SGT
+ *   ExpirationTimestamp (S)  ConnectionTimestamp + RADIUS Session-Timeout (90 days when
+ *                            the RADIUS server sends none) — ISO 8601, SGT
+ *   GroupPolicyId       (S)  Meraki group policy applied at the last auth (only when one was mapped)
+ *   GroupPolicyName     (S)  Name of that group policy
+ *   GroupPolicyApplied  (BOOL) Whether the Meraki provision call succeeded
+ *   Revoked             (BOOL) Splash authorization revoked by a Disconnect-Request (only when revoked)
+ *   RevokedAt           (S)  When it was revoked — ISO 8601, SGT
+ *   RevokedReason       (S)  Who revoked it, e.g. "Disconnect-Request from nps-primary"
+ *   FailOpen            (BOOL) Last auth was granted by maintenance mode without RADIUS (only when it was)
+ *   FailOpenSource      (S)  What turned maintenance mode on: "manual" or "circuit-breaker"
+ *   FailOpenReason      (S)  Reason the admin gave when enabling it (only when given)
+ *   FailOpenCount       (N)  Lifetime total of fail-open grants (kept for auditing)
+ *   LastFailOpenAt      (S)  Most recent fail-open grant — ISO 8601, SGT (kept for auditing)
+ *   LastAuthRequestId   (S)  Request ID of the splash login behind the last auth (only when
+ *                            the event carried one); search the splash logs for it
  *   LastUpdated         (S)  UTC ISO 8601 of the DynamoDB write
  *   ConnectionCount     (N)  Lifetime total of successful authentications
  */
 
+const crypto = require('crypto');
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
 
 const TABLE_NAME = process.env.DYNAMODB_TABLE_NAME;
 
+// Splash authorization length when the auth event carries no Session-Timeout
+const DEFAULT_SESSION_SECONDS = 90 * 24 * 60 * 60;
+
+// console = one JSON log line per span; none = no spans
+const TRACES_EXPORTER = (process.env.OTEL_TRACES_EXPORTER || 'none').toLowerCase();
+const SERVICE_NAME = process.env.OTEL_SERVICE_NAME || 'radius-client-tracker';
+
 const dynamoClient = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(dynamoClient, {
     marshallOptions: { removeUndefinedValues: true },
@@ -49,11 +80,15 @@ function toSGT(date) {
 }
 
 /**
- * Returns ConnectionTimestamp (now in SGT) and ExpirationTimestamp (now + 90 days in SGT).
+ * Returns ConnectionTimestamp (now in SGT) and ExpirationTimestamp (now + sessionSeconds
+ * in SGT, or + 90 days when sessionSeconds is missing or invalid).
  */
-function buildTimestamps() {
+function buildTimestamps(sessionSeconds) {
+    const seconds = Number.isInteger(sessionSeconds) && sessionSeconds > 0
+        ? sessionSeconds
+        : DEFAULT_SESSION_SECONDS;
     const now = new Date();
-    const expiry = new Date(now.getTime() + 90 * 24 * 60 * 60 * 1000);
+    const expiry = new Date(now.getTime() + seconds * 1000);
     return {
         connectionTimestamp: toSGT(now),
         expirationTimestamp: toSGT(expiry),
@@ -61,6 +96,69 @@ function buildTimestamps() {
     };
 }
 
+// ── Tracing ───────────────────────────────────────────────
+
+/**
+ * Parses a W3C traceparent value into { traceId, spanId }, or null when it is
+ * missing or invalid.
+ */
+function parseTraceparent(value) {
+    const match = /^00-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/.exec(String(value || '').trim().toLowerCase());
+    if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) return null;
+    return { traceId: match[1], spanId: match[2] };
+}
+
+/**
+ * Starts a span under parent (a span, or { traceId, spanId } from parseTraceparent),
+ * or a new trace without one. end(error) writes it to the log.
+ */
+function startSpan(name, { kind = 'internal', parent = null, correlationId = null, attributes = {} } = {}) {
+    const started = Date.now();
+    const span = {
+        traceId: parent ? parent.traceId : randomHex(16),
+        spanId: randomHex(8),
+        correlationId: correlationId || (parent && parent.correlationId) || null,
+        attributes: { ...attributes },
+        end(error) {
+            if (TRACES_EXPORTER !== 'console') return;
+            console.log(JSON.stringify({
+                event: 'trace.span',
+                service: SERVICE_NAME,
+                traceId: span.traceId,
+                spanId: span.spanId,
+                parentSpanId: parent ? parent.spanId : null,
+                name,
+                kind,
+                startTime: new Date(started).toISOString(),
+                durationMs: Date.now() - started,
+                status: error ? 'error' : 'unset',
+                statusMessage: error ? error.message : undefined,
+                attributes: { ...span.attributes, 'correlation.id': span.correlationId || undefined },
+            }));
+        },
+    };
+    return span;
+}
+
+function randomHex(bytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Runs fn inside a span, ending it with fn's error (rethrown) if there is one.
+ */
+async function inSpan(name, options, fn) {
+    const span = startSpan(name, options);
+    try {
+        const result = await fn(span);
+        span.end();
+        return result;
+    } catch (err) {
+        span.end(err);
+        throw err;
+    }
+}
+
 // ── Core DynamoDB logic ───────────────────────────────────
 
 /**
@@ -71,8 +169,25 @@ function buildTimestamps() {
  *
  * DeleteItem is never called — records accumulate indefinitely.
  */
-async function upsertClient({ clientId, clientName, macAddress, clientIp, ssid }) {
-    const { connectionTimestamp, expirationTimestamp, lastUpdatedUtc } = buildTimestamps();
+async function upsertClient({ clientId, clientName, macAddress, clientIp, ssid, sessionSeconds, groupPolicy, failOpen, requestId }, span = null) {
+    const { connectionTimestamp, expirationTimestamp, lastUpdatedUtc } = buildTimestamps(sessionSeconds);
+
+    // Group policy fields describe the latest auth: set when the event carries one,
+    // removed when it does not
+    const groupPolicySet = groupPolicy
+        ? '    GroupPolicyId       = :groupPolicyId,' +
+          '    GroupPolicyName     = :groupPolicyName,' +
+          '    GroupPolicyApplied  = :groupPolicyApplied,'
+        : '';
+
+    // FailOpen* describe the latest auth like the group policy fields; FailOpenCount and
+    // LastFailOpenAt are never removed, so fail-open grants can be audited afterwards
+    const failOpenSet = failOpen
+        ? '    FailOpen            = :failOpen,' +
+          '    FailOpenSource      = :failOpenSource,' +
+          (failOpen.reason ? '    FailOpenReason      = :failOpenReason,' : '') +
+          '    LastFailOpenAt      = :connectionTimestamp,'
+        : '';
 
     const command = new UpdateCommand({
         TableName: TABLE_NAME,
@@ -85,9 +200,17 @@ async function upsertClient({ clientId, clientName, macAddress, clientIp, ssid }
             '    SSID                = :ssid,' +
             '    ConnectionTimestamp = :connectionTimestamp,' +
             '    ExpirationTimestamp = :expirationTimestamp,' +
+            groupPolicySet +
+            failOpenSet +
+            (requestId ? '    LastAuthRequestId   = :requestId,' : '') +
             '    LastUpdated         = :lastUpdated,' +
             '    ClientIP            = :clientIp ' +
-            'ADD ConnectionCount :one',
+            'ADD ConnectionCount :one' +
+            (failOpen ? ', FailOpenCount :one ' : ' ') +
+            'REMOVE Revoked, RevokedAt, RevokedReason' +
+            (groupPolicy ? '' : ', GroupPolicyId, GroupPolicyName, GroupPolicyApplied') +
+            (failOpen ? (failOpen.reason ? '' : ', FailOpenReason') : ', FailOpen, FailOpenSource, FailOpenReason') +
+            (requestId ? '' : ', LastAuthRequestId'),
         ExpressionAttributeValues: {
             ':clientName':          clientName,
             ':macAddress':          macAddress,
@@ -97,14 +220,70 @@ async function upsertClient({ clientId, clientName, macAddress, clientIp, ssid }
             ':lastUpdated':         lastUpdatedUtc,
             ':clientIp':            clientIp || '',
             ':one':                 1,
+            ...(groupPolicy && {
+                ':groupPolicyId':      groupPolicy.id,
+                ':groupPolicyName':    groupPolicy.name || '',
+                ':groupPolicyApplied': groupPolicy.applied === true,
+            }),
+            ...(failOpen && {
+                ':failOpen':       true,
+                ':failOpenSource': failOpen.source || 'unknown',
+            }),
+            ...(failOpen && failOpen.reason && {
+                ':failOpenReason': failOpen.reason,
+            }),
+            ...(requestId && {
+                ':requestId': requestId,
+            }),
         },
         ReturnValues: 'UPDATED_NEW',
     });
 
-    const result = await docClient.send(command);
+    const result = await inSpan('dynamodb.UpdateItem', {
+        kind: 'client',
+        parent: span,
+        attributes: { 'db.system': 'dynamodb', 'aws.dynamodb.table_names': TABLE_NAME, 'db.operation': 'UpdateItem' },
+    }, () => docClient.send(command));
     return result.Attributes;
 }
 
+/**
+ * Marks an existing client record as revoked. Unknown clients are not created —
+ * there is nothing to revoke for a device that never signed in.
+ *
+ * @returns {boolean} false when the client has no record
+ */
+async function revokeClient({ clientId, reason, revokedAt }, span = null) {
+    const revoked = revokedAt ? new Date(revokedAt) : new Date();
+
+    try {
+        await inSpan('dynamodb.UpdateItem', {
+            kind: 'client',
+            parent: span,
+            attributes: { 'db.system': 'dynamodb', 'aws.dynamodb.table_names': TABLE_NAME, 'db.operation': 'UpdateItem' },
+        }, () => docClient.send(new UpdateCommand({
+            TableName: TABLE_NAME,
+            Key: { ClientID: clientId },
+            ConditionExpression: 'attribute_exists(ClientID)',
+            UpdateExpression:
+                'SET Revoked       = :revoked,' +
+                '    RevokedAt     = :revokedAt,' +
+                '    RevokedReason = :reason,' +
+                '    LastUpdated   = :lastUpdated',
+            ExpressionAttributeValues: {
+                ':revoked':     true,
+                ':revokedAt':   toSGT(isNaN(revoked) ? new Date() : revoked),
+                ':reason':      reason || '',
+                ':lastUpdated': new Date().toISOString(),
+            },
+        })));
+        return true;
+    } catch (err) {
+        if (err.name === 'ConditionalCheckFailedException') return false;
+        throw err;
+    }
+}
+
 // ── Lambda Handler ────────────────────────────────────────
 
 /**
@@ -126,26 +305,61 @@ exports.handler = async (event) => {
     for (const record of event.Records) {
         const { messageId } = record;
 
+        // Continues the splash login's trace; the request ID ends up in LastAuthRequestId
+        const attributes = record.messageAttributes || {};
+        const requestId = attributes.RequestId ? attributes.RequestId.stringValue : null;
+        const span = startSpan('sqs.process_message', {
+            kind: 'consumer',
+            parent: parseTraceparent(attributes.traceparent && attributes.traceparent.stringValue),
+            correlationId: requestId,
+            attributes: { 'messaging.system': 'aws_sqs', 'messaging.message.id': messageId },
+        });
+        let failure = null;
+
         try {
             // SQS always delivers body as a string, but accept objects too for manual test invocations
             const body = typeof record.body === 'string' ? JSON.parse(record.body) : record.body;
-            const { clientId, clientName, macAddress, clientIp, ssid } = body;
+
+            if (body.type === 'revoke') {
+                if (!body.clientId) {
+                    console.error(`[${messageId}] Malformed revoke message, routing to DLQ:`, JSON.stringify(body));
+                    failure = new Error('malformed revoke message');
+                    batchItemFailures.push({ itemIdentifier: messageId });
+                    continue;
+                }
+
+                const found = await revokeClient(body, span);
+                console.log(`[${messageId}] ${found ? 'Revoked' : 'No record to revoke for'} clientId=${body.clientId}`);
+                continue;
+            }
+
+            const { clientId, clientName, macAddress, clientIp, ssid, sessionSeconds } = body;
+            const groupPolicy = body.groupPolicyId
+                ? { id: String(body.groupPolicyId), name: body.groupPolicyName, applied: body.groupPolicyApplied }
+                : null;
+            const failOpen = body.failOpen === true
+                ? { source: body.failOpenSource, reason: body.failOpenReason }
+                : null;
 
             if (!clientId || !clientName || !macAddress) {
                 // Message is malformed — sending to DLQ is correct; do not retry endlessly
                 console.error(`[${messageId}] Malformed message, routing to DLQ:`, JSON.stringify(body));
+                failure = new Error('malformed message');
                 batchItemFailures.push({ itemIdentifier: messageId });
                 continue;
             }
 
-            console.log(`[${messageId}] Upserting: clientId=${clientId} clientName=${clientName} ssid=${ssid || '(unset)'}`);
-            const updated = await upsertClient({ clientId, clientName, macAddress, clientIp, ssid });
+            console.log(`[${messageId}] Upserting: clientId=${clientId} clientName=${clientName} ssid=${ssid || '(unset)'}${failOpen ? ` FAIL-OPEN (${failOpen.source})` : ''}${requestId ? ` requestId=${requestId}` : ''}`);
+            const updated = await upsertClient({ clientId, clientName, macAddress, clientIp, ssid, sessionSeconds, groupPolicy, failOpen, requestId }, span);
             console.log(`[${messageId}] OK — ConnectionCount=${updated?.ConnectionCount}, Expires=${updated?.ExpirationTimestamp}`);
 
         } catch (err) {
             // Transient errors (DynamoDB throttle, network) — SQS will retry up to maxReceiveCount
             console.error(`[${messageId}] Error:`, err.message);
+            failure = err;
             batchItemFailures.push({ itemIdentifier: messageId });
+        } finally {
+            span.end(failure);
         }
     }
 
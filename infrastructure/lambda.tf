@@ -30,6 +30,7 @@ resource "aws_lambda_function" "client_tracker" {
     variables = {
       DYNAMODB_TABLE_NAME                 = aws_dynamodb_table.client_tracking.name
       AWS_NODEJS_CONNECTION_REUSE_ENABLED = "1" # Keep-alive for DynamoDB HTTP connections
+      OTEL_TRACES_EXPORTER                = var.lambda_traces_exporter
     }
   }
 
@@ -43,6 +43,11 @@ output "dashboard_api_url" {
   value       = aws_apigatewayv2_api.dashboard.api_endpoint
 }
 
+output "meraki_ssid_map" {
+  description = "SSID name to Meraki SSID number, as the dashboard Lambda uses it — set as MERAKI_SSID_MAP in the ECS task environment"
+  value       = var.ssid_map
+}
+
 output "meraki_secret_arn" {
   description = "Secrets Manager ARN — set the API key value with: aws secretsmanager put-secret-value --secret-id <arn> --secret-string '{\"api_key\":\"YOUR_KEY\"}'"
   value       = aws_secretsmanager_secret.meraki_api_key.arn
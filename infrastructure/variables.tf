@@ -53,7 +53,13 @@ variable "meraki_network_id" {
 }
 
 variable "ssid_map" {
-  description = "JSON map of SSID name to Meraki SSID number, e.g. {\"ICS-Staff\":\"1\",\"ICS-HS\":\"7\"}"
+  description = "JSON map of SSID name to Meraki SSID number, e.g. {\"ICS-Staff\":\"1\",\"ICS-HS\":\"7\"}. The splash server's MERAKI_SSID_MAP comes from the meraki_ssid_map output"
   type        = string
   default     = "{\"ICS-Staff\":\"1\",\"ICS-HS\":\"7\"}"
 }
+
+variable "lambda_traces_exporter" {
+  description = "Tracing in the tracker Lambda: \"console\" writes one JSON log line per span, \"none\" turns it off"
+  type        = string
+  default     = "none"
+}
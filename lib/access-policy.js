@@ -0,0 +1,175 @@
+'use strict';
+
+/**
+ * Access Policies (Filter-Id rules per SSID / portal)
+ *
+ * Decides whether a user the RADIUS server accepted may use this splash page,
+ * based on the Filter-Id in the Access-Accept. Each policy applies to one or more
+ * portals (the `portal` query parameter of the splash URL) or SSIDs:
+ *
+ *   { "name": "high-school", "portal": "hs", "ssid": "ICS-HS",
+ *     "allowedFilterIds": ["HSPolicy", "/^HS-Grade(9|1[0-2])$/"],
+ *     "requireFilterId": true, "splashMode": "sign-on",
+ *     "grantedMessage": "Welcome to ICS-HS", "deniedMessage": "ICS-HS is for high-school students" }
+ *
+ * A Filter-Id rule is an exact (case-sensitive) string, or "/pattern/flags" for a
+ * regular expression. Requests matching no policy use the default policy built
+ * from ALLOWED_FILTER_ID and friends. A portal never overrides the SSID: a request
+ * whose portal belongs to another SSID's policy matches nothing and is refused.
+ *
+ * splashMode is the Meraki splash type configured for the SSID: "click-through" (this
+ * server checks RADIUS and makes the grant redirect) or "sign-on" (Meraki checks RADIUS
+ * itself, after this server's pre-check).
+ */
+
+const SPLASH_MODES = ['click-through', 'sign-on'];
+
+// ── Helpers ──────────────────────────────────────────────
+
+/**
+ * Compiles one Filter-Id rule into { source, test(filterId) }.
+ * Throws on an invalid regular expression so bad config fails at startup.
+ */
+function compileRule(rule) {
+    const source = String(rule);
+    const regex = source.match(/^\/(.+)\/([a-z]*)$/);
+
+    if (!regex) {
+        return { source, test: filterId => filterId === source };
+    }
+
+    let pattern;
+    try {
+        // g / y would make test() stateful between logins
+        pattern = new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+    } catch (err) {
+        throw new Error(`invalid Filter-Id pattern ${source}: ${err.message}`);
+    }
+    return { source, test: filterId => pattern.test(filterId) };
+}
+
+function checkSplashMode(mode, where) {
+    if (!SPLASH_MODES.includes(mode)) {
+        throw new Error(`${where} has unknown splashMode "${mode}" (use ${SPLASH_MODES.join(' or ')})`);
+    }
+    return mode;
+}
+
+function toList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return [].concat(value).map(String);
+}
+
+function normalizePolicy(entry, index, defaults) {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error(`access policy #${index + 1} must be an object`);
+    }
+
+    const allowed = toList(entry.allowedFilterIds !== undefined ? entry.allowedFilterIds : entry.allowedFilterId);
+    if (allowed.length === 0) {
+        throw new Error(`access policy #${index + 1} has no allowedFilterIds`);
+    }
+
+    const portals = toList(entry.portal).map(p => p.toLowerCase());
+    const ssids = toList(entry.ssid).map(s => s.toLowerCase());
+    if (portals.length === 0 && ssids.length === 0) {
+        throw new Error(`access policy #${index + 1} needs a portal or ssid to match on`);
+    }
+
+    return {
+        name: entry.name || portals[0] || ssids[0],
+        portals,
+        ssids,
+        allowedFilterIds: allowed,
+        rules: allowed.map(compileRule),
+        requireFilterId: entry.requireFilterId !== undefined ? entry.requireFilterId !== false : defaults.requireFilterId,
+        splashMode: entry.splashMode !== undefined
+            ? checkSplashMode(entry.splashMode, `access policy #${index + 1}`)
+            : defaults.splashMode,
+        grantedMessage: entry.grantedMessage || defaults.grantedMessage,
+        deniedMessage: entry.deniedMessage || defaults.deniedMessage,
+    };
+}
+
+// ── Policy table factory ──────────────────────────────────
+
+/**
+ * Creates the access policy table.
+ *
+ * @param {object}   options
+ * @param {object[]} options.policies — policy entries (see above), checked in order
+ * @param {object}   options.defaults — { allowedFilterIds, requireFilterId, splashMode, grantedMessage,
+ *                                        deniedMessage } for requests no policy matches
+ */
+function createAccessPolicyTable({ policies = [], defaults }) {
+    if (!Array.isArray(policies)) {
+        throw new Error('ACCESS_POLICIES must be a JSON array');
+    }
+
+    const splashMode = checkSplashMode(defaults.splashMode || 'click-through', 'SPLASH_MODE');
+    const table = policies.map((entry, index) => normalizePolicy(entry, index, { ...defaults, splashMode }));
+    const fallback = {
+        name: 'default',
+        portals: [],
+        ssids: [],
+        allowedFilterIds: toList(defaults.allowedFilterIds),
+        rules: toList(defaults.allowedFilterIds).map(compileRule),
+        requireFilterId: defaults.requireFilterId,
+        splashMode,
+        grantedMessage: defaults.grantedMessage,
+        deniedMessage: defaults.deniedMessage,
+    };
+
+    /**
+     * Returns the policy for a request: the one for its portal, else the one for its SSID.
+     * The portal comes from the splash URL, which anyone can edit, so it only picks a policy
+     * the SSID agrees with. Returns null when they disagree: the portal's policy names other
+     * SSIDs, or the SSID has a policy of its own.
+     */
+    function resolve({ portal, ssid } = {}) {
+        const wantedPortal = String(portal || '').toLowerCase();
+        const wantedSsid = String(ssid || '').toLowerCase();
+        const byPortal = wantedPortal && table.find(p => p.portals.includes(wantedPortal));
+        const bySsid = wantedSsid && table.find(p => p.ssids.includes(wantedSsid));
+
+        if (byPortal && wantedSsid) {
+            const otherSsid = byPortal.ssids.length > 0 && !byPortal.ssids.includes(wantedSsid);
+            if (otherSsid || (bySsid && bySsid !== byPortal)) {
+                return null;
+            }
+        }
+        return byPortal || bySsid || fallback;
+    }
+
+    /**
+     * Checks the Filter-Id(s) of an Access-Accept against a policy.
+     *
+     * @returns {{ allowed: boolean, matched: boolean, rule: string|null, filterId: string|null }}
+     *          allowed is true when a rule matched, or when the policy does not require one
+     */
+    function evaluate(policy, filterIds) {
+        for (const filterId of toList(filterIds)) {
+            const rule = policy.rules.find(r => r.test(filterId));
+            if (rule) {
+                return { allowed: true, matched: true, rule: rule.source, filterId };
+            }
+        }
+        return { allowed: !policy.requireFilterId, matched: false, rule: null, filterId: null };
+    }
+
+    // Policy table for /api/health, without compiled rules
+    function getSummary() {
+        return [...table, fallback].map(p => ({
+            name: p.name,
+            portals: p.portals,
+            ssids: p.ssids,
+            allowedFilterIds: p.allowedFilterIds,
+            requireFilterId: p.requireFilterId,
+            splashMode: p.splashMode,
+        }));
+    }
+
+    return { resolve, evaluate, getSummary };
+}
+
+module.exports = { createAccessPolicyTable, compileRule, SPLASH_MODES };
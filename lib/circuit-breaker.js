@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * Circuit Breaker
+ *
+ * Stops sending logins to RADIUS while it is known to be down, so users get an
+ * immediate "try again later" answer instead of waiting out the full timeout:
+ *
+ *   closed    — requests go through; `failureThreshold` failures in a row open the circuit
+ *   open      — requests are refused until `resetTimeoutMs` has passed
+ *   half-open — a single trial request goes through to test recovery; success closes
+ *               the circuit, failure opens it again. Others are refused meanwhile.
+ *
+ * Callers ask allowRequest() first, then report the outcome with recordSuccess()
+ * or recordFailure().
+ */
+
+// ── Breaker factory ───────────────────────────────────────
+
+/**
+ * Creates a circuit breaker.
+ *
+ * @param {object} options
+ * @param {string} options.name             — used in log messages
+ * @param {number} options.failureThreshold — consecutive failures that open the circuit
+ * @param {number} options.resetTimeoutMs   — how long the circuit stays open before a trial request
+ */
+function createCircuitBreaker({ name, failureThreshold = 3, resetTimeoutMs = 30000 }) {
+    let state = 'closed';
+    let consecutiveFailures = 0;
+    let openedAt = null;
+    let retryAt = 0;
+    let trialInFlight = false;
+    let lastError = null;
+    let lastStateChangeAt = new Date().toISOString();
+    const counters = { opened: 0, rejected: 0 };
+
+    function transition(next) {
+        if (state === next) return;
+        console.log(`Circuit breaker ${name}: ${state} → ${next}`);
+        state = next;
+        lastStateChangeAt = new Date().toISOString();
+    }
+
+    function open() {
+        transition('open');
+        openedAt = lastStateChangeAt;
+        retryAt = Date.now() + resetTimeoutMs;
+        trialInFlight = false;
+        counters.opened++;
+        console.warn(
+            `Circuit breaker ${name} opened after ${consecutiveFailures} failure(s) in a row ` +
+            `(${lastError}); refusing requests for ${Math.round(resetTimeoutMs / 1000)}s`
+        );
+    }
+
+    /**
+     * Returns true when the request may go ahead. In the open state, the first call
+     * after resetTimeoutMs becomes the half-open trial request.
+     */
+    function allowRequest() {
+        if (state === 'closed') return true;
+
+        if (state === 'open' && Date.now() >= retryAt) {
+            transition('half-open');
+        }
+
+        if (state === 'half-open' && !trialInFlight) {
+            trialInFlight = true;
+            return true;
+        }
+
+        counters.rejected++;
+        return false;
+    }
+
+    function recordSuccess() {
+        consecutiveFailures = 0;
+        trialInFlight = false;
+        if (state !== 'closed') {
+            transition('closed');
+            openedAt = null;
+        }
+    }
+
+    function recordFailure(reason) {
+        consecutiveFailures++;
+        lastError = reason || 'unknown error';
+
+        // Requests already under way when the circuit opened do not extend the wait
+        if (state === 'half-open' || (state === 'closed' && consecutiveFailures >= failureThreshold)) {
+            open();
+        }
+    }
+
+    // Whole seconds until the next trial request is allowed, or null when closed
+    function getRetryAfterSeconds() {
+        if (state === 'closed') return null;
+        return Math.max(Math.ceil((retryAt - Date.now()) / 1000), 1);
+    }
+
+    function getStatus() {
+        return {
+            state,
+            failureThreshold,
+            resetTimeoutMs,
+            consecutiveFailures,
+            openedAt,
+            retryAt: state === 'closed' ? null : new Date(retryAt).toISOString(),
+            lastStateChangeAt,
+            lastError,
+            ...counters,
+        };
+    }
+
+    return { allowRequest, recordSuccess, recordFailure, getRetryAfterSeconds, getStatus };
+}
+
+module.exports = { createCircuitBreaker };
@@ -0,0 +1,616 @@
+'use strict';
+
+/**
+ * Configuration
+ *
+ * Every setting of the splash server, declared once with its type and default:
+ *
+ *   - values come from the defaults below, then an optional JSON or YAML file
+ *     (CONFIG_FILE), then environment variables — each layer overrides the one before
+ *   - the file uses the environment variable names as keys; JSON settings such as
+ *     RADIUS_SERVERS or ACCESS_POLICIES can be written as YAML / JSON structures there
+ *     instead of JSON strings
+ *   - everything is checked at startup, and all problems are reported together;
+ *     production refuses the example RADIUS secret and the RADIUS simulator
+ *   - reload() re-reads the file and applies the settings marked `reloadable`
+ *     (policies, messages and RADIUS servers) through a callback that can still
+ *     refuse them; the others need a restart and are only reported
+ *   - describe() is the admin view: values in effect and where each came from, with
+ *     secrets masked
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseYaml } = require('./yaml');
+
+class ConfigError extends Error {
+    constructor(errors) {
+        super(errors.join('; '));
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+// The secret from the examples and the old Docker image
+const EXAMPLE_RADIUS_SECRET = 'testing123';
+
+// ── Schema ────────────────────────────────────────────────
+//
+// type:       string | int | bool | list (comma-separated) | json | enum
+// default:    used when neither the file nor the environment sets the value
+// reloadable: applied by reload() without a restart
+// secret:     masked in describe(); json settings mask secret-looking keys inside them
+// allowEmpty: an empty environment variable is a value, not "unset"
+// textKeys:   keys of the objects in a json array that must be strings when present
+
+const SCHEMA = {
+    PORT: { type: 'int', default: 3000, min: 1, max: 65535 },
+    NODE_ENV: { type: 'string', default: 'development' },
+    AWS_REGION: { type: 'string', default: 'ap-southeast-1' },
+
+    // RADIUS server defaults; RADIUS_SERVERS replaces RADIUS_HOST with a pool
+    RADIUS_HOST: { type: 'string', default: '192.168.1.108', reloadable: true },
+    RADIUS_PORT: { type: 'int', default: 1812, min: 1, max: 65535, reloadable: true },
+    RADIUS_SECRET: { type: 'string', default: EXAMPLE_RADIUS_SECRET, secret: true },
+    NAS_IP_ADDRESS: { type: 'string' }, // optional override
+    NAS_IDENTIFIER: { type: 'string' },
+    RADIUS_TIMEOUT_MS: { type: 'int', default: 10000, min: 1 },
+    RADIUS_DEBUG: { type: 'bool', default: false },
+    // RFC 2865 retransmission: resend the identical packet (same Identifier and Request
+    // Authenticator) up to RADIUS_RETRIES times, doubling the wait each time, within the
+    // per-server timeout.
+    RADIUS_RETRIES: { type: 'int', default: 2, min: 0 },
+    RADIUS_RETRY_INTERVAL_MS: { type: 'int', default: 2000, min: 1 },
+    // Shared UDP sockets for all RADIUS traffic (each has its own 256 Identifiers), and the cap
+    // on outstanding requests — requests beyond it wait in a queue within their timeout.
+    RADIUS_UDP_SOCKETS: { type: 'int', default: 4, min: 1 },
+    RADIUS_MAX_IN_FLIGHT: { type: 'int', default: 256, min: 1 },
+    // BlastRADIUS hardening (RFC 3579 / RFC 5080): every Access-Request carries a
+    // Message-Authenticator, and replies without a valid one are dropped unless this is off.
+    // Can be overridden per server with "requireMessageAuthenticator" in RADIUS_SERVERS.
+    RADIUS_REQUIRE_MESSAGE_AUTHENTICATOR: { type: 'bool', default: true, reloadable: true },
+    // Credential encoding (NPS often refuses PAP). Can be overridden per server with "authMethod".
+    RADIUS_AUTH_METHOD: { type: 'enum', values: ['pap', 'chap', 'mschapv2'], default: 'pap', reloadable: true },
+    // How long a user has to answer an Access-Challenge (OTP / MFA prompt) before signing in again
+    RADIUS_CHALLENGE_TIMEOUT_MS: { type: 'int', default: 120000, min: 1 },
+
+    // Transport: udp or radsec (RADIUS over TLS, RFC 6614). Can be overridden per server with "transport".
+    RADIUS_TRANSPORT: { type: 'enum', values: ['udp', 'radsec'], default: 'udp', reloadable: true },
+    RADSEC_PORT: { type: 'int', default: 2083, min: 1, max: 65535, reloadable: true },
+    RADSEC_CERT_FILE: { type: 'string' }, // client certificate (PEM)
+    RADSEC_KEY_FILE: { type: 'string' }, // client private key (PEM)
+    RADSEC_KEY_PASSPHRASE: { type: 'string', secret: true },
+    RADSEC_CA_FILE: { type: 'string' }, // the only CA trusted for server certificates
+    RADSEC_PINNED_SHA256: { type: 'list', default: [] },
+    RADSEC_IDLE_TIMEOUT_MS: { type: 'int', default: 300000, min: 0 },
+
+    // RADIUS Accounting (Start / Interim-Update / Stop) for splash-authorized sessions.
+    // Sent to each server's acctPort (default RADIUS_ACCT_PORT) with the same shared secret.
+    RADIUS_ACCOUNTING_ENABLED: { type: 'bool', default: false },
+    RADIUS_ACCT_PORT: { type: 'int', default: 1813, min: 1, max: 65535, reloadable: true },
+    // Interim-Update interval in seconds when the Access-Accept has no Acct-Interim-Interval (0 = none)
+    RADIUS_ACCT_INTERIM_INTERVAL: { type: 'int', default: 0, min: 0 },
+    // How long a splash authorization lasts before Accounting Stop is sent (default 90 days,
+    // matching the ExpirationTimestamp written by the client tracker Lambda)
+    SPLASH_SESSION_SECONDS: { type: 'int', default: 90 * 24 * 60 * 60, min: 1 },
+
+    // RADIUS Dynamic Authorization (RFC 5176): Disconnect-Request / CoA-Request from trusted servers
+    RADIUS_DYNAUTH_ENABLED: { type: 'bool', default: false },
+    RADIUS_DYNAUTH_PORT: { type: 'int', default: 3799, min: 1, max: 65535 },
+    // Array of { address, secret, name, requireMessageAuthenticator }; secret defaults to RADIUS_SECRET
+    RADIUS_DYNAUTH_CLIENTS: { type: 'json', shape: 'array', default: [], textKeys: ['address', 'secret', 'name'] },
+
+    // RADIUS server pool: array of { host, port, secret, priority, weight, name }.
+    // When empty, the single RADIUS_HOST / RADIUS_PORT / RADIUS_SECRET server is used.
+    RADIUS_SERVERS: {
+        type: 'json', shape: 'array', default: [], reloadable: true,
+        textKeys: ['host', 'secret', 'name', 'tlsServerName'],
+    },
+    RADIUS_LB_STRATEGY: { type: 'enum', values: ['failover', 'round-robin', 'weighted'], default: 'failover', reloadable: true },
+    RADIUS_DEAD_AFTER_FAILURES: { type: 'int', default: 3, min: 1, reloadable: true },
+    RADIUS_DEAD_TIME_MS: { type: 'int', default: 60000, min: 0, reloadable: true },
+    // Per-server wait before failing over; unset = an even share of RADIUS_TIMEOUT_MS
+    RADIUS_SERVER_TIMEOUT_MS: { type: 'int', min: 1, reloadable: true },
+
+    // Built-in RADIUS simulator for local development: a fixture file (see scripts/fixtures/)
+    // starts a stand-in server in this process on 127.0.0.1:RADIUS_PORT / RADIUS_ACCT_PORT,
+    // which replaces the server pool. Refused when NODE_ENV=production.
+    RADIUS_SIMULATOR_FIXTURE: { type: 'string' },
+
+    // Health probes: every RADIUS_PROBE_INTERVAL_MS each server gets a Status-Server (RFC 5997),
+    // or an Access-Request for TEST_USER / TEST_USER_PASSWORD if it does not answer those.
+    // A server is unhealthy after RADIUS_PROBE_UNHEALTHY_AFTER failed probes in a row; /api/ready
+    // fails while no server is healthy. 0 disables probing.
+    RADIUS_PROBE_INTERVAL_MS: { type: 'int', default: 30000, min: 0 },
+    RADIUS_PROBE_TIMEOUT_MS: { type: 'int', default: 5000, min: 1 },
+    RADIUS_PROBE_WINDOW: { type: 'int', default: 20, min: 1 },
+    RADIUS_PROBE_UNHEALTHY_AFTER: { type: 'int', default: 3, min: 1 },
+
+    // Circuit breaker: after RADIUS_BREAKER_THRESHOLD logins in a row get no answer from any server,
+    // logins fail immediately with RADIUS_UNAVAILABLE_MESSAGE for RADIUS_BREAKER_RESET_MS, then one
+    // trial login is let through to test recovery. 0 disables the breaker.
+    RADIUS_BREAKER_THRESHOLD: { type: 'int', default: 3, min: 0 },
+    RADIUS_BREAKER_RESET_MS: { type: 'int', default: 30000, min: 1 },
+    RADIUS_UNAVAILABLE_MESSAGE: {
+        type: 'string',
+        default: 'Sign-in is temporarily unavailable while the authentication service is under maintenance. Please try again in a few minutes.',
+        reloadable: true,
+    },
+
+    // Maintenance (fail-open) mode: while on, logins are granted WITHOUT RADIUS, but only to
+    // usernames in MAINTENANCE_ALLOWED_DOMAINS, with MAINTENANCE_GROUP_POLICY_ID applied and a
+    // MAINTENANCE_GRANT_SECONDS session. Turned on through POST /api/admin/maintenance, or
+    // while the circuit breaker is open if MAINTENANCE_AUTO_ENABLE is on. No domains = off.
+    MAINTENANCE_ALLOWED_DOMAINS: { type: 'list', default: [] },
+    MAINTENANCE_AUTO_ENABLE: { type: 'bool', default: false },
+    MAINTENANCE_GROUP_POLICY_ID: { type: 'string' },
+    MAINTENANCE_GROUP_POLICY_NAME: { type: 'string', default: 'Maintenance' },
+    MAINTENANCE_GRANT_SECONDS: { type: 'int', default: 3600, min: 1 },
+    MAINTENANCE_GRANTED_MESSAGE: {
+        type: 'string',
+        default: 'Limited access granted while the authentication service is under maintenance',
+        reloadable: true,
+    },
+    // Unset = RADIUS_UNAVAILABLE_MESSAGE
+    MAINTENANCE_DENIED_MESSAGE: { type: 'string', reloadable: true },
+    // Bearer token for the admin endpoints; they answer 404 while it is unset
+    ADMIN_API_TOKEN: { type: 'string', secret: true },
+
+    // Login rate limiting: attempts per RATE_LIMIT_WINDOW_MS per username / client MAC / source IP
+    // (0 = no limit), plus a growing delay and then a lockout after rejected logins for a
+    // username or MAC. RATE_LIMIT_STORE=redis shares the counts between ECS tasks.
+    RATE_LIMIT_ENABLED: { type: 'bool', default: true },
+    RATE_LIMIT_WINDOW_MS: { type: 'int', default: 900000, min: 1 },
+    RATE_LIMIT_PER_USERNAME: { type: 'int', default: 10, min: 0 },
+    RATE_LIMIT_PER_MAC: { type: 'int', default: 20, min: 0 },
+    RATE_LIMIT_PER_IP: { type: 'int', default: 0, min: 0 },
+    RATE_LIMIT_DELAY_AFTER: { type: 'int', default: 3, min: 0 },
+    RATE_LIMIT_DELAY_MS: { type: 'int', default: 1000, min: 0 },
+    RATE_LIMIT_MAX_DELAY_MS: { type: 'int', default: 8000, min: 0 },
+    RATE_LIMIT_LOCKOUT_AFTER: { type: 'int', default: 5, min: 0 },
+    RATE_LIMIT_LOCKOUT_MS: { type: 'int', default: 900000, min: 0 },
+    RATE_LIMIT_MAX_LOCKOUT_MS: { type: 'int', default: 86400000, min: 0 },
+    RATE_LIMIT_STORE: { type: 'enum', values: ['memory', 'redis'], default: 'memory' },
+    RATE_LIMIT_REDIS_URL: { type: 'string', secret: true }, // redis://host:6379/0 or rediss://...; may hold a password
+    RATE_LIMIT_MESSAGE: {
+        type: 'string',
+        default: 'Too many sign-in attempts. Please wait a while and try again.',
+        reloadable: true,
+    },
+
+    // Grant redirect: base_grant_url must be https on one of SPLASH_GRANT_HOSTS and user_continue_url
+    // http(s), on SPLASH_CONTINUE_HOSTS when set. After a login the page gets a session signed with
+    // SPLASH_GRANT_SECRET (same on every task) that /splash/grant redeems within SPLASH_GRANT_TTL_MS.
+    SPLASH_GRANT_HOSTS: { type: 'list', default: ['*.network-auth.com'] },
+    SPLASH_CONTINUE_HOSTS: { type: 'list', default: [] },
+    SPLASH_GRANT_SECRET: { type: 'string', secret: true },
+    SPLASH_GRANT_TTL_MS: { type: 'int', default: 120000, min: 1 },
+
+    // Proxy hops in front of the app (e.g. 1 behind an ALB), so the source IP comes from X-Forwarded-For
+    TRUST_PROXY: { type: 'int', default: 0, min: 0 },
+
+    // On SIGTERM, how long in-flight logins and background Meraki / SQS calls get to finish;
+    // keep it below the ECS stopTimeout (30s by default), after which the task is killed
+    SHUTDOWN_TIMEOUT_MS: { type: 'int', default: 25000, min: 0 },
+
+    // Meraki API
+    MERAKI_API_KEY: { type: 'string', secret: true },
+    MERAKI_NETWORK_ID: { type: 'string' },
+    MERAKI_DEVICE_RENAME_ENABLED: { type: 'bool', default: false },
+    TEST_USER: { type: 'string' }, // Skip Meraki API calls for this user
+    TEST_USER_PASSWORD: { type: 'string', secret: true }, // lets health probes fall back to Access-Request
+    // Meraki group policy per RADIUS reply: array of { filterId | attribute + match, groupPolicyId, name }.
+    // A matching client is provisioned with devicePolicy 'Group policy' instead of 'Normal'.
+    MERAKI_GROUP_POLICIES: { type: 'json', shape: 'array', default: [], reloadable: true },
+    // SSID name → SSID number, e.g. {"ICS-Staff":"1","ICS-HS":"7"}; needed to revoke splash authorizations
+    MERAKI_SSID_MAP: { type: 'json', shape: 'object', default: {}, reloadable: true },
+
+    // Captive portal controller that redirects to the splash page and is asked for the grant:
+    // meraki (grant URL in the browser), unifi (authorize-guest API call) or opennds (FAS token
+    // redirect). CONTROLLER_SIMULATOR starts a stand-in for it on 127.0.0.1:CONTROLLER_SIMULATOR_PORT,
+    // refused when NODE_ENV=production.
+    PORTAL_CONTROLLER: { type: 'enum', values: ['meraki', 'unifi', 'opennds'], default: 'meraki' },
+    CONTROLLER_SIMULATOR: { type: 'bool', default: false },
+    CONTROLLER_SIMULATOR_PORT: { type: 'int', default: 8880, min: 1, max: 65535 },
+
+    // UniFi Network controller API (https://unifi.example.org:8443, or the console URL with UNIFI_OS)
+    UNIFI_CONTROLLER_URL: { type: 'string' },
+    UNIFI_USERNAME: { type: 'string' },
+    UNIFI_PASSWORD: { type: 'string', secret: true },
+    UNIFI_SITE: { type: 'string', default: 'default' },
+    UNIFI_OS: { type: 'bool', default: false }, // UniFi OS consoles (UDM, Cloud Key Gen2+) use other API paths
+    UNIFI_CA_FILE: { type: 'string' }, // CA for a self-signed controller certificate (PEM)
+    UNIFI_GUEST_MINUTES: { type: 'int', default: 480, min: 1 }, // when the Access-Accept has no Session-Timeout
+
+    // openNDS FAS (secure levels 1 and 2): the gateway's faskey, and the gateway addresses
+    // (host:port) grants may redirect to; unset = any private IPv4 address
+    OPENNDS_FAS_KEY: { type: 'string', secret: true },
+    OPENNDS_GATEWAYS: { type: 'list', default: [] },
+
+    // SQS client tracking
+    SQS_QUEUE_URL: { type: 'string' },
+    NETWORK_SSID: { type: 'string', default: '' },
+
+    // Filter-Id access control for requests no ACCESS_POLICIES entry matches;
+    // "/pattern/flags" is matched as a regular expression
+    ALLOWED_FILTER_ID: { type: 'string', default: 'StaffPolicy', reloadable: true },
+    ACCESS_DENIED_MESSAGE: { type: 'string', default: 'You don\'t belong to this SSID', reloadable: true },
+    ACCESS_GRANTED_MESSAGE: { type: 'string', default: 'Access granted - Account verified', reloadable: true },
+    // Off: a missing / different Filter-Id will not hard fail auth (helpful for debugging)
+    AUTH_REQUIRE_FILTER_ID: { type: 'bool', default: true, reloadable: true },
+    // Meraki splash type of the SSID: click-through (this server does RADIUS and the grant redirect)
+    // or sign-on (the page posts the credentials to Meraki's login_url, and Meraki does RADIUS)
+    SPLASH_MODE: { type: 'enum', values: ['click-through', 'sign-on'], default: 'click-through', reloadable: true },
+    // Per-SSID / per-portal policies: array of { name, portal, ssid, allowedFilterIds, requireFilterId,
+    // splashMode, grantedMessage, deniedMessage }. Requests matching none use the settings above.
+    ACCESS_POLICIES: { type: 'json', shape: 'array', default: [], reloadable: true },
+
+    // Logging: JSON lines on stdout for CloudWatch (LOG_FORMAT=pretty for a terminal), with
+    // passwords, secrets and tokens redacted. Every entry is also appended to LOG_FILE (empty =
+    // stdout only), rotated at LOG_MAX_BYTES and/or LOG_ROTATE, keeping LOG_MAX_FILES old files.
+    LOG_LEVEL: { type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+    LOG_FORMAT: { type: 'enum', values: ['json', 'pretty'], default: 'json' },
+    LOG_FILE: { type: 'string', default: 'server.log', allowEmpty: true },
+    LOG_MAX_BYTES: { type: 'int', default: 10 * 1024 * 1024, min: 0 },
+    LOG_MAX_FILES: { type: 'int', default: 5, min: 0 },
+    LOG_ROTATE: { type: 'enum', values: ['daily', 'hourly'] },
+
+    // Prometheus metrics on GET /metrics. The endpoint is reachable from the splash SSID, so
+    // set METRICS_TOKEN to require it as a Bearer token from the scraper.
+    METRICS_ENABLED: { type: 'bool', default: true },
+    METRICS_TOKEN: { type: 'string', secret: true },
+
+    // Tracing of each login through RADIUS, Meraki and SQS to the tracker Lambda: otlp
+    // (OTLP/HTTP JSON to OTEL_EXPORTER_OTLP_ENDPOINT, e.g. a local collector sidecar),
+    // console (one log entry per span) or none.
+    OTEL_TRACES_EXPORTER: { type: 'enum', values: ['none', 'otlp', 'console'], default: 'none' },
+    OTEL_EXPORTER_OTLP_ENDPOINT: { type: 'string', default: 'http://localhost:4318' },
+    OTEL_SERVICE_NAME: { type: 'string', default: 'radius-splash' },
+};
+
+// Defaults are shared by every load; keep them from being changed through the values
+for (const spec of Object.values(SCHEMA)) {
+    if (spec.default && typeof spec.default === 'object') Object.freeze(spec.default);
+}
+
+// Keys inside json settings whose values are masked
+const SECRET_KEY = /secret|passphrase|password|token|api[-_]?key/i;
+
+// ── Parsing ───────────────────────────────────────────────
+
+const TRUE_WORDS = ['1', 'true', 'yes', 'on'];
+const FALSE_WORDS = ['0', 'false', 'no', 'off'];
+
+// YAML reads unquoted 0123456 as the number 123456 and 1e3 as 1000, so a number or true /
+// false where text is expected is refused rather than turned back into a different string
+function checkText(raw, what = 'a string') {
+    if (typeof raw === 'string') return raw;
+    if (typeof raw === 'number' || typeof raw === 'boolean') {
+        const got = typeof raw === 'number' ? `the number ${raw}` : String(raw);
+        throw new Error(`expected ${what}, got ${got}; quote this value so it is read exactly as written`);
+    }
+    throw new Error(`expected ${what}`);
+}
+
+/**
+ * Converts a raw value (always a string from the environment; any YAML / JSON value
+ * from the file) to the setting's type. Throws an Error describing what was expected.
+ */
+function coerce(spec, raw) {
+    switch (spec.type) {
+    case 'int': {
+        const text = String(raw).trim();
+        if (!/^-?\d+$/.test(text)) throw new Error(`expected a whole number, got "${raw}"`);
+        const value = Number(text);
+        if (spec.min !== undefined && value < spec.min) throw new Error(`must be at least ${spec.min}`);
+        if (spec.max !== undefined && value > spec.max) throw new Error(`must be at most ${spec.max}`);
+        return value;
+    }
+    case 'bool': {
+        if (typeof raw === 'boolean') return raw;
+        const text = String(raw).trim().toLowerCase();
+        if (TRUE_WORDS.includes(text)) return true;
+        if (FALSE_WORDS.includes(text)) return false;
+        throw new Error(`expected 1 or 0, got "${raw}"`);
+    }
+    case 'list': {
+        const items = Array.isArray(raw) ? raw.map(item => checkText(item, 'a list of strings')) : checkText(raw).split(',');
+        return items.map(item => item.trim()).filter(Boolean);
+    }
+    case 'json': {
+        let value = raw;
+        if (typeof raw === 'string') {
+            try {
+                value = JSON.parse(raw);
+            } catch (err) {
+                throw new Error(`invalid JSON: ${err.message}`);
+            }
+        }
+        if (spec.shape === 'array' && !Array.isArray(value)) throw new Error('expected an array');
+        if (spec.shape === 'object' && (value === null || typeof value !== 'object' || Array.isArray(value))) {
+            throw new Error('expected an object');
+        }
+        for (const [index, entry] of (spec.textKeys ? value : []).entries()) {
+            for (const key of spec.textKeys) {
+                const inner = entry && typeof entry === 'object' ? entry[key] : undefined;
+                if (inner === undefined) continue;
+                if (SECRET_KEY.test(key) && typeof inner !== 'string') {
+                    // The secret itself is not repeated in the error
+                    throw new Error(`expected a string for [${index}].${key}, got a ${typeof inner}; quote this value so it is read exactly as written`);
+                }
+                checkText(inner, `a string for [${index}].${key}`);
+            }
+        }
+        return value;
+    }
+    case 'enum': {
+        const value = String(raw).trim().toLowerCase();
+        if (!spec.values.includes(value)) throw new Error(`"${raw}" is not one of ${spec.values.join(', ')}`);
+        return value;
+    }
+    default:
+        return checkText(raw);
+    }
+}
+
+/**
+ * Reads the config file: JSON for .json, YAML otherwise (JSON is valid YAML too).
+ * Returns a plain object of setting name → raw value.
+ */
+function readConfigFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    let data;
+    try {
+        data = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : parseYaml(text);
+    } catch (err) {
+        throw new ConfigError([`${file}: ${err.message}`]);
+    }
+    if (data === null) return {};
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        throw new ConfigError([`${file}: expected a mapping of setting names to values`]);
+    }
+    return data;
+}
+
+// ── Loading and validation ────────────────────────────────
+
+/**
+ * Builds the settings from defaults, the file and the environment.
+ *
+ * @returns {{ values: object, sources: object }}
+ * @throws {ConfigError} listing every invalid setting
+ */
+function loadConfig({ env, file }) {
+    const fileValues = file ? readConfigFile(file) : {};
+    const values = {};
+    const sources = {};
+    const errors = [];
+
+    for (const name of Object.keys(fileValues)) {
+        if (!SCHEMA[name]) errors.push(`${file}: unknown setting ${name}`);
+    }
+
+    for (const [name, spec] of Object.entries(SCHEMA)) {
+        let raw;
+        let source = 'default';
+        if (env[name] !== undefined && (env[name] !== '' || spec.allowEmpty)) {
+            raw = env[name];
+            source = 'env';
+        } else if (fileValues[name] !== undefined && fileValues[name] !== null) {
+            raw = fileValues[name];
+            source = 'file';
+        }
+
+        if (source === 'default') {
+            values[name] = spec.default !== undefined ? spec.default : null;
+        } else {
+            try {
+                values[name] = coerce(spec, raw);
+            } catch (err) {
+                errors.push(`${name} (${source === 'env' ? 'environment' : file}): ${err.message}`);
+                continue;
+            }
+        }
+        sources[name] = source;
+    }
+
+    if (errors.length === 0) errors.push(...crossCheck(values));
+    if (errors.length > 0) throw new ConfigError(errors);
+    return { values: Object.freeze(values), sources };
+}
+
+// Rules that involve more than one setting, or the deployment environment
+function crossCheck(values) {
+    const errors = [];
+    const production = values.NODE_ENV === 'production';
+
+    if (!values.RADIUS_SECRET) errors.push('RADIUS_SECRET: the RADIUS shared secret is missing');
+
+    if (production) {
+        if (values.RADIUS_SECRET === EXAMPLE_RADIUS_SECRET) {
+            errors.push(`RADIUS_SECRET: the example secret "${EXAMPLE_RADIUS_SECRET}" must not be used in production`);
+        }
+        for (const [name, entries] of [['RADIUS_SERVERS', values.RADIUS_SERVERS], ['RADIUS_DYNAUTH_CLIENTS', values.RADIUS_DYNAUTH_CLIENTS]]) {
+            entries.forEach((entry, index) => {
+                if (entry && entry.secret === EXAMPLE_RADIUS_SECRET) {
+                    errors.push(`${name}[${index}]: the example secret "${EXAMPLE_RADIUS_SECRET}" must not be used in production`);
+                }
+            });
+        }
+        if (values.RADIUS_SIMULATOR_FIXTURE) {
+            errors.push('RADIUS_SIMULATOR_FIXTURE must not be set in production');
+        }
+        if (values.CONTROLLER_SIMULATOR) {
+            errors.push('CONTROLLER_SIMULATOR must not be set in production');
+        }
+    }
+
+    // The stand-in supplies its own URL and credentials
+    if (!values.CONTROLLER_SIMULATOR) {
+        if (values.PORTAL_CONTROLLER === 'unifi') {
+            for (const name of ['UNIFI_CONTROLLER_URL', 'UNIFI_USERNAME', 'UNIFI_PASSWORD']) {
+                if (!values[name]) errors.push(`PORTAL_CONTROLLER=unifi requires ${name}`);
+            }
+        }
+        if (values.PORTAL_CONTROLLER === 'opennds' && !values.OPENNDS_FAS_KEY) {
+            errors.push('PORTAL_CONTROLLER=opennds requires OPENNDS_FAS_KEY');
+        }
+    }
+    if (values.PORTAL_CONTROLLER !== 'meraki' && values.SPLASH_MODE === 'sign-on') {
+        errors.push('SPLASH_MODE=sign-on is a Meraki splash type and requires PORTAL_CONTROLLER=meraki');
+    }
+
+    if (values.RATE_LIMIT_ENABLED && values.RATE_LIMIT_STORE === 'redis' && !values.RATE_LIMIT_REDIS_URL) {
+        errors.push('RATE_LIMIT_STORE=redis requires RATE_LIMIT_REDIS_URL');
+    }
+    return errors;
+}
+
+// ── Redaction ─────────────────────────────────────────────
+
+function maskNested(value) {
+    if (Array.isArray(value)) return value.map(maskNested);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, inner]) => [
+            key,
+            SECRET_KEY.test(key) && inner !== null && inner !== undefined && inner !== '' ? '[REDACTED]' : maskNested(inner),
+        ]));
+    }
+    return value;
+}
+
+function redact(name, value) {
+    if (value === null || value === undefined || value === '') return value;
+    if (SCHEMA[name].secret) return '[REDACTED]';
+    if (SCHEMA[name].type === 'json') return maskNested(value);
+    return value;
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// ── Manager factory ───────────────────────────────────────
+
+/**
+ * Loads the configuration and keeps the settings in effect.
+ *
+ * @param {object} options
+ * @param {object} options.env  — environment variables (process.env)
+ * @param {string} options.file — path of the JSON / YAML config file, or null for none
+ * @throws {ConfigError} when the initial configuration is invalid
+ */
+function createConfigManager({ env = process.env, file = null } = {}) {
+    const filePath = file ? path.resolve(file) : null;
+    let { values, sources } = loadConfig({ env, file: filePath });
+    const status = {
+        file: filePath,
+        loadedAt: new Date().toISOString(),
+        reloads: 0,
+        lastReloadAt: null,
+        lastReloadError: null,
+        restartRequired: [],
+    };
+    let watcher = null;
+    let watchTimer = null;
+
+    /**
+     * Re-reads the file and environment. Changed reloadable settings are passed to
+     * apply(next, changed), which builds whatever depends on them and throws to refuse
+     * the change; the settings in effect only change when it returns. Changed settings
+     * that need a restart are reported and left as they are.
+     *
+     * @param {function} apply — (next: object, changed: string[]) => void
+     * @returns {{ ok: boolean, changed: string[], restartRequired: string[], error?: string }}
+     */
+    function reload(apply) {
+        let loaded;
+        try {
+            loaded = loadConfig({ env, file: filePath });
+        } catch (err) {
+            status.lastReloadError = err.message;
+            return { ok: false, changed: [], restartRequired: status.restartRequired, error: err.message };
+        }
+
+        const next = { ...values };
+        const nextSources = { ...sources };
+        const changed = [];
+        const restartRequired = [];
+        for (const name of Object.keys(SCHEMA)) {
+            if (isEqual(loaded.values[name], values[name])) continue;
+            if (SCHEMA[name].reloadable) {
+                next[name] = loaded.values[name];
+                nextSources[name] = loaded.sources[name];
+                changed.push(name);
+            } else {
+                restartRequired.push(name);
+            }
+        }
+
+        if (changed.length > 0) {
+            try {
+                apply(Object.freeze(next), changed);
+            } catch (err) {
+                status.lastReloadError = err.message;
+                return { ok: false, changed: [], restartRequired, error: err.message };
+            }
+            values = Object.freeze(next);
+            sources = nextSources;
+        }
+
+        status.reloads++;
+        status.lastReloadAt = new Date().toISOString();
+        status.lastReloadError = null;
+        status.restartRequired = restartRequired;
+        return { ok: true, changed, restartRequired };
+    }
+
+    /**
+     * Calls onChange() after the config file changes, once writes have settled.
+     * Editors often replace the file instead of writing it, so the directory is watched.
+     */
+    function watch(onChange, debounceMs = 500) {
+        if (!filePath || watcher) return;
+        watcher = fs.watch(path.dirname(filePath), (eventType, filename) => {
+            if (filename && filename !== path.basename(filePath)) return;
+            clearTimeout(watchTimer);
+            watchTimer = setTimeout(onChange, debounceMs);
+        });
+        watcher.on('error', err => console.error(`Stopped watching ${filePath}: ${err.message}`));
+        watcher.unref();
+    }
+
+    function close() {
+        clearTimeout(watchTimer);
+        if (watcher) watcher.close();
+        watcher = null;
+    }
+
+    /**
+     * The settings in effect with their source (default, file or env), secrets masked.
+     */
+    function describe() {
+        const settings = {};
+        for (const [name, spec] of Object.entries(SCHEMA)) {
+            settings[name] = {
+                value: redact(name, values[name]),
+                source: sources[name],
+                reloadable: Boolean(spec.reloadable),
+            };
+        }
+        return { ...status, settings };
+    }
+
+    return {
+        file: filePath,
+        get values() {
+            return values;
+        },
+        reload,
+        watch,
+        close,
+        describe,
+    };
+}
+
+module.exports = { createConfigManager, loadConfig, ConfigError, SCHEMA };
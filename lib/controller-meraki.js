@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * Meraki Controller Adapter
+ *
+ * Meraki redirects to the splash page with its parameters in the query string:
+ *
+ *   click-through: base_grant_url, user_continue_url, node_mac, client_ip, client_mac
+ *   sign-on:       login_url, continue_url, ap_mac, client_ip, client_mac
+ *
+ * The grant happens in the browser. On a click-through splash the page follows a signed
+ * /splash/grant session to base_grant_url (see splash-grant.js); on a sign-on splash it
+ * posts the credentials to login_url, and Meraki does RADIUS itself.
+ *
+ * Adapters share one interface (see also controller-unifi.js, controller-opennds.js):
+ *
+ *   parse(params)           — checks the redirect parameters the page forwarded, and
+ *                             returns { ok, client: { clientMac, clientIp, apMac, ssid },
+ *                             splashMode, grant } or { ok: false, error }
+ *   grant(grant, session)   — grants access after the login; session is { clientMac,
+ *                             durationSeconds }. Resolves { redirectUrl } for the page to
+ *                             follow (null = nothing to follow), or { signOn }; rejects
+ *                             when the controller refused
+ *   getStatus()
+ */
+
+const { normalizeMac } = require('./mac-address');
+
+// ── Controller factory ────────────────────────────────────
+
+/**
+ * Creates the Meraki adapter.
+ *
+ * @param {object} options
+ * @param {object} options.splashGrants — the grant URL validator and session issuer (splash-grant.js)
+ */
+function createMerakiController({ splashGrants }) {
+    const counters = { parsed: 0, rejected: 0, granted: 0 };
+
+    function reject(error) {
+        counters.rejected++;
+        return { ok: false, error };
+    }
+
+    function parse(params) {
+        const clientMac = params.client_mac ? normalizeMac(params.client_mac) : null;
+        if (params.client_mac && !clientMac) return reject('client_mac is not a MAC address');
+        const apParam = params.node_mac || params.ap_mac;
+        const apMac = apParam ? normalizeMac(apParam) : null;
+        if (apParam && !apMac) return reject(`${params.node_mac ? 'node_mac' : 'ap_mac'} is not a MAC address`);
+
+        // login_url is only sent for a sign-on splash
+        const signOn = Boolean(params.login_url);
+        const continueUrl = params.user_continue_url || params.continue_url;
+        const checked = signOn
+            ? splashGrants.validateSignOn({ loginUrl: params.login_url, continueUrl })
+            : splashGrants.validate({ baseGrantUrl: params.base_grant_url, continueUrl });
+
+        if (!checked.ok) return reject(checked.error);
+
+        counters.parsed++;
+        return {
+            ok: true,
+            splashMode: signOn ? 'sign-on' : 'click-through',
+            client: {
+                clientMac,
+                clientIp: params.client_ip || null,
+                apMac,
+                ssid: params.ssid || null,
+            },
+            grant: signOn
+                ? { loginUrl: checked.loginUrl, successUrl: checked.successUrl }
+                : { grantUrl: checked.grantUrl, continueUrl: checked.continueUrl },
+        };
+    }
+
+    async function grant(urls, { clientMac, durationSeconds }) {
+        counters.granted++;
+        // Sign-on splash: the page posts the credentials to Meraki's login_url, which logs in again
+        if (urls.loginUrl) return { signOn: urls };
+
+        // Signed /splash/grant link carrying the validated URLs and the session length to pass
+        // as the grant duration
+        const token = splashGrants.issue({
+            grantUrl: urls.grantUrl,
+            continueUrl: urls.continueUrl,
+            durationSeconds,
+            clientMac,
+        });
+        return { redirectUrl: `/splash/grant?session=${encodeURIComponent(token)}` };
+    }
+
+    function getStatus() {
+        return { name: 'meraki', ...counters };
+    }
+
+    return { name: 'meraki', parse, grant, getStatus };
+}
+
+module.exports = { createMerakiController };
@@ -0,0 +1,146 @@
+'use strict';
+
+/**
+ * openNDS Controller Adapter (FAS)
+ *
+ * openNDS forwards clients to a Forwarding Authentication Service. With fas_secure_enabled
+ * 1 the parameters are plain query parameters:
+ *
+ *   hid, clientip, clientmac, gatewayname, gatewayaddress, authdir, originurl, ...
+ *
+ * With level 2 the same fields arrive base64-encoded in one `fas` parameter, as
+ * "clientip=10.1.1.2, clientmac=aa:bb:..., hid=..., ..." (values URL-encoded). Level 3
+ * (AES-encrypted) is not supported.
+ *
+ * The grant is the FAS token redirect: the client goes to
+ *
+ *   http://<gatewayaddress>/<authdir>/?tok=<sha256(hid + faskey)>&redir=<originurl>
+ *
+ * gatewayaddress comes from the query string, so it must be one of the configured gateways,
+ * or a private IPv4 address when none are configured — otherwise a crafted link would send
+ * the client anywhere right after the login.
+ *
+ * Interface as in controller-meraki.js.
+ */
+
+const crypto = require('crypto');
+const { normalizeMac } = require('./mac-address');
+
+// ── Helpers ───────────────────────────────────────────────
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
+
+// Level 2: base64 "key=value, key=value, ..." → object
+function decodeFasParameter(fas) {
+    const text = Buffer.from(String(fas), 'base64').toString('utf8');
+    const fields = {};
+    for (const part of text.split(/,\s*/)) {
+        const separator = part.indexOf('=');
+        if (separator > 0) fields[part.slice(0, separator).trim()] = safeDecode(part.slice(separator + 1).trim());
+    }
+    return fields;
+}
+
+function isPrivateIPv4(host) {
+    const match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(host);
+    if (!match) return false;
+    const [a, b] = match.slice(1, 3).map(Number);
+    if (match.slice(1).some(part => Number(part) > 255)) return false;
+    return a === 10 || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+}
+
+/**
+ * The FAS token openNDS expects for a client: sha256 of hid followed by the faskey, in hex.
+ */
+function fasToken(hid, fasKey) {
+    return crypto.createHash('sha256').update(`${hid}${fasKey}`).digest('hex');
+}
+
+// ── Controller factory ────────────────────────────────────
+
+/**
+ * Creates the openNDS adapter.
+ *
+ * @param {object}   options
+ * @param {object}   options.splashGrants — validates originurl like a continue URL (splash-grant.js)
+ * @param {string}   options.fasKey       — the gateway's faskey
+ * @param {string[]} options.gateways     — allowed gatewayaddress values ("host:port"); empty = private IPv4
+ */
+function createOpenNdsController({ splashGrants, fasKey, gateways = [] }) {
+    if (!fasKey) throw new Error('the openNDS faskey is required');
+    const allowedGateways = gateways.map(gateway => gateway.toLowerCase());
+    const counters = { parsed: 0, rejected: 0, granted: 0 };
+
+    function reject(error) {
+        counters.rejected++;
+        return { ok: false, error };
+    }
+
+    function gatewayAllowed(address) {
+        if (allowedGateways.length > 0) return allowedGateways.includes(address.toLowerCase());
+        return isPrivateIPv4(address.split(':')[0]);
+    }
+
+    function parse(params) {
+        let fields = params;
+        if (params.fas) {
+            try {
+                fields = decodeFasParameter(params.fas);
+            } catch {
+                return reject('fas is not valid base64');
+            }
+        }
+
+        const hid = String(fields.hid || '');
+        if (!/^[0-9a-f]{8,128}$/i.test(hid)) return reject('hid is missing or malformed');
+
+        const gatewayAddress = String(fields.gatewayaddress || '');
+        if (!/^[\w.-]+(:\d{1,5})?$/.test(gatewayAddress)) return reject('gatewayaddress is missing or malformed');
+        if (!gatewayAllowed(gatewayAddress)) return reject(`gatewayaddress ${gatewayAddress} is not an allowed gateway`);
+
+        const authdir = String(fields.authdir || 'opennds_auth');
+        if (!/^[\w-]+$/.test(authdir)) return reject('authdir is malformed');
+
+        const clientMac = fields.clientmac ? normalizeMac(fields.clientmac) : null;
+        if (fields.clientmac && !clientMac) return reject('clientmac is not a MAC address');
+
+        const target = splashGrants.validateContinue(fields.originurl, 'originurl');
+        if (!target.ok) return reject(target.error);
+
+        counters.parsed++;
+        return {
+            ok: true,
+            splashMode: 'click-through',
+            client: {
+                clientMac,
+                clientIp: fields.clientip || null,
+                apMac: fields.gatewaymac ? normalizeMac(fields.gatewaymac) : null,
+                ssid: params.ssid || null,
+            },
+            grant: { hid, gatewayAddress, authdir, originUrl: target.continueUrl },
+        };
+    }
+
+    async function grant({ hid, gatewayAddress, authdir, originUrl }) {
+        const url = new URL(`http://${gatewayAddress}/${authdir}/`);
+        url.searchParams.set('tok', fasToken(hid, fasKey));
+        if (originUrl) url.searchParams.set('redir', originUrl);
+
+        counters.granted++;
+        return { redirectUrl: url.toString() };
+    }
+
+    function getStatus() {
+        return { name: 'opennds', gateways: allowedGateways.length > 0 ? allowedGateways : 'private IPv4', ...counters };
+    }
+
+    return { name: 'opennds', parse, grant, getStatus };
+}
+
+module.exports = { createOpenNdsController, fasToken, decodeFasParameter };
@@ -0,0 +1,346 @@
+'use strict';
+
+/**
+ * Captive Portal Controller Simulator
+ *
+ * A stand-in for the Meraki cloud, a UniFi controller or an openNDS gateway, for local
+ * development and automated tests. One HTTP server plays the configured controller:
+ *
+ *   GET /connect?client_mac=...&portal=...   sends the browser to the splash page with the
+ *                                            controller's redirect parameters, as the real
+ *                                            controller does for a new client
+ *
+ *   meraki   GET  /splash/<id>/grant          click-through grant (base_grant_url)
+ *            POST /splash/<id>/login          sign-on login form (login_url); /connect?mode=sign-on.
+ *                                             Any non-empty password is accepted.
+ *   unifi    POST /api/login, /api/auth/login  controller login (classic / UniFi OS)
+ *            POST [/proxy/network]/api/s/<site>/cmd/stamgr   authorize-guest / unauthorize-guest
+ *   opennds  GET  /opennds_auth/?tok=...&redir=...           FAS token redirect, checked against
+ *                                                            the hid issued by /connect
+ *
+ * Authorized clients are listed by getClients() and GET /clients.
+ *
+ * For development only: there is no TLS and the credentials are held in plain text.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { fasToken } = require('./controller-opennds');
+
+const CONTROLLERS = ['meraki', 'unifi', 'opennds'];
+const PENDING_TTL_MS = 15 * 60 * 1000;
+const SIMULATOR_SSID = 'Simulator';
+const SIMULATOR_AP_MAC = '00:18:0a:00:00:01';
+
+// ── Helpers ───────────────────────────────────────────────
+
+function randomMac() {
+    // Locally administered, unicast
+    const bytes = crypto.randomBytes(6);
+    bytes[0] = (bytes[0] & 0xfc) | 0x02;
+    return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join(':');
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > 65536) req.destroy(new Error('request body too large'));
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+function send(res, statusCode, body, headers = {}) {
+    const json = typeof body !== 'string';
+    res.writeHead(statusCode, {
+        'Content-Type': json ? 'application/json' : 'text/html; charset=utf-8',
+        ...headers,
+    });
+    res.end(json ? JSON.stringify(body) : body);
+}
+
+function redirect(res, location) {
+    res.writeHead(302, { Location: location });
+    res.end();
+}
+
+function page(title, text, link) {
+    const escape = value => String(value).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+    const continueLink = link ? `<p><a href="${escape(link)}">Continue to ${escape(link)}</a></p>` : '';
+    return `<!DOCTYPE html><html><head><title>${escape(title)}</title></head><body><h1>${escape(title)}</h1><p>${escape(text)}</p>${continueLink}</body></html>`;
+}
+
+// ── Simulator factory ─────────────────────────────────────
+
+/**
+ * Creates the simulator.
+ *
+ * @param {object} options
+ * @param {string} options.controller — meraki, unifi or opennds
+ * @param {string} options.splashUrl  — the splash page /connect redirects to, e.g. http://127.0.0.1:3000/
+ * @param {string} options.host       — address to listen on
+ * @param {number} options.port       — 0 picks a free port
+ * @param {object} options.unifi      — { username, password, site } the UniFi API accepts
+ * @param {object} options.opennds    — { fasKey } the gateway checks FAS tokens with
+ * @param {string} options.continueUrl — the page clients "asked for", passed as the continue URL
+ * @param {boolean} options.debug     — log each request
+ */
+function createControllerSimulator({
+    controller,
+    splashUrl,
+    host = '127.0.0.1',
+    port = 8880,
+    unifi = {},
+    opennds = {},
+    continueUrl = 'http://example.com/',
+    debug = false,
+}) {
+    if (!CONTROLLERS.includes(controller)) {
+        throw new Error(`unknown controller "${controller}" (use ${CONTROLLERS.join(', ')})`);
+    }
+    const unifiSite = unifi.site || 'default';
+    const pending = new Map(); // meraki grant id / openNDS hid → { clientMac, clientIp, createdAt }
+    const sessions = new Set(); // UniFi session cookies
+    const clients = new Map(); // clientMac → { clientMac, via, authorizedAt, minutes, username }
+    const counters = { connects: 0, grants: 0, refused: 0, requests: 0 };
+    let server = null;
+    let address = { host, port };
+
+    function log(message) {
+        if (debug) console.log(`[controller simulator] ${message}`);
+    }
+
+    function authorize(clientMac, via, extra = {}) {
+        clients.set(clientMac, { clientMac, via, authorizedAt: new Date().toISOString(), ...extra });
+        counters.grants++;
+        log(`authorized ${clientMac} (${via})`);
+    }
+
+    function refuse(res, statusCode, body) {
+        counters.refused++;
+        return send(res, statusCode, body);
+    }
+
+    function takePending(id) {
+        const now = Date.now();
+        for (const [key, entry] of pending) {
+            if (now - entry.createdAt > PENDING_TTL_MS) pending.delete(key);
+        }
+        const entry = pending.get(id);
+        pending.delete(id);
+        return entry || null;
+    }
+
+    function origin() {
+        return `http://${address.host}:${address.port}`;
+    }
+
+    // ── /connect: the controller's redirect to the splash page ──
+
+    function connect(res, query) {
+        const clientMac = (query.get('client_mac') || randomMac()).toLowerCase();
+        const clientIp = query.get('client_ip') || '10.0.0.10';
+        const target = new URL(splashUrl);
+        if (query.get('portal')) target.searchParams.set('portal', query.get('portal'));
+        counters.connects++;
+
+        if (controller === 'meraki') {
+            const id = crypto.randomBytes(8).toString('hex');
+            pending.set(id, { clientMac, clientIp, createdAt: Date.now() });
+            if (query.get('mode') === 'sign-on') {
+                const loginUrl = new URL(`${origin()}/splash/${id}/login`);
+                loginUrl.searchParams.set('continue_url', continueUrl);
+                target.searchParams.set('login_url', loginUrl.toString());
+                target.searchParams.set('continue_url', continueUrl);
+                target.searchParams.set('ap_mac', SIMULATOR_AP_MAC);
+            } else {
+                target.searchParams.set('base_grant_url', `${origin()}/splash/${id}/grant`);
+                target.searchParams.set('user_continue_url', continueUrl);
+                target.searchParams.set('node_mac', SIMULATOR_AP_MAC);
+            }
+            target.searchParams.set('client_ip', clientIp);
+            target.searchParams.set('client_mac', clientMac);
+        } else if (controller === 'unifi') {
+            target.searchParams.set('id', clientMac);
+            target.searchParams.set('ap', SIMULATOR_AP_MAC);
+            target.searchParams.set('t', String(Math.floor(Date.now() / 1000)));
+            target.searchParams.set('url', continueUrl);
+            target.searchParams.set('ssid', SIMULATOR_SSID);
+        } else {
+            const hid = crypto.randomBytes(32).toString('hex');
+            pending.set(hid, { clientMac, clientIp, createdAt: Date.now() });
+            const fields = {
+                clientip: clientIp,
+                clientmac: clientMac,
+                gatewayname: encodeURIComponent('openNDS Simulator'),
+                hid,
+                gatewayaddress: `${address.host}:${address.port}`,
+                gatewaymac: SIMULATOR_AP_MAC.replace(/:/g, ''),
+                authdir: 'opennds_auth',
+                originurl: encodeURIComponent(continueUrl),
+                clientif: 'br-lan',
+            };
+            const text = Object.entries(fields).map(([key, value]) => `${key}=${value}`).join(', ');
+            target.searchParams.set('fas', Buffer.from(text).toString('base64'));
+        }
+
+        log(`new client ${clientMac} → ${target}`);
+        redirect(res, target.toString());
+    }
+
+    // ── Meraki ──
+
+    async function meraki(req, res, url) {
+        const match = /^\/splash\/([0-9a-f]+)\/(grant|login)$/.exec(url.pathname);
+        if (!match) return refuse(res, 404, page('Not found', url.pathname));
+        const [, id, action] = match;
+
+        if (action === 'grant' && req.method === 'GET') {
+            const entry = takePending(id);
+            if (!entry) return refuse(res, 400, page('Grant refused', 'Unknown or already used grant URL.'));
+            const duration = url.searchParams.get('duration');
+            authorize(entry.clientMac, 'meraki click-through', { durationSeconds: duration ? Number(duration) : null });
+            const next = url.searchParams.get('continue_url');
+            return send(res, 200, page('Access granted', `${entry.clientMac} is authorized.`, next));
+        }
+
+        if (action === 'login' && req.method === 'POST') {
+            const form = new URLSearchParams(await readBody(req));
+            const entry = pending.get(id);
+            if (!entry) return refuse(res, 400, page('Login refused', 'Unknown or expired login URL.'));
+            if (!form.get('username') || !form.get('password')) {
+                // Meraki sends the client back to the splash page with error_message
+                const back = new URL(splashUrl);
+                back.searchParams.set('error_message', 'Login failed: username and password are required');
+                counters.refused++;
+                return redirect(res, back.toString());
+            }
+            takePending(id);
+            authorize(entry.clientMac, 'meraki sign-on', { username: form.get('username') });
+            const success = form.get('success_url') || url.searchParams.get('continue_url');
+            return success ? redirect(res, success) : send(res, 200, page('Access granted', `${entry.clientMac} is authorized.`));
+        }
+
+        return refuse(res, 405, page('Method not allowed', req.method));
+    }
+
+    // ── UniFi ──
+
+    async function unifiApi(req, res, url) {
+        const error = (statusCode, msg) => refuse(res, statusCode, { meta: { rc: 'error', msg }, data: [] });
+        let body = {};
+        if (req.method === 'POST') {
+            try {
+                body = JSON.parse(await readBody(req) || '{}');
+            } catch {
+                return error(400, 'api.err.InvalidPayload');
+            }
+        }
+
+        if (req.method === 'POST' && (url.pathname === '/api/login' || url.pathname === '/api/auth/login')) {
+            if (body.username !== unifi.username || body.password !== unifi.password) {
+                return error(400, 'api.err.Invalid');
+            }
+            const session = crypto.randomBytes(16).toString('hex');
+            sessions.add(session);
+            const name = url.pathname === '/api/auth/login' ? 'TOKEN' : 'unifises';
+            return send(res, 200, { meta: { rc: 'ok' }, data: [] }, {
+                'Set-Cookie': `${name}=${session}; Path=/; HttpOnly`,
+                'X-CSRF-Token': session.slice(0, 16),
+            });
+        }
+
+        const match = /^(?:\/proxy\/network)?\/api\/s\/([^/]+)\/cmd\/stamgr$/.exec(url.pathname);
+        if (!match || req.method !== 'POST') return error(404, 'api.err.NotFound');
+
+        const session = /(?:unifises|TOKEN)=([0-9a-f]+)/.exec(req.headers.cookie || '');
+        if (!session || !sessions.has(session[1])) return error(401, 'api.err.LoginRequired');
+        if (decodeURIComponent(match[1]) !== unifiSite) return error(400, 'api.err.NoSiteContext');
+
+        const mac = String(body.mac || '').toLowerCase();
+        if (!/^([0-9a-f]{2}:){5}[0-9a-f]{2}$/.test(mac)) return error(400, 'api.err.InvalidMac');
+
+        if (body.cmd === 'authorize-guest') {
+            authorize(mac, 'unifi authorize-guest', { minutes: body.minutes || null, apMac: body.ap_mac || null });
+            return send(res, 200, { meta: { rc: 'ok' }, data: [{ mac, authorized: true }] });
+        }
+        if (body.cmd === 'unauthorize-guest') {
+            clients.delete(mac);
+            log(`unauthorized ${mac}`);
+            return send(res, 200, { meta: { rc: 'ok' }, data: [] });
+        }
+        return error(400, 'api.err.UnknownCommand');
+    }
+
+    // ── openNDS ──
+
+    function openNds(req, res, url) {
+        if (url.pathname !== '/opennds_auth/' || req.method !== 'GET') return refuse(res, 404, page('Not found', url.pathname));
+
+        const tok = url.searchParams.get('tok') || '';
+        const hid = [...pending.keys()].find(candidate => fasToken(candidate, opennds.fasKey) === tok);
+        if (!hid) return refuse(res, 403, page('Authentication refused', 'Unknown or already used token.'));
+
+        const entry = takePending(hid);
+        authorize(entry.clientMac, 'opennds fas');
+        const next = url.searchParams.get('redir');
+        return next ? redirect(res, next) : send(res, 200, page('Access granted', `${entry.clientMac} is authorized.`));
+    }
+
+    async function handle(req, res) {
+        counters.requests++;
+        const url = new URL(req.url, origin());
+        log(`${req.method} ${url.pathname}`);
+
+        try {
+            if (url.pathname === '/connect' && req.method === 'GET') return connect(res, url.searchParams);
+            if (url.pathname === '/clients' && req.method === 'GET') return send(res, 200, getClients());
+            if (controller === 'meraki') return await meraki(req, res, url);
+            if (controller === 'unifi') return await unifiApi(req, res, url);
+            return openNds(req, res, url);
+        } catch (err) {
+            log(`error: ${err.message}`);
+            if (!res.headersSent) send(res, 500, { error: err.message });
+        }
+    }
+
+    /**
+     * Starts listening. Resolves { host, port } with the port actually used.
+     */
+    function listen() {
+        return new Promise((resolve, reject) => {
+            server = http.createServer((req, res) => {
+                handle(req, res);
+            });
+            server.once('error', reject);
+            server.listen(port, host, () => {
+                address = { host, port: server.address().port };
+                console.log(`Controller simulator (${controller}) listening on ${origin()}`);
+                resolve(address);
+            });
+        });
+    }
+
+    function getClients() {
+        return [...clients.values()];
+    }
+
+    function getStatus() {
+        return { controller, url: origin(), pending: pending.size, authorizedClients: clients.size, ...counters };
+    }
+
+    function close() {
+        if (server) {
+            server.close();
+            server = null;
+        }
+    }
+
+    return { listen, getClients, getStatus, close, get url() { return origin(); } };
+}
+
+module.exports = { createControllerSimulator };
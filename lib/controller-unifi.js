@@ -0,0 +1,232 @@
+'use strict';
+
+/**
+ * UniFi Controller Adapter
+ *
+ * A UniFi guest network with an external portal redirects to the splash page with:
+ *
+ *   id (client MAC), ap (AP MAC), t (timestamp), url (the page the client asked for), ssid
+ *
+ * The grant is a server-side call to the controller's API, not a browser redirect:
+ *
+ *   POST /api/login                          { username, password }   → session cookie
+ *   POST /api/s/<site>/cmd/stamgr            { cmd: 'authorize-guest', mac, minutes, ap_mac }
+ *
+ * UniFi OS consoles (UDM, Cloud Key Gen2+, UNIFI_OS) log in at /api/auth/login, serve the
+ * Network API under /proxy/network and want the X-CSRF-Token they hand out. The session is
+ * reused and renewed once when the controller answers 401.
+ *
+ * Interface as in controller-meraki.js.
+ */
+
+const http = require('http');
+const https = require('https');
+const { normalizeMac } = require('./mac-address');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// ── API client ────────────────────────────────────────────
+
+/**
+ * Creates a client for the UniFi Network controller API.
+ *
+ * @param {object}  options
+ * @param {string}  options.url       — controller URL, e.g. https://unifi.example.org:8443
+ * @param {string}  options.username
+ * @param {string}  options.password
+ * @param {string}  options.site      — site name from the controller URL (/manage/site/<site>)
+ * @param {boolean} options.unifiOs   — UniFi OS console paths and CSRF token
+ * @param {Buffer}  options.ca        — CA certificate(s) for a self-signed controller, or null
+ * @param {number}  options.timeoutMs — per HTTP request
+ */
+function createUniFiClient({ url, username, password, site = 'default', unifiOs = false, ca = null, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    const base = new URL(url);
+    if (base.protocol !== 'https:' && base.protocol !== 'http:') {
+        throw new Error(`UniFi controller URL must be http(s) (got ${base.protocol})`);
+    }
+    const transport = base.protocol === 'https:' ? https : http;
+    const apiPrefix = unifiOs ? '/proxy/network' : '';
+
+    let cookie = null;
+    let csrfToken = null;
+    let loggingIn = null; // shared by requests that need a session at the same time
+
+    // One HTTP request; resolves { statusCode, headers, body } with body parsed as JSON when it is
+    function send(method, path, payload, headers = {}) {
+        return new Promise((resolve, reject) => {
+            const data = payload === undefined ? null : JSON.stringify(payload);
+            const req = transport.request({
+                protocol: base.protocol,
+                hostname: base.hostname,
+                port: base.port || undefined,
+                path: base.pathname.replace(/\/$/, '') + path,
+                method,
+                ca: ca || undefined,
+                timeout: timeoutMs,
+                headers: {
+                    'Accept': 'application/json',
+                    ...(data ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) } : {}),
+                    ...headers,
+                },
+            }, res => {
+                let body = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => { body += chunk; });
+                res.on('end', () => {
+                    let parsed = body;
+                    try {
+                        parsed = body ? JSON.parse(body) : null;
+                    } catch {
+                        // not JSON; keep the text for the error message
+                    }
+                    resolve({ statusCode: res.statusCode, headers: res.headers, body: parsed });
+                });
+            });
+            req.on('timeout', () => req.destroy(new Error(`UniFi controller did not answer within ${timeoutMs}ms`)));
+            req.on('error', reject);
+            if (data) req.write(data);
+            req.end();
+        });
+    }
+
+    function errorOf(res) {
+        const message = res.body && res.body.meta ? res.body.meta.msg : res.body;
+        return new Error(`UniFi controller returned ${res.statusCode}${message ? `: ${typeof message === 'string' ? message : JSON.stringify(message)}` : ''}`);
+    }
+
+    async function login() {
+        const res = await send('POST', unifiOs ? '/api/auth/login' : '/api/login', { username, password, remember: true });
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+            throw errorOf(res);
+        }
+        const cookies = [].concat(res.headers['set-cookie'] || []);
+        if (cookies.length === 0) {
+            throw new Error('UniFi controller login returned no session cookie');
+        }
+        cookie = cookies.map(entry => entry.split(';')[0]).join('; ');
+        csrfToken = res.headers['x-csrf-token'] || null;
+    }
+
+    function ensureLoggedIn() {
+        if (cookie) return Promise.resolve();
+        if (!loggingIn) {
+            loggingIn = login().finally(() => {
+                loggingIn = null;
+            });
+        }
+        return loggingIn;
+    }
+
+    /**
+     * Calls a site API endpoint, e.g. ('POST', 'cmd/stamgr', {...}). Resolves the `data`
+     * array of the reply; rejects when the controller reports an error.
+     */
+    async function siteRequest(method, endpoint, payload) {
+        const path = `${apiPrefix}/api/s/${encodeURIComponent(site)}/${endpoint}`;
+        for (let attempt = 0; ; attempt++) {
+            await ensureLoggedIn();
+            const headers = { Cookie: cookie };
+            if (csrfToken) headers['X-CSRF-Token'] = csrfToken;
+
+            const res = await send(method, path, payload, headers);
+            if (res.headers['x-updated-csrf-token']) csrfToken = res.headers['x-updated-csrf-token'];
+
+            // Expired session: log in again once
+            if (res.statusCode === 401 && attempt === 0) {
+                cookie = null;
+                continue;
+            }
+            if (res.statusCode < 200 || res.statusCode >= 300 || !res.body || !res.body.meta || res.body.meta.rc !== 'ok') {
+                throw errorOf(res);
+            }
+            return res.body.data || [];
+        }
+    }
+
+    return {
+        authorizeGuest({ mac, minutes, apMac }) {
+            const payload = { cmd: 'authorize-guest', mac, minutes };
+            if (apMac) payload.ap_mac = apMac;
+            return siteRequest('POST', 'cmd/stamgr', payload);
+        },
+        unauthorizeGuest(mac) {
+            return siteRequest('POST', 'cmd/stamgr', { cmd: 'unauthorize-guest', mac });
+        },
+        siteRequest,
+    };
+}
+
+// ── Controller factory ────────────────────────────────────
+
+/**
+ * Creates the UniFi adapter.
+ *
+ * @param {object} options
+ * @param {object} options.splashGrants — validates the continue URL (splash-grant.js)
+ * @param {object} options.api          — createUniFiClient() options
+ * @param {number} options.guestMinutes — authorization length when the login has no Session-Timeout
+ */
+function createUniFiController({ splashGrants, api, guestMinutes = 480 }) {
+    const client = createUniFiClient(api);
+    const counters = { parsed: 0, rejected: 0, granted: 0, failed: 0 };
+    let lastError = null;
+
+    function reject(error) {
+        counters.rejected++;
+        return { ok: false, error };
+    }
+
+    function parse(params) {
+        const clientMac = normalizeMac(params.id);
+        if (!clientMac) return reject('id (the client MAC) is missing or not a MAC address');
+        const apMac = params.ap ? normalizeMac(params.ap) : null;
+        if (params.ap && !apMac) return reject('ap is not a MAC address');
+
+        const target = splashGrants.validateContinue(params.url, 'url');
+        if (!target.ok) return reject(target.error);
+
+        counters.parsed++;
+        return {
+            ok: true,
+            splashMode: 'click-through',
+            client: { clientMac, clientIp: params.client_ip || null, apMac, ssid: params.ssid || null },
+            grant: { clientMac, apMac, continueUrl: target.continueUrl },
+        };
+    }
+
+    async function grant(details, { durationSeconds }) {
+        const minutes = durationSeconds ? Math.max(1, Math.ceil(durationSeconds / 60)) : guestMinutes;
+        try {
+            await client.authorizeGuest({ mac: details.clientMac, minutes, apMac: details.apMac });
+        } catch (err) {
+            counters.failed++;
+            lastError = err.message;
+            throw err;
+        }
+        counters.granted++;
+        // Authorized already; the page only takes the client where it was going
+        return { redirectUrl: details.continueUrl };
+    }
+
+    // Ends a guest authorization, e.g. for a RADIUS Disconnect-Request
+    async function revoke(clientMac) {
+        const mac = normalizeMac(clientMac);
+        if (!mac) throw new Error(`${clientMac} is not a MAC address`);
+        return client.unauthorizeGuest(mac);
+    }
+
+    function getStatus() {
+        return {
+            name: 'unifi',
+            controller: new URL(api.url).origin,
+            site: api.site || 'default',
+            unifiOs: Boolean(api.unifiOs),
+            ...counters,
+            lastError,
+        };
+    }
+
+    return { name: 'unifi', parse, grant, revoke, getStatus };
+}
+
+module.exports = { createUniFiController, createUniFiClient };
@@ -0,0 +1,183 @@
+'use strict';
+
+/**
+ * Graceful Shutdown
+ *
+ * ECS stops a task with SIGTERM and kills it `stopTimeout` seconds later. Without
+ * draining, every deploy cut off logins in progress and lost the Meraki renames and
+ * SQS tracking events still running after their responses were sent. On shutdown:
+ *
+ *   1. draining starts: readiness fails, new connections are refused, idle keep-alive
+ *      connections are closed and responses carry `Connection: close`
+ *   2. in-flight HTTP requests and tracked background tasks get until `timeoutMs` to
+ *      finish; whatever is still running then is logged and abandoned
+ *   3. the stop steps run in the order they were added (closing sockets, flushing
+ *      traces and logs), each bounded by the time left
+ *
+ * Background work only counts when it is passed to track().
+ */
+
+// ── Helpers ───────────────────────────────────────────────
+
+// Resolves true when promise settles within ms, false otherwise; never rejects
+function settlesWithin(promise, ms) {
+    let timer;
+    const deadline = new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), Math.max(0, ms));
+    });
+    return Promise.race([promise.then(() => true, () => true), deadline]).finally(() => clearTimeout(timer));
+}
+
+// ── Shutdown factory ──────────────────────────────────────
+
+/**
+ * Creates the shutdown coordinator.
+ *
+ * @param {object} options
+ * @param {number} options.timeoutMs — longest wait for requests, background tasks and stop steps together;
+ *                                     keep it below the ECS stopTimeout (30s by default)
+ */
+function createGracefulShutdown({ timeoutMs = 25000 } = {}) {
+    const servers = [];
+    const requests = new Set();
+    const tasks = new Map(); // promise → name
+    const stopSteps = [];
+    const counters = { tracked: 0, abandonedRequests: 0, abandonedTasks: 0 };
+    let draining = false;
+    let startedAt = null;
+    let reason = null;
+    let running = null;
+    let onIdle = null; // resolves waitForIdle() once nothing is left
+
+    function checkIdle() {
+        if (onIdle && requests.size === 0 && tasks.size === 0) onIdle();
+    }
+
+    /**
+     * Express middleware counting in-flight requests. Register it first, so every
+     * request is seen.
+     */
+    function middleware(req, res, next) {
+        requests.add(res);
+        res.once('close', () => {
+            requests.delete(res);
+            checkIdle();
+        });
+        if (draining) res.setHeader('Connection', 'close');
+        next();
+    }
+
+    /**
+     * Keeps the process alive for a fire-and-forget promise (e.g. a Meraki rename) until
+     * it settles or the shutdown deadline passes. Returns the promise.
+     */
+    function track(promise, name) {
+        counters.tracked++;
+        tasks.set(promise, name);
+        const done = () => {
+            tasks.delete(promise);
+            checkIdle();
+        };
+        promise.then(done, done);
+        return promise;
+    }
+
+    // HTTP server(s) to stop accepting connections on when draining starts
+    function addServer(server) {
+        servers.push(server);
+    }
+
+    /**
+     * Adds a step run after draining, e.g. closing a socket or flushing logs.
+     *
+     * @param {string}   name
+     * @param {function} fn — may return a promise
+     */
+    function onStop(name, fn) {
+        stopSteps.push({ name, fn });
+    }
+
+    function waitForIdle(deadline) {
+        if (requests.size === 0 && tasks.size === 0) return Promise.resolve(true);
+        return settlesWithin(new Promise(resolve => {
+            onIdle = resolve;
+        }), deadline - Date.now());
+    }
+
+    /**
+     * Runs the shutdown sequence once; later calls return the same promise.
+     *
+     * @param {string} why — e.g. the signal name, for the logs
+     * @returns {Promise<{ drained: boolean, durationMs: number, abandonedRequests: number, abandonedTasks: string[], failedSteps: string[] }>}
+     */
+    function shutdown(why) {
+        if (running) return running;
+        draining = true;
+        startedAt = Date.now();
+        reason = why;
+        const deadline = startedAt + timeoutMs;
+
+        running = (async () => {
+            for (const server of servers) {
+                server.close();
+                // Node 18 leaves idle keep-alive connections open after close()
+                if (server.closeIdleConnections) server.closeIdleConnections();
+            }
+            console.log(`Shutting down (${why}): waiting for ${requests.size} request(s) and ${tasks.size} background task(s)`);
+
+            const drained = await waitForIdle(deadline);
+            const abandonedTasks = [...tasks.values()];
+            const abandonedRequests = requests.size;
+            if (!drained) {
+                counters.abandonedRequests += abandonedRequests;
+                counters.abandonedTasks += abandonedTasks.length;
+                const names = abandonedTasks.length ? ` (${abandonedTasks.join(', ')})` : '';
+                console.error(`Shutdown deadline of ${timeoutMs}ms passed with ${abandonedRequests} request(s) and ` +
+                    `${abandonedTasks.length} background task(s)${names} unfinished`);
+                for (const server of servers) {
+                    if (server.closeAllConnections) server.closeAllConnections();
+                }
+            }
+
+            const failedSteps = [];
+            for (const step of stopSteps) {
+                let error = null;
+                try {
+                    const result = Promise.resolve().then(step.fn).catch(err => {
+                        error = err;
+                    });
+                    // Each step gets at least a second, even once the deadline has passed
+                    const finished = await settlesWithin(result, Math.max(deadline - Date.now(), 1000));
+                    if (error) throw error;
+                    if (!finished) throw new Error('timed out');
+                } catch (err) {
+                    failedSteps.push(step.name);
+                    console.error(`Shutdown step "${step.name}" failed: ${err.message}`);
+                }
+            }
+
+            return { drained, durationMs: Date.now() - startedAt, abandonedRequests, abandonedTasks, failedSteps };
+        })();
+        return running;
+    }
+
+    function isDraining() {
+        return draining;
+    }
+
+    function getStatus() {
+        return {
+            draining,
+            reason,
+            startedAt: startedAt ? new Date(startedAt).toISOString() : null,
+            timeoutMs,
+            inFlightRequests: requests.size,
+            backgroundTasks: tasks.size,
+            ...counters,
+        };
+    }
+
+    return { middleware, track, addServer, onStop, shutdown, isDraining, getStatus };
+}
+
+module.exports = { createGracefulShutdown };
@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * Meraki Group Policy Mapping
+ *
+ * Picks the Meraki group policy for a client from the attributes of its
+ * Access-Accept, so staff and students get different bandwidth / firewall rules:
+ *
+ *   [ { "filterId": "StaffPolicy", "groupPolicyId": "101", "name": "Staff" },
+ *     { "attribute": "Class", "match": "/^students/", "groupPolicyId": "102" } ]
+ *
+ * Each mapping compares one reply attribute (Filter-Id unless `attribute` is set)
+ * with an exact value or "/pattern/flags". Mappings are checked in order and the
+ * first match wins; no match leaves the client on the network's normal policy.
+ */
+
+const { compileRule } = require('./access-policy');
+
+// ── Helpers ──────────────────────────────────────────────
+
+// Reply attribute values as strings — octets attributes such as Class decode to Buffers
+function attributeValues(attributes, name) {
+    return [].concat(attributes[name] === undefined ? [] : attributes[name])
+        .map(value => (Buffer.isBuffer(value) ? value.toString('utf8') : String(value)));
+}
+
+function normalizeMapping(entry, index) {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error(`group policy mapping #${index + 1} must be an object`);
+    }
+
+    const match = entry.match !== undefined ? entry.match : entry.filterId;
+    if (match === undefined || match === '') {
+        throw new Error(`group policy mapping #${index + 1} needs "filterId" or "match"`);
+    }
+    if (entry.groupPolicyId === undefined || entry.groupPolicyId === '') {
+        throw new Error(`group policy mapping #${index + 1} has no groupPolicyId`);
+    }
+
+    const groupPolicyId = String(entry.groupPolicyId);
+    return {
+        attribute: entry.attribute || 'Filter-Id',
+        rule: compileRule(match),
+        groupPolicyId,
+        name: entry.name || `Group policy ${groupPolicyId}`,
+    };
+}
+
+// ── Mapping factory ───────────────────────────────────────
+
+/**
+ * Creates the group policy mapping.
+ *
+ * @param {object}   options
+ * @param {object[]} options.mappings — mapping entries (see above), checked in order
+ */
+function createGroupPolicyMap({ mappings = [] }) {
+    if (!Array.isArray(mappings)) {
+        throw new Error('MERAKI_GROUP_POLICIES must be a JSON array');
+    }
+
+    const table = mappings.map(normalizeMapping);
+
+    /**
+     * Returns { groupPolicyId, name, attribute, value } for the first mapping that
+     * matches the Access-Accept attributes, or null.
+     */
+    function resolve(attributes = {}) {
+        for (const mapping of table) {
+            const value = attributeValues(attributes, mapping.attribute).find(v => mapping.rule.test(v));
+            if (value !== undefined) {
+                return {
+                    groupPolicyId: mapping.groupPolicyId,
+                    name: mapping.name,
+                    attribute: mapping.attribute,
+                    value,
+                };
+            }
+        }
+        return null;
+    }
+
+    function getSummary() {
+        return table.map(m => ({
+            attribute: m.attribute,
+            match: m.rule.source,
+            groupPolicyId: m.groupPolicyId,
+            name: m.name,
+        }));
+    }
+
+    return { resolve, getSummary, size: table.length };
+}
+
+module.exports = { createGroupPolicyMap };
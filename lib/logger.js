@@ -0,0 +1,258 @@
+'use strict';
+
+/**
+ * Structured Logger
+ *
+ * One JSON object per line on stdout, the shape CloudWatch Logs (awslogs driver) parses
+ * into searchable fields:
+ *
+ *   {"timestamp":"...","level":"info","message":"...","requestId":"...", ...fields}
+ *
+ *   - levels: debug < info < warn < error; entries below the configured level are dropped
+ *   - request IDs: entries written while handling a request (see runWithContext) carry
+ *     its requestId without it being passed around
+ *   - redaction: values under sensitive keys (passwords, secrets, tokens, API keys,
+ *     CHAP / MS-CHAP data, MPPE keys) are replaced, in fields, in objects passed to
+ *     console.* and in RADIUS attribute lists ([name, value] pairs); "password=..."
+ *     style text and Bearer tokens in messages are masked too
+ *   - optional file copy with size- and/or time-based rotation and a retention limit
+ *
+ * captureConsole() routes console.log / warn / error / debug through the logger, so
+ * modules that log with console get the same treatment.
+ */
+
+const fs = require('fs');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+
+// Keys are compared lower-cased with everything but letters and digits removed
+const SENSITIVE_KEY_PARTS = ['password', 'passwd', 'secret', 'token', 'apikey', 'passphrase', 'privatekey', 'authorization', 'cookie', 'mppe', 'chap'];
+const SENSITIVE_TEXT = [
+    // password=..., "secret": "...", api_key: ...
+    /((?:password|passwd|secret|token|api[_-]?key|passphrase)[\w-]*["']?\s*[:=]\s*)("[^"]*"|'[^']*'|[^\s,;&}\]]+)/gi,
+    /(Bearer\s+)[\w.~+/=-]+/gi,
+];
+
+// ── Redaction ─────────────────────────────────────────────
+
+function isSensitiveKey(key) {
+    const normalized = String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return SENSITIVE_KEY_PARTS.some(part => normalized.includes(part));
+}
+
+function redactText(text) {
+    return SENSITIVE_TEXT.reduce((result, pattern) => result.replace(pattern, `$1${REDACTED}`), text);
+}
+
+/**
+ * Returns a copy of value with sensitive values replaced. Buffers are summarized, and
+ * nesting deeper than a few levels is cut off.
+ */
+function redact(value, depth = 0) {
+    if (typeof value === 'string') return redactText(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (Buffer.isBuffer(value)) return `<Buffer ${value.length} bytes>`;
+    if (value instanceof Error) {
+        return { name: value.name, message: redactText(value.message), stack: value.stack && redactText(value.stack) };
+    }
+    if (depth > 5) return '[Object]';
+
+    if (Array.isArray(value)) {
+        // RADIUS attribute pair: ['User-Password', 'secret']
+        if (value.length === 2 && typeof value[0] === 'string' && isSensitiveKey(value[0])) {
+            return [value[0], REDACTED];
+        }
+        return value.map(item => redact(item, depth + 1));
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = isSensitiveKey(key) ? REDACTED : redact(item, depth + 1);
+    }
+    return copy;
+}
+
+// ── Rotating file ─────────────────────────────────────────
+
+function periodOf(rotate, time) {
+    const iso = new Date(time).toISOString();
+    if (rotate === 'daily') return iso.slice(0, 10);
+    if (rotate === 'hourly') return iso.slice(0, 13);
+    return null;
+}
+
+/**
+ * Appends lines to filePath. The file is rotated when it would grow past maxBytes, or
+ * when the day / hour changes; filePath.1 is the newest old file, and at most maxFiles
+ * old files are kept.
+ */
+function createRotatingFile({ filePath, maxBytes = 10 * 1024 * 1024, maxFiles = 5, rotate = null }) {
+    let fd = null;
+    let size = 0;
+    let period = null;
+    let errors = 0;
+    let rotations = 0;
+
+    function failed(action, err) {
+        errors++;
+        process.stderr.write(`Failed to ${action} log file ${filePath}: ${err.message}\n`);
+    }
+
+    function open() {
+        fd = fs.openSync(filePath, 'a');
+        const stat = fs.fstatSync(fd);
+        size = stat.size;
+        period = periodOf(rotate, size > 0 ? stat.mtimeMs : Date.now());
+    }
+
+    function shift() {
+        fs.closeSync(fd);
+        fd = null;
+        fs.rmSync(`${filePath}.${maxFiles}`, { force: true });
+        for (let i = maxFiles - 1; i >= 1; i--) {
+            if (fs.existsSync(`${filePath}.${i}`)) fs.renameSync(`${filePath}.${i}`, `${filePath}.${i + 1}`);
+        }
+        if (maxFiles > 0) {
+            fs.renameSync(filePath, `${filePath}.1`);
+        } else {
+            fs.rmSync(filePath, { force: true });
+        }
+        rotations++;
+        open();
+    }
+
+    // Synchronous, like the appendFileSync logger it replaces: entries are on disk in order,
+    // even when the process exits right after logging
+    function write(line) {
+        try {
+            if (fd === null) open();
+            const bytes = Buffer.byteLength(line);
+            if ((maxBytes > 0 && size > 0 && size + bytes > maxBytes) ||
+                (period && periodOf(rotate, Date.now()) !== period)) {
+                try {
+                    shift();
+                } catch (err) {
+                    failed('rotate', err);
+                    if (fd === null) open();
+                }
+            }
+            fs.writeSync(fd, line);
+            size += bytes;
+        } catch (err) {
+            failed('write to', err);
+        }
+    }
+
+    function getStatus() {
+        return { path: filePath, sizeBytes: size, maxBytes, maxFiles, rotate, rotations, errors };
+    }
+
+    function close() {
+        if (fd !== null) fs.closeSync(fd);
+        fd = null;
+    }
+
+    return { write, getStatus, close };
+}
+
+// ── Logger factory ────────────────────────────────────────
+
+/**
+ * Creates the logger.
+ *
+ * @param {object} options
+ * @param {string} options.level  — lowest level written: debug, info, warn or error
+ * @param {string} options.format — 'json' (one object per line), or 'pretty' for reading in a terminal
+ * @param {object} options.file   — { filePath, maxBytes, maxFiles, rotate: 'daily'|'hourly'|null }
+ *                                  to also append every entry (as JSON) to a file; null for none
+ * @param {object} options.base   — fields added to every entry, e.g. { service, version }
+ */
+function createLogger({ level = 'info', format = 'json', file = null, base = {} } = {}) {
+    if (!LEVELS[level]) {
+        throw new Error(`Unknown log level "${level}" (use debug, info, warn or error)`);
+    }
+    if (format !== 'json' && format !== 'pretty') {
+        throw new Error(`Unknown log format "${format}" (use json or pretty)`);
+    }
+
+    const threshold = LEVELS[level];
+    const context = new AsyncLocalStorage();
+    const output = file ? createRotatingFile(file) : null;
+    const counters = { debug: 0, info: 0, warn: 0, error: 0 };
+    // Written directly, so captureConsole() cannot loop back into the logger
+    const write = process.stdout.write.bind(process.stdout);
+
+    function log(entryLevel, message, fields = {}) {
+        if (LEVELS[entryLevel] < threshold) return;
+        counters[entryLevel]++;
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level: entryLevel,
+            message: redactText(String(message)),
+            ...base,
+            ...context.getStore(),
+            ...redact(fields),
+        };
+        const json = JSON.stringify(entry) + '\n';
+
+        if (format === 'json') {
+            write(json);
+        } else {
+            const rest = { ...entry };
+            delete rest.timestamp;
+            delete rest.level;
+            delete rest.message;
+            const extra = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : '';
+            write(`[${entry.timestamp}] ${entryLevel.toUpperCase()} ${entry.message}${extra}\n`);
+        }
+
+        if (output) output.write(json);
+    }
+
+    /**
+     * Runs fn with fields (e.g. { requestId }) added to every entry logged until it,
+     * and anything it starts, completes.
+     */
+    function runWithContext(fields, fn) {
+        return context.run({ ...context.getStore(), ...fields }, fn);
+    }
+
+    /**
+     * Sends console.log / info / warn / error / debug through the logger. Objects passed
+     * to console are redacted before they are formatted.
+     */
+    function captureConsole() {
+        const levelOf = { log: 'info', info: 'info', warn: 'warn', error: 'error', debug: 'debug' };
+        for (const [method, entryLevel] of Object.entries(levelOf)) {
+            console[method] = (...args) => {
+                const safe = args.map(arg => (arg !== null && typeof arg === 'object' && !(arg instanceof Error) ? redact(arg) : arg));
+                log(entryLevel, util.formatWithOptions({ breakLength: Infinity, depth: 4 }, ...safe));
+            };
+        }
+    }
+
+    function getStatus() {
+        return { level, format, file: output ? output.getStatus() : null, entries: { ...counters } };
+    }
+
+    function close() {
+        if (output) output.close();
+    }
+
+    return {
+        debug: (message, fields) => log('debug', message, fields),
+        info: (message, fields) => log('info', message, fields),
+        warn: (message, fields) => log('warn', message, fields),
+        error: (message, fields) => log('error', message, fields),
+        runWithContext,
+        captureConsole,
+        getStatus,
+        close,
+    };
+}
+
+module.exports = { createLogger };
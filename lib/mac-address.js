@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * MAC Addresses
+ *
+ * Controllers, NAS devices and the splash page all write client MACs differently
+ * (AA-BB-CC-DD-EE-FF, aa:bb:cc:dd:ee:ff, aabb.ccdd.eeff, aabbccddeeff). Everything that
+ * compares or stores one uses this normal form, so the same device is one key everywhere.
+ */
+
+/**
+ * "AA-BB-CC-DD-EE-FF" / "aabb.ccdd.eeff" / "aabbccddeeff" → "aa:bb:cc:dd:ee:ff".
+ * Anything that is not 12 hex digits with optional : - . separators gives null.
+ *
+ * @param {*} value
+ * @returns {string|null}
+ */
+function normalizeMac(value) {
+    if (typeof value !== 'string') return null;
+    const hex = value.trim().replace(/[:.-]/g, '').toLowerCase();
+    return /^[0-9a-f]{12}$/.test(hex) ? hex.match(/../g).join(':') : null;
+}
+
+module.exports = { normalizeMac };
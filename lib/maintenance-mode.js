@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * Maintenance Mode (fail-open)
+ *
+ * Lets staff on the network while RADIUS is unusable, e.g. an outage right before
+ * exams. While active, logins are granted without RADIUS, but only:
+ *
+ *   - to usernames in one of the allowed email domains (the password cannot be checked),
+ *   - with a restricted Meraki group policy and a short session,
+ *   - flagged as fail-open in the client tracking event, for auditing afterwards.
+ *
+ * It is active while an admin has enabled it (optionally until a given time), or
+ * automatically while the RADIUS circuit breaker is open if `autoEnable` is set.
+ */
+
+// ── Helpers ──────────────────────────────────────────────
+
+function normalizeDomain(domain) {
+    return String(domain).trim().toLowerCase().replace(/^@/, '');
+}
+
+// ── Mode factory ──────────────────────────────────────────
+
+/**
+ * Creates the maintenance mode switch.
+ *
+ * @param {object}   options
+ * @param {string[]} options.allowedDomains  — email domains that may sign in while active
+ * @param {object}   options.groupPolicy     — { groupPolicyId, name } applied to fail-open grants, or null
+ * @param {number}   options.durationSeconds — session length of a fail-open grant
+ * @param {boolean}  options.autoEnable      — active whenever isCircuitOpen() returns true
+ * @param {Function} options.isCircuitOpen   — () => boolean, state of the RADIUS circuit breaker
+ */
+function createMaintenanceMode({ allowedDomains = [], groupPolicy = null, durationSeconds = 3600, autoEnable = false, isCircuitOpen = () => false }) {
+    const domains = allowedDomains.map(normalizeDomain).filter(Boolean);
+    const counters = { allowed: 0, refused: 0, activations: 0 };
+    let manual = null; // { enabledAt, enabledBy, reason, expiresAt }
+
+    function manualActive(now = Date.now()) {
+        if (manual && manual.expiresAt && Date.parse(manual.expiresAt) <= now) {
+            console.log(`Maintenance mode expired (enabled by ${manual.enabledBy})`);
+            manual = null;
+        }
+        return Boolean(manual);
+    }
+
+    /**
+     * Returns why fail-open is active: 'manual', 'circuit-breaker', or null when it is not.
+     */
+    function activeSource() {
+        if (manualActive()) return 'manual';
+        if (autoEnable && isCircuitOpen()) return 'circuit-breaker';
+        return null;
+    }
+
+    /**
+     * Turns fail-open on until disabled, or for expiresInSeconds.
+     */
+    function enable({ enabledBy, reason, expiresInSeconds } = {}) {
+        const now = Date.now();
+        manual = {
+            enabledAt: new Date(now).toISOString(),
+            enabledBy: enabledBy || 'unknown',
+            reason: reason || null,
+            expiresAt: expiresInSeconds > 0 ? new Date(now + expiresInSeconds * 1000).toISOString() : null,
+        };
+        counters.activations++;
+        console.warn(
+            `MAINTENANCE MODE ENABLED by ${manual.enabledBy}` +
+            `${manual.reason ? ` (${manual.reason})` : ''}` +
+            `${manual.expiresAt ? ` until ${manual.expiresAt}` : ''} — logins are granted without RADIUS`
+        );
+        return getStatus();
+    }
+
+    function disable({ disabledBy } = {}) {
+        if (manual) {
+            console.warn(`Maintenance mode disabled by ${disabledBy || 'unknown'}`);
+        }
+        manual = null;
+        return getStatus();
+    }
+
+    /**
+     * Checks whether a username may get a fail-open grant.
+     *
+     * @returns {{ allowed: boolean, domain: string|null }}
+     */
+    function checkUsername(username) {
+        const at = String(username || '').lastIndexOf('@');
+        const domain = at > 0 ? String(username).slice(at + 1).toLowerCase() : null;
+        const allowed = Boolean(domain) && domains.includes(domain);
+
+        counters[allowed ? 'allowed' : 'refused']++;
+        return { allowed, domain };
+    }
+
+    function getStatus() {
+        const source = activeSource();
+        return {
+            active: Boolean(source),
+            source,
+            autoEnable,
+            manual: manual ? { ...manual } : null,
+            allowedDomains: domains,
+            groupPolicy,
+            durationSeconds,
+            ...counters,
+        };
+    }
+
+    return { activeSource, enable, disable, checkUsername, getStatus, groupPolicy, durationSeconds };
+}
+
+module.exports = { createMaintenanceMode };
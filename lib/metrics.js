@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * Prometheus Metrics
+ *
+ * A small registry that renders the Prometheus text exposition format (version 0.0.4)
+ * for GET /metrics:
+ *
+ *   - counters:   inc(labels, amount)
+ *   - histograms: observe(labels, value), with cumulative buckets, _sum and _count
+ *   - gauges:     set(labels, value), or a collect() callback that reports current
+ *                 values (e.g. the circuit breaker state) when the endpoint is scraped
+ *
+ * Every metric declares its label names up front; values for other labels are ignored
+ * and missing ones are rendered as "". Label values must come from a bounded set — a
+ * new value is a new time series for as long as the process runs.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+// Seconds; suits HTTP handlers and RADIUS round trips alike
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// ── Formatting ────────────────────────────────────────────
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    if (Number.isNaN(value)) return 'NaN';
+    return String(value);
+}
+
+function formatLabels(names, values, extra = null) {
+    const pairs = names.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+    if (extra) pairs.push(`${extra[0]}="${escapeLabelValue(extra[1])}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function checkName(name) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+        throw new Error(`Invalid metric name "${name}"`);
+    }
+}
+
+// ── Metric types ──────────────────────────────────────────
+
+// One entry per combination of label values, keyed by the values joined with NUL
+function seriesStore(labelNames) {
+    const series = new Map();
+    return {
+        get(labels, create) {
+            const values = labelNames.map(name => (labels && labels[name] !== undefined && labels[name] !== null ? String(labels[name]) : ''));
+            const key = values.join('\u0000');
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { values, ...create() };
+                series.set(key, entry);
+            }
+            return entry;
+        },
+        entries: () => [...series.values()],
+        clear: () => series.clear(),
+    };
+}
+
+function createCounter({ name, help, labelNames = [] }) {
+    const store = seriesStore(labelNames);
+
+    function inc(labels = {}, amount = 1) {
+        if (!(amount >= 0)) throw new Error(`Counter ${name} can only increase`);
+        store.get(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    function render() {
+        return store.entries().map(entry => `${name}${formatLabels(labelNames, entry.values)} ${formatValue(entry.value)}`);
+    }
+
+    return { name, help, type: 'counter', inc, render };
+}
+
+function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const store = seriesStore(labelNames);
+
+    function observe(labels = {}, value) {
+        const entry = store.get(labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+        for (let i = 0; i < bounds.length; i++) {
+            if (value <= bounds[i]) entry.counts[i]++;
+        }
+        entry.sum += value;
+        entry.count++;
+    }
+
+    /**
+     * Starts a timer; calling the returned function observes the elapsed seconds
+     * with the labels given at the start merged with those given at the end.
+     */
+    function startTimer(labels = {}) {
+        const started = process.hrtime.bigint();
+        return (endLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            observe({ ...labels, ...endLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    function render() {
+        const lines = [];
+        for (const entry of store.entries()) {
+            bounds.forEach((bound, i) => {
+                lines.push(`${name}_bucket${formatLabels(labelNames, entry.values, ['le', formatValue(bound)])} ${entry.counts[i]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels(labelNames, entry.values, ['le', '+Inf'])} ${entry.count}`);
+            lines.push(`${name}_sum${formatLabels(labelNames, entry.values)} ${formatValue(entry.sum)}`);
+            lines.push(`${name}_count${formatLabels(labelNames, entry.values)} ${entry.count}`);
+        }
+        return lines;
+    }
+
+    return { name, help, type: 'histogram', observe, startTimer, render };
+}
+
+function createGauge({ name, help, labelNames = [], collect = null }) {
+    const store = seriesStore(labelNames);
+
+    function set(labels = {}, value) {
+        store.get(labels, () => ({ value: 0 })).value = value;
+    }
+
+    function render() {
+        if (collect) {
+            // Current values only, so series that no longer exist (e.g. a removed server) disappear
+            store.clear();
+            collect(set);
+        }
+        return store.entries().map(entry => `${name}${formatLabels(labelNames, entry.values)} ${formatValue(entry.value)}`);
+    }
+
+    return { name, help, type: 'gauge', set, render };
+}
+
+// ── Registry factory ──────────────────────────────────────
+
+/**
+ * Creates a metrics registry.
+ *
+ * @param {object} options
+ * @param {string} options.prefix — prepended to every metric name, e.g. 'splash_'
+ */
+function createMetricsRegistry({ prefix = '' } = {}) {
+    const metrics = new Map();
+
+    function register(metric) {
+        checkName(metric.name);
+        if (metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    /**
+     * Renders every metric. A collect() callback that throws leaves its gauge out
+     * rather than failing the scrape.
+     */
+    function render() {
+        const lines = [];
+        for (const metric of metrics.values()) {
+            let samples;
+            try {
+                samples = metric.render();
+            } catch (err) {
+                console.error(`Failed to collect metric ${metric.name}: ${err.message}`);
+                continue;
+            }
+            lines.push(`# HELP ${metric.name} ${escapeHelp(metric.help)}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            lines.push(...samples);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    return {
+        contentType: CONTENT_TYPE,
+        counter: options => register(createCounter({ ...options, name: prefix + options.name })),
+        histogram: options => register(createHistogram({ ...options, name: prefix + options.name })),
+        gauge: options => register(createGauge({ ...options, name: prefix + options.name })),
+        render,
+    };
+}
+
+module.exports = { createMetricsRegistry, DEFAULT_BUCKETS };
@@ -0,0 +1,253 @@
+'use strict';
+
+/**
+ * MS-CHAPv2 (RFC 2759) primitives
+ *
+ * Node 17+ ships OpenSSL 3, which disables MD4 and single DES unless the legacy
+ * provider is loaded. MS-CHAPv2 needs both, so they are implemented here in plain
+ * JavaScript. They only ever run on a few bytes per login.
+ */
+
+const crypto = require('crypto');
+
+// ── MD4 (RFC 1320) ───────────────────────────────────────
+
+const MD4_ROUNDS = [
+    {
+        order: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+        shifts: [3, 7, 11, 19],
+        constant: 0,
+        fn: (x, y, z) => (x & y) | (~x & z),
+    },
+    {
+        order: [0, 4, 8, 12, 1, 5, 9, 13, 2, 6, 10, 14, 3, 7, 11, 15],
+        shifts: [3, 5, 9, 13],
+        constant: 0x5a827999,
+        fn: (x, y, z) => (x & y) | (x & z) | (y & z),
+    },
+    {
+        order: [0, 8, 4, 12, 2, 10, 6, 14, 1, 9, 5, 13, 3, 11, 7, 15],
+        shifts: [3, 9, 11, 15],
+        constant: 0x6ed9eba1,
+        fn: (x, y, z) => x ^ y ^ z,
+    },
+];
+
+function rotl(n, s) {
+    return ((n << s) | (n >>> (32 - s))) >>> 0;
+}
+
+function md4(input) {
+    const total = Math.ceil((input.length + 9) / 64) * 64;
+    const msg = Buffer.alloc(total);
+    input.copy(msg);
+    msg[input.length] = 0x80;
+    msg.writeUInt32LE((input.length * 8) >>> 0, total - 8);
+    msg.writeUInt32LE(Math.floor(input.length / 0x20000000), total - 4);
+
+    const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+    const x = new Array(16);
+
+    for (let block = 0; block < total; block += 64) {
+        for (let i = 0; i < 16; i++) x[i] = msg.readUInt32LE(block + i * 4);
+
+        const v = h.slice();
+        for (const round of MD4_ROUNDS) {
+            for (let i = 0; i < 16; i++) {
+                // Steps update a, d, c, b in turn; the other three words are its inputs
+                const t = (4 - (i % 4)) % 4;
+                const sum = v[t] + round.fn(v[(t + 1) % 4], v[(t + 2) % 4], v[(t + 3) % 4]) +
+                    x[round.order[i]] + round.constant;
+                v[t] = rotl(sum >>> 0, round.shifts[i % 4]);
+            }
+        }
+
+        for (let i = 0; i < 4; i++) h[i] = (h[i] + v[i]) >>> 0;
+    }
+
+    const out = Buffer.alloc(16);
+    h.forEach((word, i) => out.writeUInt32LE(word, i * 4));
+    return out;
+}
+
+// ── DES (FIPS 46-3), single-block encryption only ────────
+
+const IP = [
+    58, 50, 42, 34, 26, 18, 10, 2, 60, 52, 44, 36, 28, 20, 12, 4,
+    62, 54, 46, 38, 30, 22, 14, 6, 64, 56, 48, 40, 32, 24, 16, 8,
+    57, 49, 41, 33, 25, 17, 9, 1, 59, 51, 43, 35, 27, 19, 11, 3,
+    61, 53, 45, 37, 29, 21, 13, 5, 63, 55, 47, 39, 31, 23, 15, 7,
+];
+const FP = [
+    40, 8, 48, 16, 56, 24, 64, 32, 39, 7, 47, 15, 55, 23, 63, 31,
+    38, 6, 46, 14, 54, 22, 62, 30, 37, 5, 45, 13, 53, 21, 61, 29,
+    36, 4, 44, 12, 52, 20, 60, 28, 35, 3, 43, 11, 51, 19, 59, 27,
+    34, 2, 42, 10, 50, 18, 58, 26, 33, 1, 41, 9, 49, 17, 57, 25,
+];
+const E = [
+    32, 1, 2, 3, 4, 5, 4, 5, 6, 7, 8, 9, 8, 9, 10, 11,
+    12, 13, 12, 13, 14, 15, 16, 17, 16, 17, 18, 19, 20, 21, 20, 21,
+    22, 23, 24, 25, 24, 25, 26, 27, 28, 29, 28, 29, 30, 31, 32, 1,
+];
+const P = [
+    16, 7, 20, 21, 29, 12, 28, 17, 1, 15, 23, 26, 5, 18, 31, 10,
+    2, 8, 24, 14, 32, 27, 3, 9, 19, 13, 30, 6, 22, 11, 4, 25,
+];
+const PC1 = [
+    57, 49, 41, 33, 25, 17, 9, 1, 58, 50, 42, 34, 26, 18,
+    10, 2, 59, 51, 43, 35, 27, 19, 11, 3, 60, 52, 44, 36,
+    63, 55, 47, 39, 31, 23, 15, 7, 62, 54, 46, 38, 30, 22,
+    14, 6, 61, 53, 45, 37, 29, 21, 13, 5, 28, 20, 12, 4,
+];
+const PC2 = [
+    14, 17, 11, 24, 1, 5, 3, 28, 15, 6, 21, 10, 23, 19, 12, 4,
+    26, 8, 16, 7, 27, 20, 13, 2, 41, 52, 31, 37, 47, 55, 30, 40,
+    51, 45, 33, 48, 44, 49, 39, 56, 34, 53, 46, 42, 50, 36, 29, 32,
+];
+const SHIFTS = [1, 1, 2, 2, 2, 2, 2, 2, 1, 2, 2, 2, 2, 2, 2, 1];
+const SBOXES = [
+    [14, 4, 13, 1, 2, 15, 11, 8, 3, 10, 6, 12, 5, 9, 0, 7, 0, 15, 7, 4, 14, 2, 13, 1, 10, 6, 12, 11, 9, 5, 3, 8,
+        4, 1, 14, 8, 13, 6, 2, 11, 15, 12, 9, 7, 3, 10, 5, 0, 15, 12, 8, 2, 4, 9, 1, 7, 5, 11, 3, 14, 10, 0, 6, 13],
+    [15, 1, 8, 14, 6, 11, 3, 4, 9, 7, 2, 13, 12, 0, 5, 10, 3, 13, 4, 7, 15, 2, 8, 14, 12, 0, 1, 10, 6, 9, 11, 5,
+        0, 14, 7, 11, 10, 4, 13, 1, 5, 8, 12, 6, 9, 3, 2, 15, 13, 8, 10, 1, 3, 15, 4, 2, 11, 6, 7, 12, 0, 5, 14, 9],
+    [10, 0, 9, 14, 6, 3, 15, 5, 1, 13, 12, 7, 11, 4, 2, 8, 13, 7, 0, 9, 3, 4, 6, 10, 2, 8, 5, 14, 12, 11, 15, 1,
+        13, 6, 4, 9, 8, 15, 3, 0, 11, 1, 2, 12, 5, 10, 14, 7, 1, 10, 13, 0, 6, 9, 8, 7, 4, 15, 14, 3, 11, 5, 2, 12],
+    [7, 13, 14, 3, 0, 6, 9, 10, 1, 2, 8, 5, 11, 12, 4, 15, 13, 8, 11, 5, 6, 15, 0, 3, 4, 7, 2, 12, 1, 10, 14, 9,
+        10, 6, 9, 0, 12, 11, 7, 13, 15, 1, 3, 14, 5, 2, 8, 4, 3, 15, 0, 6, 10, 1, 13, 8, 9, 4, 5, 11, 12, 7, 2, 14],
+    [2, 12, 4, 1, 7, 10, 11, 6, 8, 5, 3, 15, 13, 0, 14, 9, 14, 11, 2, 12, 4, 7, 13, 1, 5, 0, 15, 10, 3, 9, 8, 6,
+        4, 2, 1, 11, 10, 13, 7, 8, 15, 9, 12, 5, 6, 3, 0, 14, 11, 8, 12, 7, 1, 14, 2, 13, 6, 15, 0, 9, 10, 4, 5, 3],
+    [12, 1, 10, 15, 9, 2, 6, 8, 0, 13, 3, 4, 14, 7, 5, 11, 10, 15, 4, 2, 7, 12, 9, 5, 6, 1, 13, 14, 0, 11, 3, 8,
+        9, 14, 15, 5, 2, 8, 12, 3, 7, 0, 4, 10, 1, 13, 11, 6, 4, 3, 2, 12, 9, 5, 15, 10, 11, 14, 1, 7, 6, 0, 8, 13],
+    [4, 11, 2, 14, 15, 0, 8, 13, 3, 12, 9, 7, 5, 10, 6, 1, 13, 0, 11, 7, 4, 9, 1, 10, 14, 3, 5, 12, 2, 15, 8, 6,
+        1, 4, 11, 13, 12, 3, 7, 14, 10, 15, 6, 8, 0, 5, 9, 2, 6, 11, 13, 8, 1, 4, 10, 7, 9, 5, 0, 15, 14, 2, 3, 12],
+    [13, 2, 8, 4, 6, 15, 11, 1, 10, 9, 3, 14, 5, 0, 12, 7, 1, 15, 13, 8, 10, 3, 7, 4, 12, 5, 6, 11, 0, 14, 9, 2,
+        7, 11, 4, 1, 9, 12, 14, 2, 0, 6, 10, 13, 15, 3, 5, 8, 2, 1, 14, 7, 4, 10, 8, 13, 15, 12, 9, 0, 3, 5, 6, 11],
+];
+
+function toBits(buf) {
+    const bits = [];
+    for (const byte of buf) {
+        for (let i = 7; i >= 0; i--) bits.push((byte >> i) & 1);
+    }
+    return bits;
+}
+
+function fromBits(bits) {
+    const out = Buffer.alloc(bits.length / 8);
+    for (let i = 0; i < bits.length; i++) {
+        out[i >> 3] |= bits[i] << (7 - (i % 8));
+    }
+    return out;
+}
+
+function permute(bits, table) {
+    return table.map(pos => bits[pos - 1]);
+}
+
+/**
+ * Spreads a 7-byte (56-bit) key over 8 bytes, leaving the low (parity) bit of each byte unset.
+ */
+function expandKey(key7) {
+    const bits = toBits(key7);
+    const key8 = Buffer.alloc(8);
+    for (let i = 0; i < 8; i++) {
+        for (let j = 0; j < 7; j++) {
+            key8[i] |= bits[i * 7 + j] << (7 - j);
+        }
+    }
+    return key8;
+}
+
+function desEncryptBlock(key7, block) {
+    const keyBits = permute(toBits(expandKey(key7)), PC1);
+    let c = keyBits.slice(0, 28);
+    let d = keyBits.slice(28);
+
+    const bits = permute(toBits(block), IP);
+    let l = bits.slice(0, 32);
+    let r = bits.slice(32);
+
+    for (let round = 0; round < 16; round++) {
+        const shift = SHIFTS[round];
+        c = c.slice(shift).concat(c.slice(0, shift));
+        d = d.slice(shift).concat(d.slice(0, shift));
+        const subkey = permute(c.concat(d), PC2);
+
+        const expanded = permute(r, E).map((bit, i) => bit ^ subkey[i]);
+        const sboxOut = [];
+        for (let s = 0; s < 8; s++) {
+            const six = expanded.slice(s * 6, s * 6 + 6);
+            const row = (six[0] << 1) | six[5];
+            const col = (six[1] << 3) | (six[2] << 2) | (six[3] << 1) | six[4];
+            const value = SBOXES[s][row * 16 + col];
+            for (let i = 3; i >= 0; i--) sboxOut.push((value >> i) & 1);
+        }
+
+        const f = permute(sboxOut, P);
+        const next = l.map((bit, i) => bit ^ f[i]);
+        l = r;
+        r = next;
+    }
+
+    return fromBits(permute(r.concat(l), FP));
+}
+
+// ── RFC 2759 §8 ───────────────────────────────────────────
+
+const MAGIC1 = Buffer.from('Magic server to client signing constant', 'ascii');
+const MAGIC2 = Buffer.from('Pad to make it do more than one iteration', 'ascii');
+
+function sha1(...parts) {
+    const hash = crypto.createHash('sha1');
+    parts.forEach(part => hash.update(part));
+    return hash.digest();
+}
+
+/**
+ * RFC 2759 uses the user name without any Windows domain prefix ("DOMAIN\user" → "user").
+ */
+function challengeUserName(username) {
+    const slash = username.lastIndexOf('\\');
+    return Buffer.from(slash >= 0 ? username.slice(slash + 1) : username, 'utf8');
+}
+
+function ntPasswordHash(password) {
+    return md4(Buffer.from(password, 'utf16le'));
+}
+
+function challengeHash(peerChallenge, authenticatorChallenge, username) {
+    return sha1(peerChallenge, authenticatorChallenge, challengeUserName(username)).subarray(0, 8);
+}
+
+function challengeResponse(challenge, passwordHash) {
+    const zPasswordHash = Buffer.alloc(21);
+    passwordHash.copy(zPasswordHash);
+    return Buffer.concat([
+        desEncryptBlock(zPasswordHash.subarray(0, 7), challenge),
+        desEncryptBlock(zPasswordHash.subarray(7, 14), challenge),
+        desEncryptBlock(zPasswordHash.subarray(14, 21), challenge),
+    ]);
+}
+
+function generateNtResponse(authenticatorChallenge, peerChallenge, username, password) {
+    const challenge = challengeHash(peerChallenge, authenticatorChallenge, username);
+    return challengeResponse(challenge, ntPasswordHash(password));
+}
+
+/**
+ * The "S=<40 hex digits>" string the server must return in MS-CHAP2-Success.
+ */
+function generateAuthenticatorResponse(password, ntResponse, peerChallenge, authenticatorChallenge, username) {
+    const passwordHashHash = md4(ntPasswordHash(password));
+    const digest = sha1(passwordHashHash, ntResponse, MAGIC1);
+    const challenge = challengeHash(peerChallenge, authenticatorChallenge, username);
+    return 'S=' + sha1(digest, challenge, MAGIC2).toString('hex').toUpperCase();
+}
+
+module.exports = {
+    md4,
+    desEncryptBlock,
+    ntPasswordHash,
+    generateNtResponse,
+    generateAuthenticatorResponse,
+};
@@ -0,0 +1,194 @@
+'use strict';
+
+/**
+ * RADIUS Accounting (RFC 2866)
+ *
+ * Keeps track of the sessions this server has authorized through the splash page
+ * and reports them to the RADIUS accounting port so RADIUS/NPS logs show who is
+ * online and from which IP:
+ *
+ *   Start           — right after a successful grant
+ *   Interim-Update  — every Acct-Interim-Interval seconds while the session lasts
+ *   Stop            — when the splash authorization expires, is revoked, or the
+ *                     same device signs in again
+ *
+ * Sessions are kept in memory, keyed by client MAC. A task restart loses the open
+ * sessions, so no Stop is sent for them.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const { normalizeMac } = require('./mac-address');
+
+// RADIUS recommends interim intervals of at least 60 seconds (RFC 2869 §5.16)
+const MIN_INTERIM_INTERVAL_SEC = 60;
+
+// ── Helpers ──────────────────────────────────────────────
+
+function newSessionId() {
+    return `${Date.now().toString(16)}-${crypto.randomBytes(4).toString('hex')}`.toUpperCase();
+}
+
+// ── Manager factory ───────────────────────────────────────
+
+/**
+ * Creates the accounting session manager.
+ *
+ * @param {object}   options
+ * @param {Function} options.send                — async (session, attributes) → sends one
+ *                                                 Accounting-Request and resolves when answered
+ * @param {number}   options.sessionSeconds      — default splash authorization length
+ * @param {number}   options.interimIntervalSec  — default interim interval, 0 = no interims
+ * @param {number}   options.sweepIntervalMs     — how often expiry and interim timers are checked
+ */
+function createAccountingManager({ send, sessionSeconds, interimIntervalSec = 0, sweepIntervalMs = 30000 }) {
+    const sessions = new Map(); // client MAC → session
+    const counters = { Start: 0, 'Interim-Update': 0, Stop: 0, failed: 0 };
+
+    async function report(session, statusType, extra = []) {
+        const now = Date.now();
+        const attributes = [
+            ['Acct-Status-Type', statusType],
+            ['Acct-Session-Id', session.sessionId],
+            ['User-Name', session.username],
+            ['Event-Timestamp', new Date(now)],
+            ['Acct-Delay-Time', 0],
+            ...session.classes.map(value => ['Class', value]),
+        ];
+
+        if (net.isIPv4(session.clientIp || '')) {
+            attributes.push(['Framed-IP-Address', session.clientIp]);
+        }
+        if (statusType !== 'Start') {
+            attributes.push(['Acct-Session-Time', Math.floor((now - session.startedAt) / 1000)]);
+        }
+        attributes.push(...extra);
+
+        try {
+            await send(session, attributes);
+            counters[statusType]++;
+            console.log(`Accounting ${statusType} sent for ${session.clientMac} (${session.username}, session ${session.sessionId})`);
+        } catch (err) {
+            // Accounting is best-effort — it must never affect the login itself
+            counters.failed++;
+            console.error(`Accounting ${statusType} failed for ${session.clientMac}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Opens a session and sends Accounting Start. A previous session for the same
+     * device is stopped first.
+     *
+     * @param {object} details — { username, clientMac, clientIp, nodeMac, ssid, classes,
+     *                             serverName, sessionSeconds, interimIntervalSec }
+     * @returns {Promise<string>} the Acct-Session-Id
+     */
+    async function start(details) {
+        const key = normalizeMac(details.clientMac);
+        if (!key) throw new Error(`${details.clientMac} is not a MAC address`);
+        if (sessions.has(key)) {
+            await stop(key, 'NAS-Request');
+        }
+
+        const now = Date.now();
+        const lifetime = details.sessionSeconds || sessionSeconds;
+        const interim = details.interimIntervalSec || interimIntervalSec;
+
+        const session = {
+            sessionId: newSessionId(),
+            username: details.username,
+            clientMac: details.clientMac,
+            clientIp: details.clientIp || '',
+            nodeMac: details.nodeMac || '',
+            ssid: details.ssid || '',
+            classes: details.classes || [],
+            serverName: details.serverName || null,
+            startedAt: now,
+            expiresAt: now + lifetime * 1000,
+            interimIntervalSec: interim ? Math.max(interim, MIN_INTERIM_INTERVAL_SEC) : 0,
+            lastReportAt: now,
+        };
+
+        sessions.set(key, session);
+        await report(session, 'Start');
+        return session.sessionId;
+    }
+
+    /**
+     * Closes the session for a device and sends Accounting Stop.
+     *
+     * @param {string} clientMac
+     * @param {string} cause — Acct-Terminate-Cause name, e.g. Session-Timeout, Admin-Reset
+     * @returns {Promise<boolean>} false when there was no open session
+     */
+    async function stop(clientMac, cause = 'Session-Timeout') {
+        const key = normalizeMac(clientMac);
+        const session = sessions.get(key);
+        if (!session) return false;
+
+        sessions.delete(key);
+        await report(session, 'Stop', [['Acct-Terminate-Cause', cause]]);
+        return true;
+    }
+
+    /**
+     * Returns the open session for a device, or the first one for a session ID or user name.
+     */
+    function find(query = {}) {
+        return findAll(query)[0] || null;
+    }
+
+    /**
+     * Returns every open session matching the device, session ID or user name
+     * (checked in that order — the first one given is used).
+     */
+    function findAll({ clientMac, sessionId, username } = {}) {
+        if (clientMac) {
+            const session = sessions.get(normalizeMac(clientMac));
+            return session ? [session] : [];
+        }
+
+        const matches = [];
+        for (const session of sessions.values()) {
+            if (sessionId ? session.sessionId === sessionId
+                : username && session.username.toLowerCase() === username.toLowerCase()) {
+                matches.push(session);
+            }
+        }
+        return matches;
+    }
+
+    // Expires sessions and sends due interim updates
+    function sweep() {
+        const now = Date.now();
+
+        for (const [key, session] of sessions) {
+            if (session.expiresAt <= now) {
+                stop(key, 'Session-Timeout');
+                continue;
+            }
+            if (session.interimIntervalSec && now - session.lastReportAt >= session.interimIntervalSec * 1000) {
+                session.lastReportAt = now;
+                report(session, 'Interim-Update');
+            }
+        }
+    }
+
+    const sweepTimer = setInterval(sweep, sweepIntervalMs);
+    sweepTimer.unref();
+
+    function getStatus() {
+        return {
+            activeSessions: sessions.size,
+            sent: { ...counters },
+        };
+    }
+
+    function close() {
+        clearInterval(sweepTimer);
+    }
+
+    return { start, stop, find, findAll, getStatus, close };
+}
+
+module.exports = { createAccountingManager };
@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * RADIUS Authentication Methods
+ *
+ * Builds the credential attributes of an Access-Request for each supported method
+ * and interprets the method-specific parts of the reply:
+ *
+ *   pap       — User-Password (RFC 2865 §5.2)
+ *   chap      — CHAP-Challenge + CHAP-Password (RFC 2865 §5.3, §5.40)
+ *   mschapv2  — MS-CHAP-Challenge + MS-CHAP2-Response VSAs (RFC 2548 §2.3.2);
+ *               the MS-CHAP2-Success in an Access-Accept must prove the server
+ *               knows the password, and MS-CHAP-Error codes in an Access-Reject
+ *               are turned into messages for the splash page.
+ */
+
+const crypto = require('crypto');
+const { getVendorAttributes } = require('./radius-packet');
+const { generateNtResponse, generateAuthenticatorResponse } = require('./mschap');
+
+const AUTH_METHODS = ['pap', 'chap', 'mschapv2'];
+
+const VENDOR_MICROSOFT = 311;
+const MS_CHAP_ERROR = 2;
+const MS_CHAP_CHALLENGE = 11;
+const MS_CHAP2_RESPONSE = 25;
+const MS_CHAP2_SUCCESS = 26;
+
+// RFC 2759 §6 failure codes, worded for the splash page
+const MS_CHAP_ERROR_MESSAGES = {
+    646: 'Your account is not allowed to sign in at this time of day.',
+    647: 'Your account is disabled. Please contact IT support.',
+    648: 'Your password has expired. Please change it and try again.',
+    649: 'Your account does not have permission to use this network.',
+    691: 'Incorrect username or password.',
+    709: 'You must change your password before you can sign in.',
+};
+
+// ── Helpers ──────────────────────────────────────────────
+
+/**
+ * Parses an MS-CHAP-Error value: Ident, then "E=eeeeeeeeee R=r C=cccc V=vvvv M=<msg>".
+ */
+function parseMsChapError(value) {
+    const text = value.subarray(1).toString('ascii');
+    const code = parseInt((text.match(/E=(\d+)/) || [])[1], 10);
+    const retry = (text.match(/R=(\d)/) || [])[1] === '1';
+    const serverMessage = (text.match(/M=(.*)$/) || [])[1];
+
+    return {
+        code: Number.isInteger(code) ? code : null,
+        retry,
+        message: MS_CHAP_ERROR_MESSAGES[code] || serverMessage || null,
+    };
+}
+
+// ── Methods ───────────────────────────────────────────────
+
+function papCredentials(username, password) {
+    return {
+        attributes: [['User-Password', password]],
+        verifyAccept: () => ({ ok: true }),
+        describeReject: () => null,
+    };
+}
+
+function chapCredentials(username, password) {
+    const ident = crypto.randomBytes(1);
+    const challenge = crypto.randomBytes(16);
+    const response = crypto.createHash('md5')
+        .update(ident)
+        .update(Buffer.from(password, 'utf8'))
+        .update(challenge)
+        .digest();
+
+    return {
+        attributes: [
+            ['CHAP-Challenge', challenge],
+            ['CHAP-Password', Buffer.concat([ident, response])],
+        ],
+        verifyAccept: () => ({ ok: true }),
+        describeReject: () => null,
+    };
+}
+
+function msChapV2Credentials(username, password) {
+    const ident = crypto.randomBytes(1);
+    const authenticatorChallenge = crypto.randomBytes(16);
+    const peerChallenge = crypto.randomBytes(16);
+    const ntResponse = generateNtResponse(authenticatorChallenge, peerChallenge, username, password);
+
+    // Ident(1) Flags(1) Peer-Challenge(16) Reserved(8) NT-Response(24)
+    const chap2Response = Buffer.concat([ident, Buffer.alloc(1), peerChallenge, Buffer.alloc(8), ntResponse]);
+
+    return {
+        attributes: [
+            ['Vendor-Specific', VENDOR_MICROSOFT, [[MS_CHAP_CHALLENGE, authenticatorChallenge]]],
+            ['Vendor-Specific', VENDOR_MICROSOFT, [[MS_CHAP2_RESPONSE, chap2Response]]],
+        ],
+
+        verifyAccept(rawAttributes) {
+            const success = getVendorAttributes(rawAttributes, VENDOR_MICROSOFT)
+                .find(attr => attr.type === MS_CHAP2_SUCCESS);
+
+            if (!success) {
+                return { ok: false, message: 'Access-Accept is missing MS-CHAP2-Success' };
+            }
+
+            const expected = generateAuthenticatorResponse(
+                password, ntResponse, peerChallenge, authenticatorChallenge, username
+            );
+            const received = success.value.subarray(1, 1 + expected.length).toString('ascii');
+
+            if (success.value[0] !== ident[0] || received.toUpperCase() !== expected) {
+                return { ok: false, message: 'MS-CHAP2-Success authenticator response does not match' };
+            }
+            return { ok: true };
+        },
+
+        describeReject(rawAttributes) {
+            const error = getVendorAttributes(rawAttributes, VENDOR_MICROSOFT)
+                .find(attr => attr.type === MS_CHAP_ERROR);
+            return error ? parseMsChapError(error.value) : null;
+        },
+    };
+}
+
+/**
+ * Returns { attributes, verifyAccept(rawAttributes), describeReject(rawAttributes) }
+ * for one Access-Request. Challenges are random per call, so build a new one per request.
+ */
+function buildCredentials(method, username, password) {
+    switch (method) {
+        case 'pap':      return papCredentials(username, password);
+        case 'chap':     return chapCredentials(username, password);
+        case 'mschapv2': return msChapV2Credentials(username, password);
+        default:
+            throw new Error(`Unsupported RADIUS auth method "${method}" (expected ${AUTH_METHODS.join(', ')})`);
+    }
+}
+
+module.exports = { buildCredentials, AUTH_METHODS };
@@ -0,0 +1,109 @@
+'use strict';
+
+/**
+ * RADIUS Access-Challenge Store
+ *
+ * Multi-step logins (OTP / MFA, e.g. the NPS extension for Azure MFA) answer the
+ * first Access-Request with Access-Challenge: a Reply-Message to show the user and
+ * a State attribute that must be echoed in the next Access-Request, to the same
+ * server (RFC 2865 §4.4, §5.24).
+ *
+ * The State never leaves this server. The splash page gets an opaque random token
+ * instead, and sends it back with the user's answer. Tokens are single-use and
+ * expire after a short time.
+ */
+
+const crypto = require('crypto');
+
+// A chain of challenges longer than this is treated as a misbehaving server
+const MAX_ROUNDS = 5;
+
+// ── Store factory ─────────────────────────────────────────
+
+/**
+ * Creates the pending-challenge store.
+ *
+ * @param {object} options
+ * @param {number} options.ttlMs           — how long the user has to answer a challenge
+ * @param {number} options.maxPending      — cap on open challenges, oldest are dropped first
+ * @param {number} options.sweepIntervalMs — how often expired challenges are removed
+ */
+function createChallengeStore({ ttlMs = 120000, maxPending = 10000, sweepIntervalMs = 30000 } = {}) {
+    const pending = new Map(); // token → challenge (insertion order = age)
+    const counters = { issued: 0, answered: 0, expired: 0 };
+
+    /**
+     * Remembers a challenge and returns the token for the splash page.
+     *
+     * @param {object} challenge — { serverName, username, state, context, round }
+     * @returns {string|null} token, or null when the chain is too long
+     */
+    function create({ serverName, username, state, context = {}, round = 1 }) {
+        if (round > MAX_ROUNDS) return null;
+
+        while (pending.size >= maxPending) {
+            pending.delete(pending.keys().next().value);
+            counters.expired++;
+        }
+
+        const token = crypto.randomBytes(24).toString('base64url');
+        pending.set(token, {
+            serverName,
+            username,
+            state,
+            context,
+            round,
+            expiresAt: Date.now() + ttlMs,
+        });
+        counters.issued++;
+        return token;
+    }
+
+    /**
+     * Removes and returns the challenge for a token, or null when it is unknown or
+     * expired. A token can only be answered once.
+     */
+    function take(token) {
+        if (typeof token !== 'string') return null;
+
+        const challenge = pending.get(token);
+        if (!challenge) return null;
+
+        pending.delete(token);
+        if (challenge.expiresAt <= Date.now()) {
+            counters.expired++;
+            return null;
+        }
+
+        counters.answered++;
+        return challenge;
+    }
+
+    function sweep() {
+        const now = Date.now();
+        for (const [token, challenge] of pending) {
+            if (challenge.expiresAt <= now) {
+                pending.delete(token);
+                counters.expired++;
+            }
+        }
+    }
+
+    const sweepTimer = setInterval(sweep, sweepIntervalMs);
+    sweepTimer.unref();
+
+    function getStatus() {
+        return {
+            pending: pending.size,
+            ...counters,
+        };
+    }
+
+    function close() {
+        clearInterval(sweepTimer);
+    }
+
+    return { create, take, getStatus, close };
+}
+
+module.exports = { createChallengeStore };
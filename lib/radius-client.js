@@ -0,0 +1,360 @@
+'use strict';
+
+/**
+ * Shared RADIUS UDP Client
+ *
+ * Sends RADIUS packets over a small pool of long-lived UDP sockets instead of one
+ * socket per request:
+ *
+ *   - Each socket owns its own Identifier space (RFC 2865 §3). Identifiers are
+ *     handed out in turn and never reused while a request still holds them.
+ *   - Replies are routed to the pending request by socket + Identifier, then checked
+ *     against that request's source address and Request Authenticator. A late reply
+ *     to an Identifier that has since been reused fails that check and is dropped.
+ *   - Unanswered requests are retransmitted with the identical bytes, doubling the
+ *     wait each time, within the caller's timeout.
+ *   - At most `maxInFlight` requests are outstanding; the rest wait in a FIFO queue,
+ *     and the time spent queued counts against their timeout.
+ */
+
+const { AsyncResource } = require('async_hooks');
+const dgram = require('dgram');
+const dns = require('dns');
+const radius = require('radius');
+const { verifyResponse } = require('./radius-packet');
+
+const IDENTIFIERS_PER_SOCKET = 256;
+
+// ── Helpers ──────────────────────────────────────────────
+
+// address() throws until the socket is bound
+function safeLocalPort(socket) {
+    try {
+        return socket.address().port;
+    } catch (err) {
+        return null;
+    }
+}
+
+// ── Client factory ────────────────────────────────────────
+
+/**
+ * Creates the shared UDP client.
+ *
+ * @param {object}   options
+ * @param {number}   options.sockets         — number of UDP sockets to spread requests over
+ * @param {number}   options.maxInFlight     — cap on outstanding requests, the rest are queued
+ * @param {number}   options.retries         — retransmissions after the first send
+ * @param {number}   options.retryIntervalMs — wait before the first retransmission
+ * @param {Function} options.onDrop          — (serverName, reason, detail) called for every rejected reply
+ * @param {boolean}  options.debug           — log every transmission
+ */
+function createRadiusUdpClient({ sockets = 4, maxInFlight = 256, retries = 2, retryIntervalMs = 2000, onDrop = () => {}, debug = false }) {
+    const capacity = sockets * IDENTIFIERS_PER_SOCKET;
+    const limit = Math.min(maxInFlight, capacity);
+
+    const slots = Array.from({ length: sockets }, (_, index) => ({
+        index,
+        socket: null,
+        pending: new Map(), // identifier → request
+        nextId: Math.floor(Math.random() * IDENTIFIERS_PER_SOCKET),
+    }));
+    const queue = [];
+    const counters = { sent: 0, retransmits: 0, queued: 0, timeouts: 0 };
+    let inFlight = 0;
+    let peakWaiting = 0;
+
+    // Sockets outlive the login that happens to open them. They are created in the client's
+    // own scope, and each reply is handled in the scope of the request it answers, so log
+    // entries carry the right request ID instead of the first login's.
+    const clientScope = new AsyncResource('RadiusUdpClient');
+
+    // ── Sockets ──
+
+    function openSocket(slot) {
+        return clientScope.runInAsyncScope(() => createSocket(slot));
+    }
+
+    function createSocket(slot) {
+        const socket = dgram.createSocket('udp4');
+
+        socket.on('message', (message, rinfo) => onMessage(slot, message, rinfo));
+
+        // A broken socket fails its requests; the next request opens a new one
+        socket.on('error', (err) => {
+            console.error(`RADIUS socket ${slot.index} error: ${err.message}`);
+            if (slot.socket === socket) slot.socket = null;
+            try {
+                socket.close();
+            } catch (closeErr) {
+                // already closed
+            }
+            for (const request of [...slot.pending.values()]) {
+                settle(request);
+                request.reject(new Error(`Network error: ${err.message}`));
+            }
+        });
+
+        socket.bind(0);
+        socket.unref();
+        slot.socket = socket;
+        return socket;
+    }
+
+    function allocate() {
+        if (inFlight >= limit) return null;
+
+        // Least busy socket first, so load spreads over the pool
+        const ordered = [...slots].sort((a, b) => a.pending.size - b.pending.size);
+        for (const slot of ordered) {
+            for (let i = 0; i < IDENTIFIERS_PER_SOCKET; i++) {
+                const id = (slot.nextId + i) % IDENTIFIERS_PER_SOCKET;
+                if (!slot.pending.has(id)) {
+                    slot.nextId = (id + 1) % IDENTIFIERS_PER_SOCKET;
+                    return { slot, id };
+                }
+            }
+        }
+        return null;
+    }
+
+    // ── Replies ──
+
+    function onMessage(slot, message, rinfo) {
+        const source = `${rinfo.address}:${rinfo.port}`;
+        if (message.length < 2) {
+            onDrop(source, 'malformed');
+            return;
+        }
+
+        const request = slot.pending.get(message[1]);
+        if (!request) {
+            onDrop(source, 'identifier');
+            return;
+        }
+        request.scope.runInAsyncScope(() => onReply(request, message, rinfo));
+    }
+
+    function onReply(request, message, rinfo) {
+        const source = `${rinfo.address}:${rinfo.port}`;
+
+        // Spoofed or stale packets are dropped without settling the request,
+        // so the genuine reply can still arrive before the timeout
+        if (rinfo.address !== request.address || rinfo.port !== request.port) {
+            onDrop(request.server.name, 'unexpected-source', `from ${source}`);
+            return;
+        }
+
+        const check = verifyResponse(request.encoded, message, request.server.secret, {
+            requireMessageAuthenticator: request.requireMessageAuthenticator,
+        });
+        if (!check.ok) {
+            onDrop(request.server.name, check.reason);
+            return;
+        }
+
+        settle(request);
+        console.log(`Received RADIUS response from ${source}`);
+        if (debug && request.attempt > 1) {
+            console.log(`RADIUS reply to ${request.server.name} arrived after ${request.attempt} transmission(s)`);
+        }
+
+        try {
+            const response = radius.decode({ packet: message, secret: request.server.secret });
+            if (debug) {
+                console.log('RADIUS Attributes:', response.attributes);
+            }
+            request.resolve({ response });
+        } catch (err) {
+            console.error('Failed to decode RADIUS response:', err);
+            request.reject(new Error(`Failed to process authentication response: ${err.message}`));
+        }
+    }
+
+    // ── Requests ──
+
+    // Releases the request's Identifier and timers, then starts queued requests
+    function settle(request) {
+        if (request.settled) return;
+        request.settled = true;
+
+        clearTimeout(request.timer);
+        clearTimeout(request.retransmitTimer);
+
+        if (request.slot) {
+            request.slot.pending.delete(request.id);
+            inFlight--;
+        } else {
+            const queued = queue.indexOf(request);
+            if (queued !== -1) queue.splice(queued, 1);
+        }
+
+        drain();
+    }
+
+    function drain() {
+        while (queue.length > 0) {
+            const allocation = allocate();
+            if (!allocation) return;
+            // Often runs while another request's reply is handled
+            const request = queue.shift();
+            request.scope.runInAsyncScope(() => dispatch(request, allocation));
+        }
+    }
+
+    function dispatch(request, { slot, id }) {
+        try {
+            request.encoded = radius.encode({
+                ...request.packet,
+                identifier: id,
+                secret: request.server.secret,
+                add_message_authenticator: request.messageAuthenticator,
+            });
+        } catch (err) {
+            console.error('Failed to encode RADIUS packet:', err);
+            settle(request);
+            request.reject(new Error(`Failed to create ${request.packet.code}: ${err.message}`));
+            return;
+        }
+
+        request.slot = slot;
+        request.id = id;
+        request.socket = slot.socket || openSocket(slot);
+        slot.pending.set(id, request);
+        inFlight++;
+
+        transmit(request, retryIntervalMs);
+    }
+
+    function transmit(request, intervalMs) {
+        if (request.settled) return;
+        request.attempt++;
+        counters[request.attempt === 1 ? 'sent' : 'retransmits']++;
+
+        const { server, packet, port, encoded } = request;
+        if (debug) {
+            console.log(
+                `RADIUS attempt ${request.attempt}/${retries + 1} to ${server.name} ` +
+                `(${packet.code}, socket ${request.slot.index}, id ${request.id}, +${Date.now() - request.startedAt}ms)`
+            );
+        }
+
+        request.socket.send(encoded, 0, encoded.length, port, request.address, (err) => {
+            if (err) {
+                if (request.settled) return;
+                console.error('Failed to send request:', err);
+                settle(request);
+                request.reject(new Error(`Failed to send ${packet.code}: ${err.message}`));
+            } else if (request.attempt === 1) {
+                console.log(`RADIUS ${packet.code} sent to ${server.host}:${port}`);
+            }
+        });
+
+        // Only schedule a retransmit that still leaves time for a reply before the timeout
+        if (request.attempt <= retries && Date.now() + intervalMs < request.deadline) {
+            request.retransmitTimer = setTimeout(() => {
+                console.log(`No reply from ${server.name} after ${intervalMs}ms, retransmitting`);
+                transmit(request, intervalMs * 2);
+            }, intervalMs);
+        }
+    }
+
+    /**
+     * Sends one packet and waits for the verified reply. The packet's Identifier is
+     * assigned here.
+     * Resolves { response } or { timedOut: true }; rejects on network errors.
+     */
+    function request(server, packet, { port, timeoutMs, messageAuthenticator = false, requireMessageAuthenticator = false }) {
+        return new Promise((resolve, reject) => {
+            const startedAt = Date.now();
+            const pending = {
+                server,
+                packet,
+                port,
+                messageAuthenticator,
+                requireMessageAuthenticator,
+                startedAt,
+                deadline: startedAt + timeoutMs,
+                attempt: 0,
+                settled: false,
+                slot: null,
+                scope: new AsyncResource('RadiusRequest'),
+                resolve,
+                reject,
+            };
+
+            pending.timer = setTimeout(() => {
+                const wasQueued = !pending.slot;
+                settle(pending);
+                counters.timeouts++;
+                console.log(
+                    wasQueued
+                        ? `RADIUS ${packet.code} to ${server.name} timed out while queued`
+                        : `RADIUS ${packet.code} to ${server.name} timed out after ${pending.attempt} transmission(s)`
+                );
+                resolve({ timedOut: true });
+            }, timeoutMs);
+
+            // Resolve once so replies can be matched against the server's address
+            dns.lookup(server.host, { family: 4 }, (err, address) => {
+                if (pending.settled) return;
+                if (err) {
+                    console.error(`Failed to resolve RADIUS server ${server.host}:`, err.message);
+                    settle(pending);
+                    reject(new Error(`Network error: ${err.message}`));
+                    return;
+                }
+
+                pending.address = address;
+                const allocation = queue.length === 0 ? allocate() : null;
+                if (allocation) {
+                    dispatch(pending, allocation);
+                    return;
+                }
+
+                queue.push(pending);
+                counters.queued++;
+                peakWaiting = Math.max(peakWaiting, queue.length);
+                if (debug) {
+                    console.log(`RADIUS ${packet.code} to ${server.name} queued (${inFlight} in flight, ${queue.length} waiting)`);
+                }
+            });
+        });
+    }
+
+    function getStatus() {
+        return {
+            sockets: slots.map(slot => ({
+                localPort: slot.socket ? safeLocalPort(slot.socket) : null,
+                inFlight: slot.pending.size,
+            })),
+            inFlight,
+            maxInFlight: limit,
+            waiting: queue.length,
+            peakWaiting,
+            ...counters,
+        };
+    }
+
+    function close() {
+        // Empty the queue first so failing in-flight requests does not start queued ones
+        for (const pending of queue.splice(0)) {
+            settle(pending);
+            pending.reject(new Error('RADIUS client closed'));
+        }
+        for (const slot of slots) {
+            for (const pending of [...slot.pending.values()]) {
+                settle(pending);
+                pending.reject(new Error('RADIUS client closed'));
+            }
+            if (slot.socket) {
+                slot.socket.close();
+                slot.socket = null;
+            }
+        }
+    }
+
+    return { request, getStatus, close };
+}
+
+module.exports = { createRadiusUdpClient };
@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+ * RADIUS Dynamic Authorization Server (RFC 5176)
+ *
+ * Listens for Disconnect-Request and CoA-Request packets from trusted RADIUS
+ * servers, so a change made by the identity team (account disabled, group moved)
+ * reaches splash sessions that were already authorized:
+ *
+ *   - Only configured client addresses are answered; each has its own shared secret.
+ *   - The Request Authenticator (and Message-Authenticator, when present) must be
+ *     valid; a client can also be set to require the Message-Authenticator.
+ *   - An Event-Timestamp outside the allowed window is discarded as a possible
+ *     replay. Invalid packets are silently discarded, as the RFC requires.
+ *   - Retransmissions of a request already handled get the cached reply, so the
+ *     action is not repeated.
+ *   - The action itself is left to the handlers; they resolve { ack: true } or
+ *     { ack: false, errorCause } and the reply is ACK / NAK accordingly.
+ */
+
+const dgram = require('dgram');
+const radius = require('radius');
+const { verifyRequest } = require('./radius-packet');
+
+const HEADER_LENGTH = 20;
+const DUPLICATE_CACHE_MS = 30000;
+
+const REQUEST_TYPES = {
+    40: { name: 'Disconnect-Request', handler: 'disconnect', ack: 'Disconnect-ACK', nak: 'Disconnect-NAK' },
+    43: { name: 'CoA-Request', handler: 'coa', ack: 'CoA-ACK', nak: 'CoA-NAK' },
+};
+
+// ── Helpers ──────────────────────────────────────────────
+
+function normalizeClient(entry, index, defaultSecret) {
+    if (!entry || typeof entry !== 'object' || !entry.address) {
+        throw new Error(`dynamic authorization client #${index + 1} needs an "address"`);
+    }
+    if (typeof entry.address !== 'string') {
+        throw new Error(`dynamic authorization client #${index + 1} has an invalid address (${JSON.stringify(entry.address)})`);
+    }
+
+    const secret = entry.secret || defaultSecret;
+    if (!secret) {
+        throw new Error(`dynamic authorization client ${entry.address} has no secret`);
+    }
+    if (typeof secret !== 'string') {
+        throw new Error(`dynamic authorization client ${entry.address} has an invalid secret (expected a string, got a ${typeof secret})`);
+    }
+
+    return {
+        name: entry.name || entry.address,
+        address: entry.address,
+        secret,
+        requireMessageAuthenticator: entry.requireMessageAuthenticator === true,
+    };
+}
+
+function eventTimestampSeconds(value) {
+    if (value instanceof Date) return Math.floor(value.getTime() / 1000);
+    if (typeof value === 'number') return value;
+    return null;
+}
+
+// ── Server factory ────────────────────────────────────────
+
+/**
+ * Creates the Dynamic Authorization server.
+ *
+ * @param {object}   options
+ * @param {number}   options.port                   — UDP port, 3799 by default (RFC 5176 §3)
+ * @param {object[]} options.clients                — [{ address, secret, name, requireMessageAuthenticator }]
+ *                                                    allowed to send requests
+ * @param {string}   options.defaultSecret          — secret for clients that do not set one
+ * @param {object}   options.handlers               — { disconnect(request), coa(request) }, each resolving
+ *                                                    { ack: true } or { ack: false, errorCause }
+ * @param {number}   options.eventTimestampWindowSec — max clock difference for Event-Timestamp
+ */
+function createDynamicAuthServer({
+    port = 3799,
+    clients = [],
+    defaultSecret,
+    handlers,
+    eventTimestampWindowSec = 300,
+}) {
+    if (!Array.isArray(clients) || clients.length === 0) {
+        throw new Error('at least one dynamic authorization client is required');
+    }
+
+    const trusted = new Map(
+        clients.map((entry, index) => normalizeClient(entry, index, defaultSecret))
+            .map(client => [client.address, client])
+    );
+    const recent = new Map(); // source + identifier + authenticator → { reply, expiresAt }
+    const counters = {
+        'Disconnect-Request': 0,
+        'CoA-Request': 0,
+        acks: 0,
+        naks: 0,
+        duplicates: 0,
+        dropped: {},
+    };
+    let socket = null;
+
+    function drop(reason, detail) {
+        counters.dropped[reason] = (counters.dropped[reason] || 0) + 1;
+        console.warn(`Dropped dynamic authorization request (${reason})${detail ? ` ${detail}` : ''}`);
+    }
+
+    function pruneRecent(now) {
+        for (const [key, entry] of recent) {
+            if (entry.expiresAt <= now) recent.delete(key);
+        }
+    }
+
+    async function onMessage(message, rinfo) {
+        const source = `${rinfo.address}:${rinfo.port}`;
+        const client = trusted.get(rinfo.address);
+        if (!client) {
+            drop('unknown-client', `from ${source}`);
+            return;
+        }
+
+        if (message.length < HEADER_LENGTH) {
+            drop('malformed', `from ${client.name}`);
+            return;
+        }
+
+        const type = REQUEST_TYPES[message[0]];
+        if (!type) {
+            drop('unsupported-code', `${message[0]} from ${client.name}`);
+            return;
+        }
+
+        const check = verifyRequest(message, client.secret, {
+            requireMessageAuthenticator: client.requireMessageAuthenticator,
+        });
+        if (!check.ok) {
+            drop(check.reason, `from ${client.name}`);
+            return;
+        }
+
+        // A retransmission gets the same answer; the action is not repeated
+        const now = Date.now();
+        pruneRecent(now);
+        const key = `${source}/${message[1]}/${message.subarray(4, 20).toString('hex')}`;
+        const seen = recent.get(key);
+        if (seen) {
+            counters.duplicates++;
+            if (seen.reply) socket.send(seen.reply, rinfo.port, rinfo.address);
+            return;
+        }
+        recent.set(key, { reply: null, expiresAt: now + DUPLICATE_CACHE_MS });
+
+        let request;
+        try {
+            // Already verified above; the `radius` package's own checks are skipped
+            request = radius.decode({ packet: message, no_secret: true });
+        } catch (err) {
+            recent.delete(key);
+            drop('malformed', `from ${client.name}: ${err.message}`);
+            return;
+        }
+
+        const timestamp = eventTimestampSeconds(request.attributes['Event-Timestamp']);
+        if (timestamp !== null && Math.abs(now / 1000 - timestamp) > eventTimestampWindowSec) {
+            recent.delete(key);
+            drop('event-timestamp', `from ${client.name} (${new Date(timestamp * 1000).toISOString()})`);
+            return;
+        }
+
+        counters[type.name]++;
+        console.log(`${type.name} from ${client.name} (id ${request.identifier})`);
+
+        let result;
+        try {
+            result = await handlers[type.handler]({
+                code: type.name,
+                attributes: request.attributes,
+                client: client.name,
+            });
+        } catch (err) {
+            console.error(`${type.name} from ${client.name} failed: ${err.message}`);
+            result = { ack: false, errorCause: 'Resources-Unavailable' };
+        }
+
+        const attributes = result.ack ? [] : [['Error-Cause', result.errorCause || 'Unsupported-Service']];
+        const reply = radius.encode_response({
+            packet: request,
+            code: result.ack ? type.ack : type.nak,
+            secret: client.secret,
+            attributes,
+        });
+
+        counters[result.ack ? 'acks' : 'naks']++;
+        console.log(`${result.ack ? type.ack : type.nak} to ${client.name}${result.ack ? '' : ` (${attributes[0][1]})`}`);
+
+        recent.set(key, { reply, expiresAt: Date.now() + DUPLICATE_CACHE_MS });
+        socket.send(reply, rinfo.port, rinfo.address);
+    }
+
+    function listen() {
+        return new Promise((resolve, reject) => {
+            socket = dgram.createSocket('udp4');
+            socket.on('message', (message, rinfo) => {
+                onMessage(message, rinfo).catch(err => {
+                    console.error(`Dynamic authorization error: ${err.message}`);
+                });
+            });
+            socket.once('error', reject);
+            socket.bind(port, () => {
+                socket.removeListener('error', reject);
+                socket.on('error', err => console.error(`Dynamic authorization socket error: ${err.message}`));
+                console.log(`Dynamic authorization listening on UDP ${port} for ${[...trusted.values()].map(c => c.name).join(', ')}`);
+                resolve();
+            });
+        });
+    }
+
+    function getStatus() {
+        return {
+            port,
+            clients: [...trusted.values()].map(c => ({
+                name: c.name,
+                address: c.address,
+                requireMessageAuthenticator: c.requireMessageAuthenticator,
+            })),
+            ...counters,
+            dropped: { ...counters.dropped },
+        };
+    }
+
+    function close() {
+        if (socket) {
+            socket.close();
+            socket = null;
+        }
+    }
+
+    return { listen, getStatus, close };
+}
+
+module.exports = { createDynamicAuthServer };
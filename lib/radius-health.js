@@ -0,0 +1,178 @@
+'use strict';
+
+/**
+ * RADIUS Health Monitor
+ *
+ * Probes every server in the pool on a timer, so /api/health and the readiness check
+ * report whether RADIUS is actually answering, not just how it is configured:
+ *
+ *   - Status-Server (RFC 5997) is tried first. A server that does not answer it but
+ *     does answer an Access-Request for the test user (NPS ignores Status-Server) is
+ *     probed with Access-Requests from then on.
+ *   - Any verified reply counts as success: an Access-Reject still proves the server
+ *     is up and shares our secret.
+ *   - Each server keeps its last round-trip time, its success rate over the last
+ *     `window` probes and the last error. It is unhealthy after `unhealthyAfter`
+ *     probes in a row fail.
+ */
+
+const METHOD_STATUS_SERVER = 'status-server';
+const METHOD_ACCESS_REQUEST = 'access-request';
+
+// ── Monitor factory ───────────────────────────────────────
+
+/**
+ * Creates the health monitor. Nothing is probed until start() is called.
+ *
+ * @param {object}   options
+ * @param {object[]} options.servers        — pool servers to probe
+ * @param {object}   options.probes         — { statusServer(server, timeoutMs), accessRequest(server, timeoutMs) },
+ *                                            each resolving { code } or { timedOut: true };
+ *                                            accessRequest is optional (no test user configured)
+ * @param {number}   options.intervalMs     — time between probe rounds
+ * @param {number}   options.timeoutMs      — wait for each probe's reply
+ * @param {number}   options.window         — number of recent probes the success rate covers
+ * @param {number}   options.unhealthyAfter — consecutive failed probes before a server is unhealthy
+ */
+function createRadiusHealthMonitor({ servers, probes, intervalMs = 30000, timeoutMs = 5000, window = 20, unhealthyAfter = 3 }) {
+    const entries = servers.map(server => ({
+        server,
+        method: METHOD_STATUS_SERVER,
+        results: [], // most recent last: { ok, rttMs }
+        probes: 0,
+        consecutiveFailures: 0,
+        lastRttMs: null,
+        lastReply: null,
+        lastProbeAt: null,
+        lastSuccessAt: null,
+        lastError: null,
+    }));
+    let timer = null;
+    let running = false;
+
+    function record(entry, ok, { rttMs = null, reply = null, error = null } = {}) {
+        entry.probes++;
+        entry.lastProbeAt = new Date().toISOString();
+        entry.results.push({ ok, rttMs });
+        if (entry.results.length > window) entry.results.shift();
+
+        if (ok) {
+            if (entry.consecutiveFailures >= unhealthyAfter) {
+                console.log(`RADIUS server ${entry.server.name} is answering probes again`);
+            }
+            entry.consecutiveFailures = 0;
+            entry.lastRttMs = rttMs;
+            entry.lastReply = reply;
+            entry.lastSuccessAt = entry.lastProbeAt;
+            return;
+        }
+
+        entry.consecutiveFailures++;
+        entry.lastError = error;
+        if (entry.consecutiveFailures === unhealthyAfter) {
+            console.warn(`RADIUS server ${entry.server.name} is unhealthy: ${unhealthyAfter} probe(s) in a row failed (${error})`);
+        }
+    }
+
+    async function timed(method, server) {
+        const started = Date.now();
+        const reply = method === METHOD_STATUS_SERVER
+            ? await probes.statusServer(server, timeoutMs)
+            : await probes.accessRequest(server, timeoutMs);
+        return { ...reply, rttMs: Date.now() - started };
+    }
+
+    async function probe(entry) {
+        const { server } = entry;
+        try {
+            let reply = await timed(entry.method, server);
+
+            if (reply.timedOut && entry.method === METHOD_STATUS_SERVER && probes.accessRequest) {
+                reply = await timed(METHOD_ACCESS_REQUEST, server);
+                if (!reply.timedOut) {
+                    entry.method = METHOD_ACCESS_REQUEST;
+                    console.log(`RADIUS server ${server.name} does not answer Status-Server, probing with Access-Request instead`);
+                }
+            }
+
+            if (reply.timedOut) {
+                record(entry, false, { error: `no reply within ${timeoutMs}ms` });
+            } else {
+                record(entry, true, { rttMs: reply.rttMs, reply: reply.code });
+            }
+        } catch (err) {
+            record(entry, false, { error: err.message });
+        }
+    }
+
+    // Rounds never overlap, even when a probe outlives the interval
+    async function probeAll() {
+        if (running) return;
+        running = true;
+        try {
+            await Promise.all(entries.map(probe));
+        } finally {
+            running = false;
+        }
+    }
+
+    function start() {
+        if (timer) return;
+        probeAll();
+        timer = setInterval(probeAll, intervalMs);
+        timer.unref();
+    }
+
+    function isHealthy(entry) {
+        if (entry.probes === 0) return null;
+        return entry.consecutiveFailures < unhealthyAfter;
+    }
+
+    /**
+     * Per-server probe results by server name. `healthy` is null until the first probe.
+     */
+    function getStatus() {
+        const status = {};
+        for (const entry of entries) {
+            const answered = entry.results.filter(r => r.ok);
+            status[entry.server.name] = {
+                healthy: isHealthy(entry),
+                method: entry.method,
+                probes: entry.probes,
+                successRate: entry.results.length > 0
+                    ? Math.round((answered.length / entry.results.length) * 1000) / 1000
+                    : null,
+                lastRttMs: entry.lastRttMs,
+                avgRttMs: answered.length > 0
+                    ? Math.round(answered.reduce((sum, r) => sum + r.rttMs, 0) / answered.length)
+                    : null,
+                consecutiveFailures: entry.consecutiveFailures,
+                lastReply: entry.lastReply,
+                lastProbeAt: entry.lastProbeAt,
+                lastSuccessAt: entry.lastSuccessAt,
+                lastError: entry.lastError,
+            };
+        }
+        return status;
+    }
+
+    /**
+     * Names of the servers whose probes are succeeding, and whether every server
+     * has been probed at least once.
+     */
+    function getHealthyServers() {
+        return {
+            probed: entries.every(entry => entry.probes > 0),
+            healthy: entries.filter(entry => isHealthy(entry)).map(entry => entry.server.name),
+        };
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { start, probeAll, getStatus, getHealthyServers, stop };
+}
+
+module.exports = { createRadiusHealthMonitor };
@@ -0,0 +1,290 @@
+'use strict';
+
+/**
+ * RADIUS Packet Helpers
+ *
+ * Checks that a reply really answers the request we sent before anything in it
+ * is trusted (BlastRADIUS hardening):
+ *   - the packet is well formed and its Identifier matches the request
+ *   - the Response Authenticator is MD5(Code + ID + Length + Request Authenticator
+ *     + Attributes + Secret) per RFC 2865 §3
+ *   - the Message-Authenticator attribute (RFC 3579 §3.2 / RFC 5080 §2.2.2) is a valid
+ *     HMAC-MD5 over the reply, and is present when required
+ *
+ * The `radius` package's verify_response() compares digests as UTF-8 strings,
+ * so the checks are done here with raw buffers and constant-time comparisons.
+ *
+ * Also verifies requests sent *to* this server (Dynamic Authorization, RFC 5176, and
+ * the RADIUS simulator), and parses Vendor-Specific attributes the `radius` package
+ * has no dictionary for.
+ */
+
+const crypto = require('crypto');
+
+const HEADER_LENGTH = 20;
+const AUTH_START = 4;
+const AUTH_END = 20;
+const MESSAGE_AUTHENTICATOR_TYPE = 80;
+const MESSAGE_AUTHENTICATOR_LENGTH = 18; // type + length + 16-byte HMAC
+
+const REPLY_CODES = {
+    1: [2, 3, 11],   // Access-Request → Access-Accept | Access-Reject | Access-Challenge
+    4: [5],          // Accounting-Request → Accounting-Response
+    12: [2, 3, 11],  // Status-Server → any Access-* reply
+};
+
+// ── Helpers ──────────────────────────────────────────────
+
+function safeEqual(a, b) {
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Returns the offset of the Message-Authenticator attribute, null when absent,
+ * or throws when the attribute list is malformed.
+ */
+function findMessageAuthenticator(packet, length) {
+    let offset = HEADER_LENGTH;
+    let found = null;
+
+    while (offset < length) {
+        if (offset + 2 > length) throw new Error('truncated attribute header');
+        const type = packet[offset];
+        const attrLength = packet[offset + 1];
+
+        if (attrLength < 2 || offset + attrLength > length) {
+            throw new Error(`invalid attribute length ${attrLength}`);
+        }
+        if (type === MESSAGE_AUTHENTICATOR_TYPE) {
+            if (attrLength !== MESSAGE_AUTHENTICATOR_LENGTH || found !== null) {
+                throw new Error('invalid Message-Authenticator attribute');
+            }
+            found = offset;
+        }
+        offset += attrLength;
+    }
+
+    return found;
+}
+
+// ── Verification ──────────────────────────────────────────
+
+/**
+ * Verifies a reply against the encoded request it answers.
+ *
+ * @param {Buffer}  request   — the exact bytes we sent
+ * @param {Buffer}  response  — the datagram received
+ * @param {string}  secret    — shared secret of the server the request went to
+ * @param {object}  options
+ * @param {boolean} options.requireMessageAuthenticator — reject replies without one
+ * @returns {{ ok: boolean, reason?: string }} reason is one of
+ *          malformed | identifier | code | authenticator |
+ *          message-authenticator-missing | message-authenticator-invalid
+ */
+function verifyResponse(request, response, secret, { requireMessageAuthenticator = false } = {}) {
+    if (!Buffer.isBuffer(response) || response.length < HEADER_LENGTH) {
+        return { ok: false, reason: 'malformed' };
+    }
+
+    const length = response.readUInt16BE(2);
+    if (length < HEADER_LENGTH || length > response.length) {
+        return { ok: false, reason: 'malformed' };
+    }
+
+    if (response[1] !== request[1]) {
+        return { ok: false, reason: 'identifier' };
+    }
+
+    const expectedCodes = REPLY_CODES[request[0]];
+    if (expectedCodes && !expectedCodes.includes(response[0])) {
+        return { ok: false, reason: 'code' };
+    }
+
+    let maOffset;
+    try {
+        maOffset = findMessageAuthenticator(response, length);
+    } catch (err) {
+        return { ok: false, reason: 'malformed' };
+    }
+
+    // Anything past the Length field is padding and is not covered by the authenticator
+    const packet = Buffer.from(response.subarray(0, length));
+    const requestAuthenticator = request.subarray(AUTH_START, AUTH_END);
+    const receivedAuthenticator = Buffer.from(packet.subarray(AUTH_START, AUTH_END));
+
+    requestAuthenticator.copy(packet, AUTH_START);
+
+    const expectedAuthenticator = crypto.createHash('md5')
+        .update(packet)
+        .update(secret)
+        .digest();
+
+    if (!safeEqual(receivedAuthenticator, expectedAuthenticator)) {
+        return { ok: false, reason: 'authenticator' };
+    }
+
+    if (maOffset === null) {
+        return requireMessageAuthenticator
+            ? { ok: false, reason: 'message-authenticator-missing' }
+            : { ok: true };
+    }
+
+    // HMAC-MD5 over the reply with the Request Authenticator in place and the MA zeroed
+    const valueStart = maOffset + 2;
+    const receivedMa = Buffer.from(packet.subarray(valueStart, valueStart + 16));
+    packet.fill(0, valueStart, valueStart + 16);
+
+    const expectedMa = crypto.createHmac('md5', secret).update(packet).digest();
+
+    if (!safeEqual(receivedMa, expectedMa)) {
+        return { ok: false, reason: 'message-authenticator-invalid' };
+    }
+
+    return { ok: true };
+}
+
+/**
+ * Verifies a Disconnect-Request / CoA-Request (or Accounting-Request) from a client.
+ * These carry MD5(Code + ID + Length + 16 zero octets + Attributes + Secret) as the
+ * Request Authenticator (RFC 5176 §3.5); a Message-Authenticator, when present, is
+ * computed with the authenticator field zeroed.
+ *
+ * @param {Buffer}  packet — the datagram received
+ * @param {string}  secret — shared secret of the client it came from
+ * @param {object}  options
+ * @param {boolean} options.requireMessageAuthenticator — reject requests without one
+ * @returns {{ ok: boolean, reason?: string }} reason is one of
+ *          malformed | authenticator | message-authenticator-missing | message-authenticator-invalid
+ */
+function verifyRequest(packet, secret, { requireMessageAuthenticator = false } = {}) {
+    if (!Buffer.isBuffer(packet) || packet.length < HEADER_LENGTH) {
+        return { ok: false, reason: 'malformed' };
+    }
+
+    const length = packet.readUInt16BE(2);
+    if (length < HEADER_LENGTH || length > packet.length) {
+        return { ok: false, reason: 'malformed' };
+    }
+
+    let maOffset;
+    try {
+        maOffset = findMessageAuthenticator(packet, length);
+    } catch (err) {
+        return { ok: false, reason: 'malformed' };
+    }
+
+    const copy = Buffer.from(packet.subarray(0, length));
+    const receivedAuthenticator = Buffer.from(copy.subarray(AUTH_START, AUTH_END));
+    copy.fill(0, AUTH_START, AUTH_END);
+
+    const expectedAuthenticator = crypto.createHash('md5')
+        .update(copy)
+        .update(secret)
+        .digest();
+
+    if (!safeEqual(receivedAuthenticator, expectedAuthenticator)) {
+        return { ok: false, reason: 'authenticator' };
+    }
+
+    if (maOffset === null) {
+        return requireMessageAuthenticator
+            ? { ok: false, reason: 'message-authenticator-missing' }
+            : { ok: true };
+    }
+
+    const valueStart = maOffset + 2;
+    const receivedMa = Buffer.from(copy.subarray(valueStart, valueStart + 16));
+    copy.fill(0, valueStart, valueStart + 16);
+
+    const expectedMa = crypto.createHmac('md5', secret).update(copy).digest();
+
+    if (!safeEqual(receivedMa, expectedMa)) {
+        return { ok: false, reason: 'message-authenticator-invalid' };
+    }
+
+    return { ok: true };
+}
+
+/**
+ * Verifies an Access-Request or Status-Server from a client. Its Request Authenticator
+ * is random and cannot be checked, so only the Message-Authenticator is: an HMAC-MD5
+ * over the packet as received, with the attribute's value zeroed (RFC 3579 §3.2).
+ *
+ * @param {Buffer}  packet — the datagram received
+ * @param {string}  secret — shared secret of the client it came from
+ * @param {object}  options
+ * @param {boolean} options.requireMessageAuthenticator — reject requests without one
+ * @returns {{ ok: boolean, reason?: string }} reason is one of
+ *          malformed | message-authenticator-missing | message-authenticator-invalid
+ */
+function verifyAccessRequest(packet, secret, { requireMessageAuthenticator = false } = {}) {
+    if (!Buffer.isBuffer(packet) || packet.length < HEADER_LENGTH) {
+        return { ok: false, reason: 'malformed' };
+    }
+
+    const length = packet.readUInt16BE(2);
+    if (length < HEADER_LENGTH || length > packet.length) {
+        return { ok: false, reason: 'malformed' };
+    }
+
+    let maOffset;
+    try {
+        maOffset = findMessageAuthenticator(packet, length);
+    } catch (err) {
+        return { ok: false, reason: 'malformed' };
+    }
+
+    if (maOffset === null) {
+        return requireMessageAuthenticator
+            ? { ok: false, reason: 'message-authenticator-missing' }
+            : { ok: true };
+    }
+
+    const copy = Buffer.from(packet.subarray(0, length));
+    const valueStart = maOffset + 2;
+    const receivedMa = Buffer.from(copy.subarray(valueStart, valueStart + 16));
+    copy.fill(0, valueStart, valueStart + 16);
+
+    const expectedMa = crypto.createHmac('md5', secret).update(copy).digest();
+
+    if (!safeEqual(receivedMa, expectedMa)) {
+        return { ok: false, reason: 'message-authenticator-invalid' };
+    }
+
+    return { ok: true };
+}
+
+// ── Vendor-Specific attributes ────────────────────────────
+
+const VENDOR_SPECIFIC_TYPE = 26;
+
+/**
+ * Extracts the sub-attributes of one vendor from a decoded packet's raw_attributes.
+ * The `radius` package skips VSAs of vendors it has no dictionary for, so they are
+ * parsed here from the raw [type, value] pairs.
+ *
+ * @returns {{ type: number, value: Buffer }[]}
+ */
+function getVendorAttributes(rawAttributes, vendorId) {
+    const found = [];
+
+    for (const [type, value] of rawAttributes || []) {
+        if (type !== VENDOR_SPECIFIC_TYPE || value.length < 6 || value.readUInt32BE(0) !== vendorId) {
+            continue;
+        }
+
+        let offset = 4;
+        while (offset + 2 <= value.length) {
+            const subType = value[offset];
+            const subLength = value[offset + 1];
+            if (subLength < 2 || offset + subLength > value.length) break;
+
+            found.push({ type: subType, value: value.subarray(offset + 2, offset + subLength) });
+            offset += subLength;
+        }
+    }
+
+    return found;
+}
+
+module.exports = { verifyResponse, verifyRequest, verifyAccessRequest, getVendorAttributes };
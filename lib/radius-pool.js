@@ -0,0 +1,289 @@
+'use strict';
+
+/**
+ * RADIUS Server Pool
+ *
+ * Holds the upstream RADIUS servers and decides the order in which a single
+ * Access-Request should try them:
+ *
+ *   - Servers are grouped by priority (lower number = preferred).
+ *   - Within a priority group the order depends on the strategy:
+ *       failover     — configuration order, the next server is only tried on timeout
+ *       round-robin  — the starting server rotates on every request
+ *       weighted     — weighted random order, using each server's `weight`
+ *   - A server that times out (or errors) `deadAfterFailures` times in a row is
+ *     marked dead for `deadTimeMs` and moved to the end of the list. Dead servers
+ *     are still tried as a last resort so a full outage recovers on its own.
+ */
+
+const { AUTH_METHODS } = require('./radius-auth-methods');
+
+const STRATEGIES = ['failover', 'round-robin', 'weighted'];
+const TRANSPORTS = ['udp', 'radsec'];
+
+// ── Helpers ──────────────────────────────────────────────
+
+// 1812 / "1812" → 1812; anything else ("18x12", 1.5, "") → NaN
+function toInteger(value) {
+    if (typeof value === 'number') return Number.isInteger(value) ? value : NaN;
+    return typeof value === 'string' && /^\s*-?\d+\s*$/.test(value) ? parseInt(value, 10) : NaN;
+}
+
+function isPort(value) {
+    return Number.isInteger(value) && value >= 1 && value <= 65535;
+}
+
+/**
+ * Fills in defaults and validates one server entry from configuration.
+ */
+function normalizeServer(entry, index, defaults) {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error(`RADIUS server #${index + 1} must be an object`);
+    }
+    if (!entry.host) {
+        throw new Error(`RADIUS server #${index + 1} is missing "host"`);
+    }
+    if (typeof entry.host !== 'string' || !entry.host.trim()) {
+        throw new Error(`RADIUS server #${index + 1} has an invalid host (${JSON.stringify(entry.host)})`);
+    }
+
+    const transport  = entry.transport || defaults.transport || 'udp';
+    const radsec     = transport === 'radsec';
+    // RadSec carries authentication and accounting on one TLS port with the fixed secret "radsec"
+    const port       = toInteger(entry.port ?? (radsec ? defaults.radsecPort || 2083 : defaults.port || 1812));
+    const acctPort   = radsec ? port : toInteger(entry.acctPort ?? defaults.acctPort ?? 1813);
+    const priority   = toInteger(entry.priority ?? 1);
+    const weight     = toInteger(entry.weight ?? 1);
+    const secret     = entry.secret || (radsec ? 'radsec' : defaults.secret);
+    const authMethod = entry.authMethod || defaults.authMethod || 'pap';
+
+    if (!secret) {
+        throw new Error(`RADIUS server ${entry.host} has no shared secret`);
+    }
+    // A YAML secret like 0123456 arrives as a number and would make every radius.encode() throw
+    if (typeof secret !== 'string') {
+        throw new Error(`RADIUS server ${entry.host} has an invalid secret (expected a string, got a ${typeof secret})`);
+    }
+    if (entry.name !== undefined && (typeof entry.name !== 'string' || !entry.name.trim())) {
+        throw new Error(`RADIUS server ${entry.host} has an invalid name (${JSON.stringify(entry.name)})`);
+    }
+    if (!TRANSPORTS.includes(transport)) {
+        throw new Error(`RADIUS server ${entry.host} has an unknown transport "${transport}" (expected ${TRANSPORTS.join(', ')})`);
+    }
+    if (!AUTH_METHODS.includes(authMethod)) {
+        throw new Error(`RADIUS server ${entry.host} has an unknown authMethod "${authMethod}" (expected ${AUTH_METHODS.join(', ')})`);
+    }
+    if (!Number.isInteger(weight) || weight < 1) {
+        throw new Error(`RADIUS server ${entry.host} has an invalid weight (${entry.weight})`);
+    }
+    if (!Number.isInteger(priority) || priority < 0) {
+        throw new Error(`RADIUS server ${entry.host} has an invalid priority (${entry.priority})`);
+    }
+    if (!isPort(port)) {
+        throw new Error(`RADIUS server ${entry.host} has an invalid port (${entry.port ?? port})`);
+    }
+    if (!isPort(acctPort)) {
+        throw new Error(`RADIUS server ${entry.host} has an invalid acctPort (${entry.acctPort ?? acctPort})`);
+    }
+
+    return {
+        name: entry.name || `${entry.host}:${port}`,
+        host: entry.host,
+        transport,
+        tlsServerName: entry.tlsServerName || null,
+        port,
+        acctPort,
+        secret,
+        priority,
+        weight,
+        authMethod,
+        requireMessageAuthenticator: entry.requireMessageAuthenticator ?? defaults.requireMessageAuthenticator ?? true,
+    };
+}
+
+/**
+ * Orders servers by weighted random selection without replacement.
+ */
+function weightedShuffle(servers) {
+    const remaining = servers.slice();
+    const ordered = [];
+
+    while (remaining.length > 0) {
+        const total = remaining.reduce((sum, s) => sum + s.weight, 0);
+        let pick = Math.random() * total;
+        let index = 0;
+
+        for (; index < remaining.length - 1; index++) {
+            pick -= remaining[index].weight;
+            if (pick < 0) break;
+        }
+
+        ordered.push(remaining.splice(index, 1)[0]);
+    }
+
+    return ordered;
+}
+
+// ── Pool factory ──────────────────────────────────────────
+
+/**
+ * Creates a server pool.
+ *
+ * @param {object}   options
+ * @param {object[]} options.servers            — [{ host, port, acctPort, secret, priority, weight, name, transport,
+ *                                                  tlsServerName, authMethod, requireMessageAuthenticator }]
+ * @param {string}   options.strategy           — failover | round-robin | weighted
+ * @param {number}   options.deadAfterFailures  — consecutive failures before a server is marked dead
+ * @param {number}   options.deadTimeMs         — how long a dead server is skipped
+ * @param {object}   options.defaults           — { port, acctPort, radsecPort, transport, secret, authMethod,
+ *                                                  requireMessageAuthenticator }
+ *                                                for entries that omit them
+ */
+function createRadiusServerPool({ servers, strategy = 'failover', deadAfterFailures = 3, deadTimeMs = 60000, defaults = {} }) {
+    if (!Array.isArray(servers) || servers.length === 0) {
+        throw new Error('At least one RADIUS server must be configured');
+    }
+    if (!STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown RADIUS load-balancing strategy "${strategy}" (expected ${STRATEGIES.join(', ')})`);
+    }
+
+    const entries = servers.map((entry, i) => ({
+        server: normalizeServer(entry, i, defaults),
+        consecutiveFailures: 0,
+        deadUntil: 0,
+        requests: 0,
+        failures: 0,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        lastError: null,
+        lastRttMs: null,
+    }));
+
+    // RadSec connections, challenge routing, health state and metric labels are all keyed by name
+    const seen = new Set();
+    for (const { server } of entries) {
+        if (seen.has(server.name)) {
+            throw new Error(`RADIUS server name "${server.name}" is used more than once; give each server its own "name"`);
+        }
+        seen.add(server.name);
+    }
+
+    const byServer = new Map(entries.map(e => [e.server, e]));
+    const rotation = new Map(); // priority → next round-robin offset
+
+    function isAlive(entry, now = Date.now()) {
+        return entry.deadUntil <= now;
+    }
+
+    function orderGroup(priority, group) {
+        if (strategy === 'weighted') {
+            return weightedShuffle(group);
+        }
+        if (strategy === 'round-robin' && group.length > 1) {
+            const offset = rotation.get(priority) || 0;
+            rotation.set(priority, (offset + 1) % group.length);
+            return group.slice(offset).concat(group.slice(0, offset));
+        }
+        return group;
+    }
+
+    /**
+     * Returns every server in the order a request should try them:
+     * live servers by priority group (ordered by strategy), then dead servers.
+     */
+    function getCandidates() {
+        const now = Date.now();
+        const groups = new Map();
+        const dead = [];
+
+        for (const entry of entries) {
+            if (!isAlive(entry, now)) {
+                dead.push(entry);
+                continue;
+            }
+            const { priority } = entry.server;
+            if (!groups.has(priority)) groups.set(priority, []);
+            groups.get(priority).push(entry.server);
+        }
+
+        const live = [...groups.keys()]
+            .sort((a, b) => a - b)
+            .flatMap(priority => orderGroup(priority, groups.get(priority)));
+
+        // Soonest-to-revive first so a recovering server is retried before the rest
+        dead.sort((a, b) => a.deadUntil - b.deadUntil);
+
+        return live.concat(dead.map(e => e.server));
+    }
+
+    function markSuccess(server, rttMs) {
+        const entry = byServer.get(server);
+        if (!entry) return;
+
+        if (!isAlive(entry)) {
+            console.log(`RADIUS server ${server.name} is responding again — marking alive`);
+        }
+
+        entry.requests++;
+        entry.consecutiveFailures = 0;
+        entry.deadUntil = 0;
+        entry.lastSuccessAt = new Date().toISOString();
+        entry.lastRttMs = rttMs;
+    }
+
+    function markFailure(server, reason) {
+        const entry = byServer.get(server);
+        if (!entry) return;
+
+        entry.requests++;
+        entry.failures++;
+        entry.consecutiveFailures++;
+        entry.lastFailureAt = new Date().toISOString();
+        entry.lastError = reason || 'unknown error';
+
+        if (entry.consecutiveFailures >= deadAfterFailures) {
+            entry.deadUntil = Date.now() + deadTimeMs;
+            console.warn(
+                `RADIUS server ${server.name} marked dead for ${Math.round(deadTimeMs / 1000)}s ` +
+                `after ${entry.consecutiveFailures} consecutive failure(s): ${entry.lastError}`
+            );
+        }
+    }
+
+    /**
+     * Per-server state for /api/health. Secrets are never included.
+     */
+    function getStatus() {
+        const now = Date.now();
+        return entries.map(entry => ({
+            name: entry.server.name,
+            host: entry.server.host,
+            transport: entry.server.transport,
+            port: entry.server.port,
+            acctPort: entry.server.acctPort,
+            priority: entry.server.priority,
+            weight: entry.server.weight,
+            authMethod: entry.server.authMethod,
+            state: isAlive(entry, now) ? 'alive' : 'dead',
+            deadUntil: isAlive(entry, now) ? null : new Date(entry.deadUntil).toISOString(),
+            consecutiveFailures: entry.consecutiveFailures,
+            requests: entry.requests,
+            failures: entry.failures,
+            lastRttMs: entry.lastRttMs,
+            lastSuccessAt: entry.lastSuccessAt,
+            lastFailureAt: entry.lastFailureAt,
+            lastError: entry.lastError,
+        }));
+    }
+
+    return {
+        strategy,
+        servers: entries.map(e => e.server),
+        getCandidates,
+        markSuccess,
+        markFailure,
+        getStatus,
+    };
+}
+
+module.exports = { createRadiusServerPool, STRATEGIES, TRANSPORTS };
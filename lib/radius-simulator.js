@@ -0,0 +1,501 @@
+'use strict';
+
+/**
+ * RADIUS Simulator
+ *
+ * A stand-in RADIUS server for local development and automated tests. Users and
+ * their replies come from a JSON fixture instead of a directory:
+ *
+ *   { "users": [
+ *       { "username": "staff@example.com", "password": "staff-pass", "filterId": "StaffPolicy",
+ *         "replyMessage": "Welcome", "sessionTimeout": 3600 },
+ *       { "username": "mfa@example.com", "password": "mfa-pass", "filterId": "StaffPolicy",
+ *         "challenges": [{ "message": "Enter the code from your app", "response": "123456" }] },
+ *       { "username": "slow@example.com", "password": "slow-pass", "delayMs": 15000 },
+ *       { "username": "flaky@example.com", "password": "flaky-pass", "drop": 1 } ] }
+ *
+ *   - PAP, CHAP and MS-CHAPv2 credentials are checked, so every RADIUS_AUTH_METHOD works.
+ *   - `challenges` are asked in order once the password is right (Access-Challenge with
+ *     a State), each answered with its `response`.
+ *   - `delayMs` holds the reply back; `drop` ignores the first N transmissions of each
+ *     request (true = never answer), to exercise retransmission, failover and timeouts.
+ *   - `reject` rejects a correct password with that Reply-Message (e.g. a disabled account).
+ *   - Accounting-Requests on the accounting port are answered and recorded.
+ *   - Status-Server (RFC 5997) is answered unless the fixture sets "statusServer": false,
+ *     which behaves like NPS.
+ *
+ * For development only: passwords are held in plain text.
+ */
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const fs = require('fs');
+const radius = require('radius');
+const { verifyRequest, verifyAccessRequest, getVendorAttributes } = require('./radius-packet');
+const { generateNtResponse, generateAuthenticatorResponse } = require('./mschap');
+
+const ACCESS_REQUEST = 1;
+const ACCOUNTING_REQUEST = 4;
+const STATUS_SERVER = 12;
+const STATE_TYPE = 24;
+const PROXY_STATE_TYPE = 33;
+const VENDOR_MICROSOFT = 311;
+const MS_CHAP_ERROR = 2;
+const MS_CHAP_CHALLENGE = 11;
+const MS_CHAP2_RESPONSE = 25;
+const MS_CHAP2_SUCCESS = 26;
+
+// Reply attributes of type "octets" — the `radius` package only encodes them from Buffers
+const OCTET_ATTRIBUTES = new Set(['Class', 'State']);
+
+const DUPLICATE_CACHE_MS = 30000;
+const CHALLENGE_TTL_MS = 300000;
+
+// ── Fixture ──────────────────────────────────────────────
+
+/**
+ * Reads a fixture file. Throws with the file name when it is missing or not JSON.
+ */
+function readFixture(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`cannot read RADIUS simulator fixture ${file}: ${err.message}`);
+    }
+}
+
+function normalizeChallenge(entry, index, username) {
+    if (!entry || typeof entry.response !== 'string') {
+        throw new Error(`challenge #${index + 1} of simulator user ${username} needs a "response"`);
+    }
+    return {
+        message: entry.message || 'Enter your verification code',
+        response: entry.response,
+        echo: entry.echo !== false,
+    };
+}
+
+function normalizeAttribute([name, value]) {
+    return OCTET_ATTRIBUTES.has(name) && typeof value === 'string'
+        ? [name, Buffer.from(value, 'utf8')]
+        : [name, value];
+}
+
+function normalizeUser(entry, index, defaults) {
+    if (!entry || typeof entry !== 'object' || !entry.username) {
+        throw new Error(`simulator user #${index + 1} needs a "username"`);
+    }
+    if (typeof entry.password !== 'string') {
+        throw new Error(`simulator user ${entry.username} needs a "password"`);
+    }
+
+    const username = String(entry.username);
+    return {
+        username,
+        password: entry.password,
+        filterIds: [].concat(entry.filterId !== undefined ? entry.filterId : []).map(String),
+        replyMessage: entry.replyMessage,
+        sessionTimeout: entry.sessionTimeout,
+        idleTimeout: entry.idleTimeout,
+        attributes: Array.isArray(entry.attributes) ? entry.attributes.map(normalizeAttribute) : [],
+        challenges: [].concat(entry.challenges || []).map((c, i) => normalizeChallenge(c, i, username)),
+        reject: entry.reject,
+        delayMs: entry.delayMs !== undefined ? entry.delayMs : (defaults.delayMs || 0),
+        drop: entry.drop !== undefined ? entry.drop : (defaults.drop || 0),
+    };
+}
+
+// User names are matched case-insensitively, as NPS and Active Directory do
+function compileFixture(fixture) {
+    if (!fixture || typeof fixture !== 'object' || !Array.isArray(fixture.users)) {
+        throw new Error('RADIUS simulator fixture needs a "users" array');
+    }
+
+    const defaults = fixture.defaults || {};
+    const users = new Map();
+    fixture.users.forEach((entry, index) => {
+        const user = normalizeUser(entry, index, defaults);
+        users.set(user.username.toLowerCase(), user);
+    });
+
+    return {
+        users,
+        defaults: { delayMs: defaults.delayMs || 0, drop: defaults.drop || 0 },
+        messageAuthenticator: fixture.messageAuthenticator !== false,
+        statusServer: fixture.statusServer !== false,
+        requireMessageAuthenticator: fixture.requireMessageAuthenticator === true,
+    };
+}
+
+// ── Credentials ───────────────────────────────────────────
+
+/**
+ * Checks the credential in an Access-Request against the expected secret (the
+ * password, or a challenge response).
+ *
+ * @returns {{ method: string|null, ok: boolean, acceptAttributes: Array, rejectAttributes: Array }}
+ */
+function checkCredentials(request, username, expected) {
+    const attributes = request.attributes;
+
+    if (attributes['User-Password'] !== undefined) {
+        return { method: 'pap', ok: attributes['User-Password'] === expected, acceptAttributes: [], rejectAttributes: [] };
+    }
+
+    const chapPassword = attributes['CHAP-Password'];
+    if (chapPassword) {
+        const challenge = attributes['CHAP-Challenge'] || request.authenticator;
+        const response = crypto.createHash('md5')
+            .update(chapPassword.subarray(0, 1))
+            .update(Buffer.from(expected, 'utf8'))
+            .update(challenge)
+            .digest();
+        return { method: 'chap', ok: response.equals(chapPassword.subarray(1)), acceptAttributes: [], rejectAttributes: [] };
+    }
+
+    const vendorAttributes = getVendorAttributes(request.raw_attributes, VENDOR_MICROSOFT);
+    const authenticatorChallenge = (vendorAttributes.find(a => a.type === MS_CHAP_CHALLENGE) || {}).value;
+    const chap2Response = (vendorAttributes.find(a => a.type === MS_CHAP2_RESPONSE) || {}).value;
+    if (authenticatorChallenge && chap2Response && chap2Response.length === 50) {
+        // Ident(1) Flags(1) Peer-Challenge(16) Reserved(8) NT-Response(24)
+        const ident = chap2Response.subarray(0, 1);
+        const peerChallenge = chap2Response.subarray(2, 18);
+        const ntResponse = chap2Response.subarray(26, 50);
+        const ok = generateNtResponse(authenticatorChallenge, peerChallenge, username, expected).equals(ntResponse);
+
+        const success = Buffer.concat([
+            ident,
+            Buffer.from(generateAuthenticatorResponse(expected, ntResponse, peerChallenge, authenticatorChallenge, username), 'ascii'),
+        ]);
+        const error = Buffer.concat([
+            ident,
+            Buffer.from(`E=691 R=0 C=${authenticatorChallenge.toString('hex').toUpperCase()} V=3 M=Authentication failed`, 'ascii'),
+        ]);
+
+        return {
+            method: 'mschapv2',
+            ok,
+            acceptAttributes: [['Vendor-Specific', VENDOR_MICROSOFT, [[MS_CHAP2_SUCCESS, success]]]],
+            rejectAttributes: [['Vendor-Specific', VENDOR_MICROSOFT, [[MS_CHAP_ERROR, error]]]],
+        };
+    }
+
+    return { method: null, ok: false, acceptAttributes: [], rejectAttributes: [] };
+}
+
+// ── Simulator factory ─────────────────────────────────────
+
+/**
+ * Creates the simulator. Nothing is bound until listen() is called.
+ *
+ * @param {object}  options
+ * @param {object}  options.fixture  — parsed fixture (see above)
+ * @param {string}  options.secret   — shared secret, else the fixture's "secret", else "testing123"
+ * @param {string}  options.host     — address to bind
+ * @param {number}  options.port     — authentication port (0 = any free port)
+ * @param {number}  options.acctPort — accounting port (0 = any free port, null = no accounting)
+ * @param {boolean} options.debug    — log every request
+ */
+function createRadiusSimulator({ fixture, secret, host = '127.0.0.1', port = 1812, acctPort = 1813, debug = false }) {
+    const sharedSecret = secret || fixture.secret || 'testing123';
+    let compiled = compileFixture(fixture);
+
+    const recent = new Map();     // source + identifier + authenticator → { transmissions, started, reply, expiresAt }
+    const challenges = new Map(); // State (hex) → { username, round, expiresAt }
+    const sessions = new Map();   // Acct-Session-Id → { username, clientMac, startedAt, updatedAt }
+    const counters = {
+        requests: 0,
+        accepts: 0,
+        rejects: 0,
+        challenges: 0,
+        statusServer: 0,
+        dropped: 0,
+        accounting: 0,
+    };
+    let authSocket = null;
+    let acctSocket = null;
+
+    function log(message) {
+        if (debug) console.log(`[radius-simulator] ${message}`);
+    }
+
+    function prune(now) {
+        for (const [key, entry] of recent) {
+            if (entry.expiresAt <= now) recent.delete(key);
+        }
+        for (const [state, entry] of challenges) {
+            if (entry.expiresAt <= now) challenges.delete(state);
+        }
+    }
+
+    // Same as radius.encode_response, but the fixture decides on the Message-Authenticator
+    function encodeReply(request, code, attributes) {
+        const proxyState = request.raw_attributes.filter(([type]) => type === PROXY_STATE_TYPE);
+        return radius.encode({
+            code,
+            identifier: request.identifier,
+            authenticator: request.authenticator,
+            attributes: [...attributes, ...proxyState],
+            secret: sharedSecret,
+            add_message_authenticator: compiled.messageAuthenticator && request.attributes['Message-Authenticator'] !== undefined,
+        });
+    }
+
+    // ── Access-Request ──
+
+    function answerAccessRequest(request) {
+        const username = String(request.attributes['User-Name'] || '');
+        const user = compiled.users.get(username.toLowerCase());
+        const stateAttr = request.raw_attributes.find(([type]) => type === STATE_TYPE);
+
+        const reject = (attributes = [], reason) => {
+            counters.rejects++;
+            log(`Access-Reject for ${username || '(no User-Name)'}${reason ? ` (${reason})` : ''}`);
+            return { code: 'Access-Reject', attributes };
+        };
+
+        if (!user) return reject([], 'unknown user');
+
+        // The answer to a challenge is checked against that challenge's response
+        let round = 0;
+        let expected = user.password;
+        if (stateAttr) {
+            const pending = challenges.get(stateAttr[1].toString('hex'));
+            challenges.delete(stateAttr[1].toString('hex'));
+            if (!pending || pending.username !== user.username) return reject([], 'unknown State');
+            round = pending.round;
+            expected = user.challenges[round - 1].response;
+        }
+
+        const check = checkCredentials(request, username, expected);
+        if (!check.method) return reject([], 'no credentials');
+        if (!check.ok) {
+            return reject(check.rejectAttributes, round > 0 ? `wrong response to challenge ${round}` : `wrong ${check.method} password`);
+        }
+
+        if (user.reject) return reject([['Reply-Message', user.reject]], 'rejected by fixture');
+
+        if (round < user.challenges.length) {
+            const challenge = user.challenges[round];
+            const state = crypto.randomBytes(16);
+            challenges.set(state.toString('hex'), {
+                username: user.username,
+                round: round + 1,
+                expiresAt: Date.now() + CHALLENGE_TTL_MS,
+            });
+
+            const attributes = [['State', state], ['Reply-Message', challenge.message]];
+            if (!challenge.echo) attributes.push(['Prompt', 'No-Echo']);
+
+            counters.challenges++;
+            log(`Access-Challenge ${round + 1}/${user.challenges.length} for ${username}`);
+            return { code: 'Access-Challenge', attributes };
+        }
+
+        const attributes = user.filterIds.map(filterId => ['Filter-Id', filterId]);
+        if (user.replyMessage) attributes.push(['Reply-Message', user.replyMessage]);
+        if (user.sessionTimeout !== undefined) attributes.push(['Session-Timeout', user.sessionTimeout]);
+        if (user.idleTimeout !== undefined) attributes.push(['Idle-Timeout', user.idleTimeout]);
+        attributes.push(...user.attributes, ...check.acceptAttributes);
+
+        counters.accepts++;
+        log(`Access-Accept for ${username} (${check.method})`);
+        return { code: 'Access-Accept', attributes };
+    }
+
+    // ── Accounting-Request ──
+
+    function answerAccountingRequest(request) {
+        const statusType = request.attributes['Acct-Status-Type'];
+        const sessionId = request.attributes['Acct-Session-Id'];
+        const now = new Date().toISOString();
+
+        counters.accounting++;
+        if (sessionId) {
+            if (statusType === 'Stop') {
+                sessions.delete(sessionId);
+            } else {
+                const session = sessions.get(sessionId) || { startedAt: now };
+                sessions.set(sessionId, {
+                    ...session,
+                    username: request.attributes['User-Name'],
+                    clientMac: request.attributes['Calling-Station-Id'],
+                    updatedAt: now,
+                });
+            }
+        }
+
+        log(`Accounting ${statusType || '(no Acct-Status-Type)'} for ${request.attributes['User-Name'] || sessionId}`);
+        return { code: 'Accounting-Response', attributes: [] };
+    }
+
+    // ── Status-Server ──
+
+    // Answered with an Access-Accept without attributes (RFC 5997 §3); it must carry a
+    // Message-Authenticator. Not de-duplicated, since every probe expects a fresh answer.
+    function answerStatusServer(socket, message, rinfo) {
+        const source = `${rinfo.address}:${rinfo.port}`;
+
+        if (!compiled.statusServer) {
+            counters.dropped++;
+            log(`Ignoring Status-Server from ${source} (fixture)`);
+            return;
+        }
+
+        const check = verifyAccessRequest(message, sharedSecret, { requireMessageAuthenticator: true });
+        if (!check.ok) {
+            counters.dropped++;
+            log(`Dropped Status-Server from ${source} (${check.reason})`);
+            return;
+        }
+
+        const request = radius.decode({ packet: message, secret: sharedSecret });
+        counters.statusServer++;
+        socket.send(encodeReply(request, 'Access-Accept', []), rinfo.port, rinfo.address);
+    }
+
+    // ── Datagrams ──
+
+    async function onMessage(socket, message, rinfo, accounting) {
+        const source = `${rinfo.address}:${rinfo.port}`;
+        const expectedCode = accounting ? ACCOUNTING_REQUEST : ACCESS_REQUEST;
+
+        if (!accounting && message.length >= 20 && message[0] === STATUS_SERVER) {
+            answerStatusServer(socket, message, rinfo);
+            return;
+        }
+
+        if (message.length < 20 || message[0] !== expectedCode) {
+            counters.dropped++;
+            log(`Dropped packet with code ${message[0]} from ${source}`);
+            return;
+        }
+
+        const check = accounting
+            ? verifyRequest(message, sharedSecret)
+            : verifyAccessRequest(message, sharedSecret, { requireMessageAuthenticator: compiled.requireMessageAuthenticator });
+        if (!check.ok) {
+            counters.dropped++;
+            log(`Dropped request from ${source} (${check.reason})`);
+            return;
+        }
+
+        const now = Date.now();
+        prune(now);
+        const key = `${source}/${message[1]}/${message.subarray(4, 20).toString('hex')}`;
+        const entry = recent.get(key) || { transmissions: 0, started: false, reply: null };
+        entry.transmissions++;
+        entry.expiresAt = now + DUPLICATE_CACHE_MS;
+        recent.set(key, entry);
+
+        let request;
+        try {
+            request = radius.decode({ packet: message, secret: sharedSecret });
+        } catch (err) {
+            counters.dropped++;
+            log(`Dropped undecodable request from ${source}: ${err.message}`);
+            return;
+        }
+
+        const user = accounting ? null : compiled.users.get(String(request.attributes['User-Name'] || '').toLowerCase());
+        const behaviour = user || compiled.defaults;
+
+        if (behaviour.drop === true || entry.transmissions <= behaviour.drop) {
+            counters.dropped++;
+            log(`Dropping transmission ${entry.transmissions} of id ${request.identifier} from ${source} (fixture)`);
+            return;
+        }
+
+        // A retransmission gets the same reply; one still being delayed is ignored
+        if (entry.reply) {
+            socket.send(entry.reply, rinfo.port, rinfo.address);
+            return;
+        }
+        if (entry.started) return;
+        entry.started = true;
+
+        counters.requests++;
+        const answer = accounting ? answerAccountingRequest(request) : answerAccessRequest(request);
+        const reply = encodeReply(request, answer.code, answer.attributes);
+
+        if (behaviour.delayMs > 0) {
+            log(`Delaying reply to ${source} by ${behaviour.delayMs}ms (fixture)`);
+            await new Promise(resolve => setTimeout(resolve, behaviour.delayMs));
+        }
+
+        entry.reply = reply;
+        if (socket === authSocket || socket === acctSocket) {
+            socket.send(reply, rinfo.port, rinfo.address);
+        }
+    }
+
+    function bind(bindPort, accounting) {
+        return new Promise((resolve, reject) => {
+            const socket = dgram.createSocket('udp4');
+            socket.on('message', (message, rinfo) => {
+                onMessage(socket, message, rinfo, accounting).catch(err => {
+                    console.error(`RADIUS simulator error: ${err.message}`);
+                });
+            });
+            socket.once('error', reject);
+            socket.bind(bindPort, host, () => {
+                socket.removeListener('error', reject);
+                socket.on('error', err => console.error(`RADIUS simulator socket error: ${err.message}`));
+                resolve(socket);
+            });
+        });
+    }
+
+    /**
+     * Binds the authentication (and accounting) ports.
+     * Resolves { port, acctPort } with the ports actually bound.
+     */
+    async function listen() {
+        authSocket = await bind(port, false);
+        if (acctPort !== null && acctPort !== undefined) {
+            acctSocket = await bind(acctPort, true);
+        }
+
+        const bound = {
+            port: authSocket.address().port,
+            acctPort: acctSocket ? acctSocket.address().port : null,
+        };
+        console.log(
+            `RADIUS simulator listening on ${host}:${bound.port}` +
+            `${bound.acctPort ? ` (accounting ${bound.acctPort})` : ''} with ${compiled.users.size} user(s)`
+        );
+        return bound;
+    }
+
+    // Swaps the fixture without restarting, e.g. between test cases
+    function load(nextFixture) {
+        compiled = compileFixture(nextFixture);
+        challenges.clear();
+        recent.clear();
+    }
+
+    function getStatus() {
+        return {
+            users: compiled.users.size,
+            pendingChallenges: challenges.size,
+            openSessions: sessions.size,
+            ...counters,
+        };
+    }
+
+    function getSessions() {
+        return [...sessions.entries()].map(([sessionId, session]) => ({ sessionId, ...session }));
+    }
+
+    function close() {
+        for (const socket of [authSocket, acctSocket]) {
+            if (socket) socket.close();
+        }
+        authSocket = null;
+        acctSocket = null;
+    }
+
+    return { listen, load, getStatus, getSessions, close };
+}
+
+module.exports = { createRadiusSimulator, readFixture };
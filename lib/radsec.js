@@ -0,0 +1,278 @@
+'use strict';
+
+/**
+ * RadSec Client (RADIUS over TLS, RFC 6614)
+ *
+ * Sends RADIUS packets over a TCP+TLS connection instead of UDP:
+ *
+ *   - One long-lived connection per server, opened on first use and shared by all
+ *     requests; replies are matched to requests by Identifier (up to 256 in flight).
+ *   - Mutual TLS: we present a client certificate, and trust only the configured CA
+ *     (plus optional SHA-256 fingerprint pins of the server certificate).
+ *   - The shared secret is the fixed string "radsec" unless a server overrides it
+ *     (RFC 6614 §2.3). Replies are still checked with the Response Authenticator
+ *     and Message-Authenticator.
+ *   - TCP is reliable, so requests are never retransmitted (RFC 6614 §2.2). A
+ *     closed connection fails its pending requests so the caller can fail over.
+ */
+
+const { AsyncResource } = require('async_hooks');
+const tls = require('tls');
+const radius = require('radius');
+const { verifyResponse } = require('./radius-packet');
+
+const HEADER_LENGTH = 20;
+const MAX_PACKET_LENGTH = 4096;
+
+// ── Helpers ──────────────────────────────────────────────
+
+function normalizeFingerprint(fp) {
+    return String(fp).replace(/:/g, '').toUpperCase();
+}
+
+// ── Client factory ────────────────────────────────────────
+
+/**
+ * Creates a RadSec client.
+ *
+ * @param {object}   options
+ * @param {object}   options.tls              — { cert, key, ca, passphrase } PEM contents
+ * @param {string[]} options.pinnedSha256     — accepted server certificate fingerprints (optional)
+ * @param {number}   options.connectTimeoutMs — TLS handshake deadline
+ * @param {number}   options.idleTimeoutMs    — close a connection with nothing in flight after this long
+ * @param {Function} options.onDrop           — (serverName, reason) called for every rejected reply
+ * @param {boolean}  options.debug            — log every request
+ */
+function createRadSecClient({ tls: tlsOptions, pinnedSha256 = [], connectTimeoutMs = 5000, idleTimeoutMs = 300000, onDrop = () => {}, debug = false }) {
+    const pins = pinnedSha256.map(normalizeFingerprint);
+    const connections = new Map(); // server name → connection
+    const stats = new Map();       // server name → { connects, failures, lastError }
+
+    function statsFor(server) {
+        if (!stats.has(server.name)) {
+            stats.set(server.name, { connects: 0, failures: 0, connectedSince: null, lastError: null });
+        }
+        return stats.get(server.name);
+    }
+
+    function checkServerIdentity(servername, cert) {
+        const err = tls.checkServerIdentity(servername, cert);
+        if (err) return err;
+
+        if (pins.length > 0 && !pins.includes(normalizeFingerprint(cert.fingerprint256))) {
+            return new Error(`RadSec server certificate ${cert.fingerprint256} is not pinned`);
+        }
+        return undefined;
+    }
+
+    // Connections outlive the login that happens to open them. They are opened in the client's
+    // own scope, and each reply is handled in the scope of the request it answers, so log
+    // entries carry the right request ID instead of the first login's.
+    const clientScope = new AsyncResource('RadSecClient');
+
+    function connect(server) {
+        return clientScope.runInAsyncScope(() => openConnection(server));
+    }
+
+    function openConnection(server) {
+        const conn = {
+            socket: null,
+            ready: null,
+            pending: new Map(), // identifier → request
+            buffer: Buffer.alloc(0),
+            nextId: Math.floor(Math.random() * 256),
+        };
+        const serverStats = statsFor(server);
+
+        conn.ready = new Promise((resolve, reject) => {
+            const socket = tls.connect({
+                host: server.host,
+                port: server.port,
+                servername: server.tlsServerName || server.host,
+                cert: tlsOptions.cert,
+                key: tlsOptions.key,
+                passphrase: tlsOptions.passphrase,
+                ca: tlsOptions.ca,
+                minVersion: 'TLSv1.2',
+                checkServerIdentity,
+            });
+            conn.socket = socket;
+
+            const connectTimer = setTimeout(() => {
+                socket.destroy(new Error(`RadSec connection to ${server.name} timed out`));
+            }, connectTimeoutMs);
+
+            socket.once('secureConnect', () => {
+                clearTimeout(connectTimer);
+                serverStats.connects++;
+                serverStats.connectedSince = new Date().toISOString();
+                socket.setKeepAlive(true, 30000);
+                socket.setTimeout(idleTimeoutMs);
+                console.log(`RadSec connection established to ${server.name} (${socket.getProtocol()})`);
+                resolve();
+            });
+
+            socket.on('data', chunk => onData(server, conn, chunk));
+
+            // Only close when idle — an in-flight request has its own timeout
+            socket.on('timeout', () => {
+                if (conn.pending.size === 0) {
+                    if (debug) console.log(`Closing idle RadSec connection to ${server.name}`);
+                    socket.end();
+                }
+            });
+
+            socket.on('error', (err) => {
+                clearTimeout(connectTimer);
+                serverStats.failures++;
+                serverStats.lastError = err.message;
+                console.error(`RadSec connection to ${server.name} failed: ${err.message}`);
+                reject(err);
+            });
+
+            socket.on('close', () => {
+                clearTimeout(connectTimer);
+                serverStats.connectedSince = null;
+                if (connections.get(server.name) === conn) connections.delete(server.name);
+
+                // Pending requests cannot be answered on a new connection — fail them so
+                // the caller can move on to the next server
+                for (const request of conn.pending.values()) {
+                    clearTimeout(request.timer);
+                    request.reject(new Error(`RadSec connection to ${server.name} closed`));
+                }
+                conn.pending.clear();
+                reject(new Error(`RadSec connection to ${server.name} closed`));
+            });
+        });
+
+        // The rejection is delivered to each request awaiting `ready`
+        conn.ready.catch(() => {});
+        connections.set(server.name, conn);
+        return conn;
+    }
+
+    // Splits the TLS stream into RADIUS packets using the Length field
+    function onData(server, conn, chunk) {
+        conn.buffer = Buffer.concat([conn.buffer, chunk]);
+
+        while (conn.buffer.length >= 4) {
+            const length = conn.buffer.readUInt16BE(2);
+            if (length < HEADER_LENGTH || length > MAX_PACKET_LENGTH) {
+                console.error(`RadSec stream from ${server.name} is corrupt (length ${length}), closing connection`);
+                conn.socket.destroy();
+                return;
+            }
+            if (conn.buffer.length < length) return;
+
+            const packet = conn.buffer.subarray(0, length);
+            conn.buffer = conn.buffer.subarray(length);
+            onPacket(server, conn, packet);
+        }
+    }
+
+    function onPacket(server, conn, packet) {
+        const request = conn.pending.get(packet[1]);
+        if (!request) {
+            onDrop(server.name, 'identifier');
+            return;
+        }
+
+        const check = verifyResponse(request.encoded, packet, server.secret, {
+            requireMessageAuthenticator: request.requireMessageAuthenticator,
+        });
+        if (!check.ok) {
+            onDrop(server.name, check.reason);
+            return;
+        }
+
+        conn.pending.delete(packet[1]);
+        clearTimeout(request.timer);
+
+        request.scope.runInAsyncScope(() => {
+            try {
+                request.resolve({ response: radius.decode({ packet, secret: server.secret }) });
+            } catch (err) {
+                request.reject(new Error(`Failed to process RadSec response: ${err.message}`));
+            }
+        });
+    }
+
+    function allocateIdentifier(conn) {
+        for (let i = 0; i < 256; i++) {
+            const id = (conn.nextId + i) % 256;
+            if (!conn.pending.has(id)) {
+                conn.nextId = (id + 1) % 256;
+                return id;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Sends one packet and waits for the verified reply.
+     * Resolves { response } or { timedOut: true }; rejects on connection errors.
+     */
+    async function request(server, packet, { timeoutMs, messageAuthenticator = false, requireMessageAuthenticator = false }) {
+        const startedAt = Date.now();
+        const conn = connections.get(server.name) || connect(server);
+
+        await conn.ready;
+        if (conn.socket.destroyed) {
+            throw new Error(`RadSec connection to ${server.name} closed`);
+        }
+
+        const identifier = allocateIdentifier(conn);
+        if (identifier === null) {
+            throw new Error(`RadSec connection to ${server.name} has 256 requests in flight`);
+        }
+
+        const encoded = radius.encode({
+            ...packet,
+            identifier,
+            secret: server.secret,
+            add_message_authenticator: messageAuthenticator,
+        });
+
+        return new Promise((resolve, reject) => {
+            const remaining = Math.max(timeoutMs - (Date.now() - startedAt), 0);
+            const timer = setTimeout(() => {
+                conn.pending.delete(identifier);
+                console.log(`RadSec ${packet.code} to ${server.name} timed out`);
+                resolve({ timedOut: true });
+            }, remaining);
+
+            conn.pending.set(identifier, {
+                encoded, resolve, reject, timer, requireMessageAuthenticator,
+                scope: new AsyncResource('RadSecRequest'),
+            });
+
+            if (debug) {
+                console.log(`RadSec ${packet.code} to ${server.name} (id ${identifier}, ${conn.pending.size} in flight)`);
+            }
+            conn.socket.write(encoded);
+        });
+    }
+
+    function getStatus() {
+        return [...stats.entries()].map(([name, s]) => ({
+            name,
+            connected: Boolean(s.connectedSince),
+            connectedSince: s.connectedSince,
+            inFlight: connections.has(name) ? connections.get(name).pending.size : 0,
+            connects: s.connects,
+            failures: s.failures,
+            lastError: s.lastError,
+        }));
+    }
+
+    function close() {
+        for (const conn of connections.values()) {
+            if (conn.socket) conn.socket.end();
+        }
+    }
+
+    return { request, getStatus, close };
+}
+
+module.exports = { createRadSecClient };
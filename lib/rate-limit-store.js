@@ -0,0 +1,219 @@
+'use strict';
+
+/**
+ * Rate-Limit Stores
+ *
+ * Backing stores for lib/rate-limiter.js. Both have the same async interface:
+ *
+ *   hit(key, windowMs)        — records an event now; resolves the events in the last windowMs
+ *   count(key, windowMs)      — events in the last windowMs, without recording one
+ *   increment(key, ttlMs)     — adds 1 to a counter that expires ttlMs after its last change
+ *   get(key) / set(key, value, ttlMs) / remove(...keys)
+ *
+ *   memory — a Map in this process; right for a single task
+ *   redis  — sorted sets and plain keys in Redis (lib/redis-client.js), so every ECS
+ *            task behind the load balancer sees the same counts
+ *
+ * Windows are sliding logs (one timestamp per event), so a burst at the end of one
+ * window and the start of the next is still counted together.
+ */
+
+const crypto = require('crypto');
+const { createRedisClient } = require('./redis-client');
+
+// Lockouts and their repeat counts are never evicted to make room: otherwise spraying
+// new usernames would push a victim's lockout out and let the guessing carry on
+const PROTECTED_PREFIXES = ['lock:', 'strikes:'];
+
+// When the store is full, expired keys are swept at most this often before evicting
+const FULL_SWEEP_INTERVAL_MS = 1000;
+
+// ── Memory store ──────────────────────────────────────────
+
+/**
+ * Creates the in-process store.
+ *
+ * @param {object} options
+ * @param {number} options.maxKeys         — cap on tracked keys; when full, expired keys go first, then the
+ *                                           oldest ones other than lockouts
+ * @param {number} options.sweepIntervalMs — how often expired keys are removed
+ */
+function createMemoryStore({ maxKeys = 100000, sweepIntervalMs = 60000 } = {}) {
+    const entries = new Map(); // key → { events: number[], value, expiresAt } (insertion order = age)
+    const counters = { evicted: 0, untracked: 0 };
+    let lastFullSweep = 0;
+
+    // Deletes the oldest key that is not a lockout; false when there is none
+    function evictOldest() {
+        for (const key of entries.keys()) {
+            if (!PROTECTED_PREFIXES.some(prefix => key.startsWith(prefix))) {
+                entries.delete(key);
+                counters.evicted++;
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function entry(key) {
+        let found = entries.get(key);
+        if (!found) {
+            found = { events: [], value: null, expiresAt: Infinity };
+            if (entries.size >= maxKeys && Date.now() - lastFullSweep >= FULL_SWEEP_INTERVAL_MS) {
+                lastFullSweep = Date.now();
+                sweep();
+            }
+            while (entries.size >= maxKeys) {
+                if (!evictOldest()) {
+                    // Only lockouts left: the new key is counted for this call but not kept
+                    counters.untracked++;
+                    return found;
+                }
+            }
+            entries.set(key, found);
+        }
+        return found;
+    }
+
+    function prune(found, windowMs, now) {
+        const cutoff = now - windowMs;
+        while (found.events.length && found.events[0] <= cutoff) {
+            found.events.shift();
+        }
+        found.expiresAt = found.events.length ? found.events[found.events.length - 1] + windowMs : now;
+    }
+
+    function live(key, now = Date.now()) {
+        const found = entries.get(key);
+        if (found && found.expiresAt <= now) {
+            entries.delete(key);
+            return null;
+        }
+        return found || null;
+    }
+
+    async function hit(key, windowMs) {
+        const now = Date.now();
+        const found = entry(key);
+        found.events.push(now);
+        prune(found, windowMs, now);
+        return found.events.length;
+    }
+
+    async function count(key, windowMs) {
+        const found = live(key);
+        if (!found) return 0;
+        prune(found, windowMs, Date.now());
+        return found.events.length;
+    }
+
+    async function increment(key, ttlMs) {
+        const found = live(key) || entry(key);
+        found.value = (parseInt(found.value) || 0) + 1;
+        found.expiresAt = Date.now() + ttlMs;
+        return found.value;
+    }
+
+    async function get(key) {
+        const found = live(key);
+        return found && found.value !== null ? String(found.value) : null;
+    }
+
+    async function set(key, value, ttlMs) {
+        const found = live(key) || entry(key);
+        found.value = value;
+        found.expiresAt = Date.now() + ttlMs;
+    }
+
+    async function remove(...keys) {
+        for (const key of keys) entries.delete(key);
+    }
+
+    function sweep() {
+        const now = Date.now();
+        for (const [key, found] of entries) {
+            if (found.expiresAt <= now) entries.delete(key);
+        }
+    }
+
+    const sweeper = setInterval(sweep, sweepIntervalMs);
+    sweeper.unref();
+
+    function getStatus() {
+        return { type: 'memory', keys: entries.size, maxKeys, ...counters };
+    }
+
+    function close() {
+        clearInterval(sweeper);
+    }
+
+    return { hit, count, increment, get, set, remove, getStatus, close };
+}
+
+// ── Redis store ───────────────────────────────────────────
+
+/**
+ * Creates the shared store.
+ *
+ * @param {object} options
+ * @param {string} options.url       — redis:// or rediss:// URL
+ * @param {string} options.keyPrefix — prepended to every key, so the database can be shared
+ * @param {number} options.timeoutMs — wait for each Redis reply
+ */
+function createRedisStore({ url, keyPrefix = 'splash:rl:', timeoutMs = 1000 }) {
+    const client = createRedisClient({ url, commandTimeoutMs: timeoutMs });
+
+    async function hit(key, windowMs) {
+        const now = Date.now();
+        // A random suffix keeps events in the same millisecond (other tasks too) apart
+        const member = `${now}-${crypto.randomBytes(4).toString('hex')}`;
+        const replies = await client.multi([
+            ['ZREMRANGEBYSCORE', keyPrefix + key, '-inf', now - windowMs],
+            ['ZADD', keyPrefix + key, now, member],
+            ['ZCARD', keyPrefix + key],
+            ['PEXPIRE', keyPrefix + key, windowMs],
+        ]);
+        return replies[2];
+    }
+
+    async function count(key, windowMs) {
+        const now = Date.now();
+        const replies = await client.multi([
+            ['ZREMRANGEBYSCORE', keyPrefix + key, '-inf', now - windowMs],
+            ['ZCARD', keyPrefix + key],
+        ]);
+        return replies[1];
+    }
+
+    async function increment(key, ttlMs) {
+        const replies = await client.multi([
+            ['INCR', keyPrefix + key],
+            ['PEXPIRE', keyPrefix + key, ttlMs],
+        ]);
+        return replies[0];
+    }
+
+    function get(key) {
+        return client.command('GET', keyPrefix + key);
+    }
+
+    async function set(key, value, ttlMs) {
+        await client.command('SET', keyPrefix + key, value, 'PX', Math.max(Math.round(ttlMs), 1));
+    }
+
+    async function remove(...keys) {
+        if (keys.length) await client.command('DEL', ...keys.map(key => keyPrefix + key));
+    }
+
+    function getStatus() {
+        return { type: 'redis', keyPrefix, ...client.getStatus() };
+    }
+
+    function close() {
+        client.close();
+    }
+
+    return { hit, count, increment, get, set, remove, getStatus, close };
+}
+
+module.exports = { createMemoryStore, createRedisStore };
@@ -0,0 +1,184 @@
+'use strict';
+
+/**
+ * Login Rate Limiter
+ *
+ * Keeps password spraying through the splash page away from the RADIUS server (and the
+ * directory account lockouts behind it):
+ *
+ *   - sliding-window attempt limits per username, per client MAC and per source IP
+ *   - progressive delay: after `delayAfter` rejected logins for a username or MAC, each
+ *     further attempt waits delayMs, 2×delayMs, 4×delayMs ... up to maxDelayMs
+ *   - lockout: `lockoutAfter` rejected logins lock the username or MAC out for lockoutMs,
+ *     doubling with each repeat lockout within a day, up to maxLockoutMs
+ *
+ * The source IP only has an attempt limit: behind the campus NAT every client can share one.
+ * Counts live in a store from lib/rate-limit-store.js. If the store fails, logins are let
+ * through (and the error counted) rather than blocking everyone.
+ */
+
+// Rejected logins are tracked for these; the source IP is only rate limited
+const FAILURE_DIMENSIONS = ['username', 'mac'];
+// Repeat lockouts within this time get longer
+const STRIKE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// ── Helpers ──────────────────────────────────────────────
+
+/**
+ * Normalizes the login's identifiers to { dimension, value } pairs; missing ones are left out.
+ */
+function subjectKeys({ username, mac, ip }) {
+    const keys = [];
+    if (username) keys.push({ dimension: 'username', value: String(username).trim().toLowerCase() });
+    if (mac) keys.push({ dimension: 'mac', value: String(mac).toLowerCase().replace(/[^0-9a-f]/g, '') });
+    if (ip) keys.push({ dimension: 'ip', value: String(ip).replace(/^::ffff:/, '') });
+    return keys.filter(key => key.value);
+}
+
+// ── Limiter factory ───────────────────────────────────────
+
+/**
+ * Creates the rate limiter.
+ *
+ * @param {object} options
+ * @param {object} options.store                   — memory or Redis store
+ * @param {object} options.limits                  — { username, mac, ip }: attempts allowed per windowMs (0 = no limit)
+ * @param {number} options.windowMs                — sliding window for attempts and rejected logins
+ * @param {object} options.failures                — { delayAfter, delayMs, maxDelayMs, lockoutAfter, lockoutMs, maxLockoutMs }
+ */
+function createRateLimiter({ store, limits, windowMs = 15 * 60 * 1000, failures }) {
+    const {
+        delayAfter = 3,
+        delayMs = 1000,
+        maxDelayMs = 8000,
+        lockoutAfter = 5,
+        lockoutMs = 15 * 60 * 1000,
+        maxLockoutMs = STRIKE_TTL_MS,
+    } = failures || {};
+
+    const counters = {
+        checked: 0,
+        delayed: 0,
+        limited: { username: 0, mac: 0, ip: 0 },
+        lockedOut: { username: 0, mac: 0 },
+        lockouts: { username: 0, mac: 0 },
+        storeErrors: 0,
+    };
+    let lastStoreError = null;
+
+    function storeFailed(err) {
+        counters.storeErrors++;
+        lastStoreError = err.message;
+        console.error(`Rate limit store error (letting the login through): ${err.message}`);
+    }
+
+    /**
+     * Counts an attempt and decides whether it may go ahead.
+     *
+     * @param {object} subject — { username, mac, ip }
+     * @returns {Promise<{ allowed: boolean, delayMs?: number, dimension?: string,
+     *                     reason?: 'rate'|'lockout', retryAfterSeconds?: number }>}
+     */
+    async function check(subject) {
+        counters.checked++;
+        const keys = subjectKeys(subject);
+        const tracked = keys.filter(key => FAILURE_DIMENSIONS.includes(key.dimension));
+
+        try {
+            const now = Date.now();
+            const locks = await Promise.all(tracked.map(key => store.get(`lock:${key.dimension}:${key.value}`)));
+            for (let i = 0; i < tracked.length; i++) {
+                const until = parseInt(locks[i]);
+                if (until > now) {
+                    counters.lockedOut[tracked[i].dimension]++;
+                    return refuse(tracked[i], 'lockout', until - now);
+                }
+            }
+
+            const limited = keys.filter(key => limits[key.dimension] > 0);
+            const attempts = await Promise.all(limited.map(key => store.hit(`attempts:${key.dimension}:${key.value}`, windowMs)));
+            for (let i = 0; i < limited.length; i++) {
+                if (attempts[i] > limits[limited[i].dimension]) {
+                    counters.limited[limited[i].dimension]++;
+                    return refuse(limited[i], 'rate', windowMs);
+                }
+            }
+
+            const failed = await Promise.all(tracked.map(key => store.count(`fail:${key.dimension}:${key.value}`, windowMs)));
+            const mostFailures = Math.max(0, ...failed);
+            if (delayAfter > 0 && mostFailures >= delayAfter) {
+                counters.delayed++;
+                return {
+                    allowed: true,
+                    delayMs: Math.min(delayMs * 2 ** (mostFailures - delayAfter), maxDelayMs),
+                };
+            }
+
+            return { allowed: true, delayMs: 0 };
+        } catch (err) {
+            storeFailed(err);
+            return { allowed: true, delayMs: 0 };
+        }
+    }
+
+    function refuse({ dimension, value }, reason, waitMs) {
+        const retryAfterSeconds = Math.max(Math.ceil(waitMs / 1000), 1);
+        console.warn(`Rate limit (${reason}) hit for ${dimension} ${value}; retry after ${retryAfterSeconds}s`);
+        return { allowed: false, dimension, reason, retryAfterSeconds };
+    }
+
+    /**
+     * Records a rejected login (Access-Reject). Enough of them lock the username / MAC out.
+     */
+    async function recordFailure(subject) {
+        const tracked = subjectKeys(subject).filter(key => FAILURE_DIMENSIONS.includes(key.dimension));
+
+        try {
+            await Promise.all(tracked.map(async ({ dimension, value }) => {
+                const failed = await store.hit(`fail:${dimension}:${value}`, windowMs);
+                if (lockoutAfter <= 0 || failed < lockoutAfter) return;
+
+                const strikes = await store.increment(`strikes:${dimension}:${value}`, STRIKE_TTL_MS);
+                const duration = Math.min(lockoutMs * 2 ** (strikes - 1), maxLockoutMs);
+                await store.set(`lock:${dimension}:${value}`, String(Date.now() + duration), duration);
+                await store.remove(`fail:${dimension}:${value}`);
+
+                counters.lockouts[dimension]++;
+                console.warn(
+                    `Locked out ${dimension} ${value} for ${Math.round(duration / 1000)}s ` +
+                    `after ${failed} rejected login(s) (lockout #${strikes} today)`
+                );
+            }));
+        } catch (err) {
+            storeFailed(err);
+        }
+    }
+
+    /**
+     * Clears the rejected-login count after a successful login. Strikes are kept, so a
+     * repeat offender's next lockout is still longer.
+     */
+    async function recordSuccess(subject) {
+        const tracked = subjectKeys(subject).filter(key => FAILURE_DIMENSIONS.includes(key.dimension));
+        try {
+            await store.remove(...tracked.map(({ dimension, value }) => `fail:${dimension}:${value}`));
+        } catch (err) {
+            storeFailed(err);
+        }
+    }
+
+    function getStatus() {
+        return {
+            limits,
+            windowMs,
+            failures: { delayAfter, delayMs, maxDelayMs, lockoutAfter, lockoutMs, maxLockoutMs },
+            store: store.getStatus(),
+            lastStoreError,
+            ...counters,
+        };
+    }
+
+    return { check, recordFailure, recordSuccess, getStatus };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,262 @@
+'use strict';
+
+/**
+ * Minimal Redis Client (RESP2)
+ *
+ * Just enough of the Redis protocol for the shared rate-limit store, so several ECS
+ * tasks can share counters without another npm dependency:
+ *
+ *   - one TCP (redis://) or TLS (rediss://) connection, opened on first use and
+ *     re-opened after it drops; AUTH and SELECT from the URL are sent on connect
+ *   - commands are pipelined; replies come back in order, so a FIFO of pending
+ *     callbacks is all the bookkeeping needed
+ *   - a command without a reply within `commandTimeoutMs` closes the connection,
+ *     failing everything in flight rather than leaving logins waiting
+ *
+ * Works with Redis, Valkey and ElastiCache (use rediss:// with in-transit encryption).
+ */
+
+const net = require('net');
+const tls = require('tls');
+
+// ── RESP encoding / parsing ───────────────────────────────
+
+const CRLF = Buffer.from('\r\n');
+
+function encodeCommand(args) {
+    const parts = [Buffer.from(`*${args.length}\r\n`)];
+    for (const arg of args) {
+        const value = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg));
+        parts.push(Buffer.from(`$${value.length}\r\n`), value, CRLF);
+    }
+    return Buffer.concat(parts);
+}
+
+/**
+ * Parses one reply starting at offset. Returns { value, offset } with the offset after
+ * the reply, or null when the buffer does not hold a complete reply yet.
+ * Error replies are returned as Error objects, not thrown.
+ */
+function parseReply(buffer, offset = 0) {
+    if (offset >= buffer.length) return null;
+
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        case '-':
+            return { value: new Error(line), offset: next };
+        case ':':
+            return { value: parseInt(line, 10), offset: next };
+        case '$': {
+            const length = parseInt(line, 10);
+            if (length === -1) return { value: null, offset: next };
+            if (buffer.length < next + length + 2) return null;
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = parseInt(line, 10);
+            if (count === -1) return { value: null, offset: next };
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (!item) return null;
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        default:
+            throw new Error(`Unexpected RESP reply type "${type}"`);
+    }
+}
+
+// ── Client factory ────────────────────────────────────────
+
+/**
+ * Creates a Redis client. No connection is made until the first command.
+ *
+ * @param {object} options
+ * @param {string} options.url              — redis://[user:password@]host[:port][/db] or rediss://...
+ * @param {number} options.connectTimeoutMs — wait for the connection to open
+ * @param {number} options.commandTimeoutMs — wait for each reply
+ */
+function createRedisClient({ url, connectTimeoutMs = 2000, commandTimeoutMs = 1000 }) {
+    const target = new URL(url);
+    if (target.protocol !== 'redis:' && target.protocol !== 'rediss:') {
+        throw new Error(`Unsupported Redis URL protocol "${target.protocol}" (use redis:// or rediss://)`);
+    }
+
+    const host = target.hostname;
+    const port = parseInt(target.port || '6379');
+    const useTls = target.protocol === 'rediss:';
+    const db = parseInt(target.pathname.slice(1) || '0');
+    const username = decodeURIComponent(target.username || '');
+    const password = decodeURIComponent(target.password || '');
+
+    let socket = null;
+    let connecting = null;
+    let buffer = Buffer.alloc(0);
+    let pending = []; // { resolve, reject, timer } in the order the commands were written
+    let lastError = null;
+    const counters = { commands: 0, errors: 0, connects: 0 };
+
+    function failAll(err) {
+        const failed = pending;
+        pending = [];
+        for (const entry of failed) {
+            clearTimeout(entry.timer);
+            entry.reject(err);
+        }
+    }
+
+    function onData(conn, chunk) {
+        buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+        let parsed;
+        try {
+            while (pending.length && (parsed = parseReply(buffer))) {
+                buffer = buffer.subarray(parsed.offset);
+                const entry = pending.shift();
+                clearTimeout(entry.timer);
+                entry.resolve(parsed.value);
+            }
+        } catch (err) {
+            conn.destroy(err);
+        }
+    }
+
+    function onClose(err) {
+        if (err) {
+            lastError = err.message;
+            counters.errors++;
+        }
+        socket = null;
+        buffer = Buffer.alloc(0);
+        failAll(new Error(`Redis connection to ${host}:${port} closed${err ? `: ${err.message}` : ''}`));
+    }
+
+    // conn is only passed during the AUTH / SELECT handshake, before the connection is shared
+    function write(args, conn = socket) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                conn.destroy(new Error(`no reply within ${commandTimeoutMs}ms`));
+            }, commandTimeoutMs);
+            pending.push({ resolve, reject, timer });
+            conn.write(encodeCommand(args));
+        });
+    }
+
+    function connect() {
+        if (socket) return Promise.resolve();
+        if (connecting) return connecting;
+
+        connecting = new Promise((resolve, reject) => {
+            const options = { host, port, servername: useTls ? host : undefined };
+            const conn = useTls ? tls.connect(options) : net.connect(options);
+            const timer = setTimeout(() => {
+                conn.destroy(new Error(`cannot connect within ${connectTimeoutMs}ms`));
+            }, connectTimeoutMs);
+
+            conn.once(useTls ? 'secureConnect' : 'connect', async () => {
+                clearTimeout(timer);
+                conn.setNoDelay(true);
+                conn.setKeepAlive(true, 30000);
+                conn.removeAllListeners('error');
+                conn.on('data', chunk => onData(conn, chunk));
+                conn.on('error', err => { lastError = err.message; });
+                conn.on('close', hadError => onClose(hadError ? new Error(lastError) : null));
+                counters.connects++;
+
+                // Commands sent meanwhile wait on `connecting`: until AUTH and SELECT have
+                // answered they would fail with NOAUTH or go to database 0
+                try {
+                    if (password) {
+                        const reply = await write(username ? ['AUTH', username, password] : ['AUTH', password], conn);
+                        if (reply instanceof Error) throw reply;
+                    }
+                    if (db) {
+                        const reply = await write(['SELECT', db], conn);
+                        if (reply instanceof Error) throw reply;
+                    }
+                    socket = conn;
+                    resolve();
+                } catch (err) {
+                    conn.destroy();
+                    reject(err);
+                }
+            });
+
+            conn.once('error', err => {
+                clearTimeout(timer);
+                lastError = err.message;
+                counters.errors++;
+                reject(err);
+            });
+        }).finally(() => {
+            connecting = null;
+        });
+
+        return connecting;
+    }
+
+    /**
+     * Sends one command, e.g. command('SET', 'key', 'value', 'PX', 1000).
+     * Resolves the reply; a Redis error reply rejects.
+     */
+    async function command(...args) {
+        await connect();
+        counters.commands++;
+        const reply = await write(args);
+        if (reply instanceof Error) throw reply;
+        return reply;
+    }
+
+    /**
+     * Runs commands atomically with MULTI / EXEC and resolves the array of their replies.
+     *
+     * @param {Array<Array>} commands — e.g. [['INCR', 'k'], ['PEXPIRE', 'k', 1000]]
+     */
+    async function multi(commands) {
+        await connect();
+        counters.commands += commands.length;
+        const replies = await Promise.all([
+            write(['MULTI']),
+            ...commands.map(args => write(args)),
+            write(['EXEC']),
+        ]);
+
+        const result = replies[replies.length - 1];
+        if (result instanceof Error) throw result;
+        const failed = (result || []).find(reply => reply instanceof Error);
+        if (failed) throw failed;
+        return result;
+    }
+
+    function getStatus() {
+        return {
+            host,
+            port,
+            tls: useTls,
+            db,
+            connected: Boolean(socket),
+            inFlight: pending.length,
+            lastError,
+            ...counters,
+        };
+    }
+
+    function close() {
+        if (socket) socket.end();
+    }
+
+    return { command, multi, getStatus, close };
+}
+
+module.exports = { createRedisClient };
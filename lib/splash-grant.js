@@ -0,0 +1,223 @@
+'use strict';
+
+/**
+ * Splash Grant Sessions
+ *
+ * The Meraki redirect puts base_grant_url and user_continue_url in the splash page's
+ * query string, so anyone can craft a link to the portal with their own URLs in it. The
+ * page used to redirect to whatever was there after the login, which made the portal an
+ * open redirect right after users type their password. Now:
+ *
+ *   - base_grant_url must be https, on an allowed grant host (*.network-auth.com by
+ *     default), with no credentials, port or fragment, under /splash/
+ *   - user_continue_url must be http(s), and on an allowed host when a list is configured
+ *   - after a successful login the page gets a signed, short-lived, single-use session
+ *     token instead of a URL, and GET /splash/grant?session=... makes the grant redirect
+ *
+ * In sign-on mode Meraki sends login_url and continue_url instead. login_url gets the same
+ * checks as base_grant_url, because the page posts the user's password to it.
+ *
+ * Tokens are HMAC-SHA256 signed, so any task sharing the secret can redeem them. Single
+ * use is enforced per task; the short lifetime bounds replays across tasks.
+ */
+
+const crypto = require('crypto');
+
+// ── URL validation ────────────────────────────────────────
+
+/**
+ * Matches a hostname against patterns like "*.network-auth.com" (any subdomain) or
+ * "portal.example.com" (exact).
+ */
+function hostAllowed(hostname, patterns) {
+    const host = hostname.toLowerCase();
+    return patterns.some(pattern => {
+        const allowed = pattern.toLowerCase();
+        if (allowed.startsWith('*.')) {
+            return host.endsWith(allowed.slice(1)) && host.length > allowed.length - 1;
+        }
+        return host === allowed;
+    });
+}
+
+function parseUrl(value) {
+    try {
+        return new URL(String(value));
+    } catch {
+        return null;
+    }
+}
+
+// ── Session factory ───────────────────────────────────────
+
+/**
+ * Creates the validator and session issuer.
+ *
+ * @param {object}   options
+ * @param {string}   options.secret        — HMAC key; every task behind the load balancer needs the same one
+ * @param {number}   options.ttlMs         — how long a session token can be redeemed
+ * @param {string[]} options.grantHosts    — allowed base_grant_url hosts
+ * @param {string[]} options.continueHosts — allowed user_continue_url hosts (empty = any)
+ * @param {string[]} options.localHosts    — "host:port" of a local controller stand-in, allowed over http
+ */
+function createSplashGrants({ secret, ttlMs = 120000, grantHosts = ['*.network-auth.com'], continueHosts = [], localHosts = [] }) {
+    const key = Buffer.from(secret);
+    const redeemed = new Map(); // nonce → expiresAt, for single use
+    const counters = { rejectedParams: 0, issued: 0, redeemed: 0, rejectedSessions: 0 };
+
+    // Error for a base_grant_url / login_url that is not a Meraki splash URL, or null
+    function checkMerakiUrl(url, name) {
+        if (!url) return `${name} is missing or not a URL`;
+        const local = localHosts.includes(url.host);
+        if (url.protocol !== 'https:' && !(local && url.protocol === 'http:')) {
+            return `${name} must use https (got ${url.protocol})`;
+        }
+        if (!local && !hostAllowed(url.hostname, grantHosts)) return `${name} host ${url.hostname} is not an allowed grant host`;
+        if (url.username || url.password || (url.port && !local) || url.hash) {
+            return `${name} must not contain credentials, a port or a fragment`;
+        }
+        if (!url.pathname.startsWith('/splash/')) return `${name} path ${url.pathname} is not a Meraki splash path`;
+        return null;
+    }
+
+    // Error for a continue URL that is not http(s) or not on continueHosts, or null
+    function checkContinueUrl(url, name) {
+        if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) return `${name} must be an http or https URL`;
+        if (url.username || url.password) return `${name} must not contain credentials`;
+        if (continueHosts.length > 0 && !hostAllowed(url.hostname, continueHosts)) {
+            return `${name} host ${url.hostname} is not allowed`;
+        }
+        return null;
+    }
+
+    function reject(error) {
+        counters.rejectedParams++;
+        return { ok: false, error };
+    }
+
+    /**
+     * Checks the Meraki URLs from the splash page's query string.
+     *
+     * @returns {{ ok: true, grantUrl: string, continueUrl: string|null } | { ok: false, error: string }}
+     */
+    function validate({ baseGrantUrl, continueUrl }) {
+        const grant = parseUrl(baseGrantUrl);
+        const error = checkMerakiUrl(grant, 'base_grant_url');
+        if (error) return reject(error);
+
+        const target = continueUrl ? parseUrl(continueUrl) : null;
+        const continueError = continueUrl && checkContinueUrl(target, 'user_continue_url');
+        if (continueError) return reject(continueError);
+
+        return { ok: true, grantUrl: grant.toString(), continueUrl: target ? target.toString() : null };
+    }
+
+    /**
+     * Checks a continue URL on its own, for controllers without a grant URL.
+     *
+     * @param {string} continueUrl — may be empty
+     * @param {string} name        — the parameter name, for the error
+     * @returns {{ ok: true, continueUrl: string|null } | { ok: false, error: string }}
+     */
+    function validateContinue(continueUrl, name) {
+        if (!continueUrl) return { ok: true, continueUrl: null };
+        const target = parseUrl(continueUrl);
+        const error = checkContinueUrl(target, name);
+        if (error) return reject(error);
+        return { ok: true, continueUrl: target.toString() };
+    }
+
+    /**
+     * Checks the sign-on splash URLs: Meraki's login_url, which the page posts the
+     * credentials to, and the continue_url sent back as the form's success_url.
+     *
+     * @returns {{ ok: true, loginUrl: string, successUrl: string|null } | { ok: false, error: string }}
+     */
+    function validateSignOn({ loginUrl, continueUrl }) {
+        const login = parseUrl(loginUrl);
+        const error = checkMerakiUrl(login, 'login_url');
+        if (error) return reject(error);
+
+        const target = continueUrl ? parseUrl(continueUrl) : null;
+        const continueError = continueUrl && checkContinueUrl(target, 'continue_url');
+        if (continueError) return reject(continueError);
+
+        return { ok: true, loginUrl: login.toString(), successUrl: target ? target.toString() : null };
+    }
+
+    function sign(payload) {
+        return crypto.createHmac('sha256', key).update(payload).digest('base64url');
+    }
+
+    /**
+     * Issues the session token for a successful login. The URLs must have passed validate().
+     *
+     * @param {object} session — { grantUrl, continueUrl, durationSeconds, clientMac }
+     */
+    function issue({ grantUrl, continueUrl, durationSeconds, clientMac }) {
+        const payload = Buffer.from(JSON.stringify({
+            g: grantUrl,
+            c: continueUrl || null,
+            d: durationSeconds || null,
+            m: clientMac || null,
+            n: crypto.randomBytes(12).toString('base64url'),
+            e: Date.now() + ttlMs,
+        })).toString('base64url');
+
+        counters.issued++;
+        return `${payload}.${sign(payload)}`;
+    }
+
+    /**
+     * Checks a session token and uses it up.
+     *
+     * @returns {{ ok: true, redirectUrl: string, clientMac: string|null } | { ok: false, error: string }}
+     */
+    function redeem(token) {
+        const [payload, signature] = String(token || '').split('.');
+        const refuse = error => {
+            counters.rejectedSessions++;
+            return { ok: false, error };
+        };
+
+        if (!payload || !signature) return refuse('malformed session');
+
+        const expected = Buffer.from(sign(payload));
+        const presented = Buffer.from(signature);
+        if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) {
+            return refuse('bad signature');
+        }
+
+        let session;
+        try {
+            session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch {
+            return refuse('malformed session');
+        }
+
+        const now = Date.now();
+        if (session.e <= now) return refuse('session expired');
+        if (redeemed.has(session.n)) return refuse('session already used');
+
+        for (const [nonce, expiresAt] of redeemed) {
+            if (expiresAt <= now) redeemed.delete(nonce);
+        }
+        redeemed.set(session.n, session.e);
+
+        // Same parameters the page used to add itself (continue_url, duration)
+        const url = new URL(session.g);
+        if (session.c) url.searchParams.set('continue_url', session.c);
+        if (session.d) url.searchParams.set('duration', String(session.d));
+
+        counters.redeemed++;
+        return { ok: true, redirectUrl: url.toString(), clientMac: session.m };
+    }
+
+    function getStatus() {
+        return { ttlMs, grantHosts, continueHosts, localHosts, ...counters };
+    }
+
+    return { validate, validateSignOn, validateContinue, issue, redeem, getStatus };
+}
+
+module.exports = { createSplashGrants };
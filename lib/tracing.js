@@ -0,0 +1,320 @@
+'use strict';
+
+/**
+ * Tracing
+ *
+ * OpenTelemetry-style spans for following one login from /auth/radius through RADIUS,
+ * Meraki and SQS to the tracker Lambda:
+ *
+ *   - trace and span IDs in the W3C Trace Context format; an incoming `traceparent`
+ *     header continues the caller's trace, and traceparent() gives the header value
+ *     to pass on (e.g. as an SQS message attribute)
+ *   - the active span follows async calls (AsyncLocalStorage), so spans started while
+ *     handling a request become its children without being passed around
+ *   - a correlation ID (the request ID) set on the root span is copied to every child
+ *     span as the `correlation.id` attribute
+ *   - exporters: OTLP/HTTP JSON to a collector (batched), or one log entry per span
+ *
+ * Exporting never throws into the code being traced: failed exports are counted and
+ * logged, and the spans dropped.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const SPAN_KINDS = { internal: 1, server: 2, client: 3, producer: 4, consumer: 5 };
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+// ── Helpers ──────────────────────────────────────────────
+
+function randomId(bytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+// Wall-clock nanoseconds from the monotonic clock, so a span never ends before it starts
+const CLOCK_OFFSET_NS = BigInt(Date.now()) * 1000000n - process.hrtime.bigint();
+function nowNanos() {
+    return CLOCK_OFFSET_NS + process.hrtime.bigint();
+}
+
+/**
+ * Parses a W3C traceparent header into { traceId, spanId }, or null when it is
+ * missing or invalid.
+ */
+function parseTraceparent(header) {
+    const match = TRACEPARENT.exec(String(header || '').trim().toLowerCase());
+    if (!match || match[1] === INVALID_TRACE_ID || match[2] === INVALID_SPAN_ID) return null;
+    return { traceId: match[1], spanId: match[2] };
+}
+
+// OTLP JSON attribute list from a plain object; undefined / null values are left out
+function toOtlpAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => {
+            if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+            if (Number.isInteger(value)) return { key, value: { intValue: String(value) } };
+            if (typeof value === 'number') return { key, value: { doubleValue: value } };
+            return { key, value: { stringValue: String(value) } };
+        });
+}
+
+// ── Exporters ─────────────────────────────────────────────
+
+/**
+ * Sends spans to an OpenTelemetry collector with OTLP/HTTP JSON.
+ *
+ * @param {object} options
+ * @param {string} options.endpoint  — collector base URL; spans go to <endpoint>/v1/traces
+ * @param {object} options.headers   — extra request headers (e.g. an API key)
+ * @param {number} options.timeoutMs — per request
+ */
+function createOtlpExporter({ endpoint = 'http://localhost:4318', headers = {}, timeoutMs = 10000 } = {}) {
+    const url = new URL(endpoint.replace(/\/+$/, '') + '/v1/traces');
+    const transport = url.protocol === 'https:' ? https : http;
+
+    function exportSpans(resource, spans) {
+        const body = JSON.stringify({
+            resourceSpans: [{
+                resource: { attributes: toOtlpAttributes(resource) },
+                scopeSpans: [{
+                    scope: { name: 'radius-splash' },
+                    spans: spans.map(span => ({
+                        traceId: span.traceId,
+                        spanId: span.spanId,
+                        parentSpanId: span.parentSpanId || undefined,
+                        name: span.name,
+                        kind: SPAN_KINDS[span.kind] || SPAN_KINDS.internal,
+                        startTimeUnixNano: String(span.startTime),
+                        endTimeUnixNano: String(span.endTime),
+                        attributes: toOtlpAttributes(span.attributes),
+                        events: span.events.map(event => ({
+                            name: event.name,
+                            timeUnixNano: String(event.time),
+                            attributes: toOtlpAttributes(event.attributes),
+                        })),
+                        status: span.status.code === 'error'
+                            ? { code: 2, message: span.status.message || '' }
+                            : { code: 0 },
+                    })),
+                }],
+            }],
+        });
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(url, {
+                method: 'POST',
+                timeout: timeoutMs,
+                headers: {
+                    ...headers,
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body),
+                },
+            }, res => {
+                res.resume();
+                res.on('end', () => {
+                    if (res.statusCode >= 200 && res.statusCode < 300) {
+                        resolve();
+                    } else {
+                        reject(new Error(`collector answered HTTP ${res.statusCode}`));
+                    }
+                });
+            });
+            req.on('timeout', () => req.destroy(new Error(`no answer from the collector within ${timeoutMs}ms`)));
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+    return { name: 'otlp', endpoint: url.toString(), export: exportSpans };
+}
+
+/**
+ * Writes each finished span through log(message, fields) — by default console.log with
+ * the span as JSON.
+ */
+function createConsoleExporter({ log = (message, fields) => console.log(message, JSON.stringify(fields)) } = {}) {
+    async function exportSpans(resource, spans) {
+        for (const span of spans) {
+            log(`span ${span.name}`, {
+                event: 'trace.span',
+                service: resource['service.name'],
+                traceId: span.traceId,
+                spanId: span.spanId,
+                parentSpanId: span.parentSpanId,
+                name: span.name,
+                kind: span.kind,
+                durationMs: Number(span.endTime - span.startTime) / 1e6,
+                status: span.status.code,
+                statusMessage: span.status.message || undefined,
+                attributes: span.attributes,
+                events: span.events.length ? span.events.map(event => ({ name: event.name, ...event.attributes })) : undefined,
+            });
+        }
+    }
+
+    return { name: 'console', export: exportSpans };
+}
+
+// ── Tracer factory ────────────────────────────────────────
+
+/**
+ * Creates the tracer.
+ *
+ * @param {object} options
+ * @param {object} options.resource        — attributes of this process, e.g. { 'service.name', 'service.version' }
+ * @param {object} options.exporter        — from createOtlpExporter / createConsoleExporter; null records nothing
+ * @param {number} options.batchSize       — spans per export
+ * @param {number} options.flushIntervalMs — longest time a finished span waits to be exported
+ * @param {number} options.maxQueueSize    — finished spans kept while exports are slow; the oldest are dropped
+ */
+function createTracer({ resource = {}, exporter = null, batchSize = 100, flushIntervalMs = 5000, maxQueueSize = 2048 } = {}) {
+    const context = new AsyncLocalStorage();
+    const queue = [];
+    const counters = { started: 0, exported: 0, dropped: 0, exportErrors: 0 };
+    let lastExportError = null;
+    let flushing = null;
+
+    const timer = exporter ? setInterval(() => flush(), flushIntervalMs) : null;
+    if (timer) timer.unref();
+
+    function enqueue(span) {
+        if (!exporter) return;
+        queue.push(span);
+        if (queue.length > maxQueueSize) {
+            counters.dropped += queue.splice(0, queue.length - maxQueueSize).length;
+        }
+        if (queue.length >= batchSize) flush();
+    }
+
+    /**
+     * Exports everything queued. Resolves when done; never rejects.
+     */
+    function flush() {
+        if (flushing || !exporter) return flushing || Promise.resolve();
+
+        flushing = (async () => {
+            while (queue.length > 0) {
+                const batch = queue.splice(0, batchSize);
+                try {
+                    await exporter.export(resource, batch);
+                    counters.exported += batch.length;
+                } catch (err) {
+                    counters.exportErrors++;
+                    counters.dropped += batch.length;
+                    lastExportError = err.message;
+                    console.error(`Failed to export ${batch.length} span(s) to ${exporter.name}: ${err.message}`);
+                }
+            }
+        })().finally(() => {
+            flushing = null;
+        });
+        return flushing;
+    }
+
+    /**
+     * Starts a span. Its parent is options.parent (a span, or { traceId, spanId } from
+     * parseTraceparent), else the active span; without either it starts a new trace.
+     *
+     * @param {string} name
+     * @param {object} options — { kind: 'internal'|'server'|'client'|'producer'|'consumer',
+     *                             attributes, parent, correlationId }
+     */
+    function startSpan(name, { kind = 'internal', attributes = {}, parent, correlationId } = {}) {
+        const parentSpan = parent === undefined ? context.getStore() : parent;
+        counters.started++;
+
+        const span = {
+            traceId: parentSpan ? parentSpan.traceId : randomId(16),
+            spanId: randomId(8),
+            parentSpanId: parentSpan ? parentSpan.spanId : null,
+            correlationId: correlationId || (parentSpan && parentSpan.correlationId) || null,
+            name,
+            kind,
+            startTime: nowNanos(),
+            endTime: null,
+            attributes: { ...attributes },
+            events: [],
+            status: { code: 'unset' },
+
+            setAttributes(values) {
+                Object.assign(span.attributes, values);
+                return span;
+            },
+            recordException(err) {
+                span.events.push({
+                    name: 'exception',
+                    time: nowNanos(),
+                    attributes: { 'exception.type': err.name, 'exception.message': err.message },
+                });
+                return span.setStatus('error', err.message);
+            },
+            setStatus(code, message) {
+                span.status = { code, message };
+                return span;
+            },
+            end() {
+                if (span.endTime !== null) return;
+                span.endTime = nowNanos();
+                enqueue(span);
+            },
+        };
+        if (span.correlationId) span.attributes['correlation.id'] = span.correlationId;
+        return span;
+    }
+
+    /**
+     * Runs fn(span) with span as the active span until it, and anything it starts, completes.
+     */
+    function runWithSpan(span, fn) {
+        return context.run(span, () => fn(span));
+    }
+
+    /**
+     * Starts a span, runs fn(span) inside it and ends it when fn's promise settles. A
+     * thrown error is recorded on the span and rethrown.
+     */
+    async function withSpan(name, options, fn) {
+        const span = startSpan(name, options);
+        try {
+            return await runWithSpan(span, fn);
+        } catch (err) {
+            span.recordException(err);
+            throw err;
+        } finally {
+            span.end();
+        }
+    }
+
+    function activeSpan() {
+        return context.getStore() || null;
+    }
+
+    // W3C traceparent value for span (default: the active span), or null without one
+    function traceparent(span = activeSpan()) {
+        return span ? `00-${span.traceId}-${span.spanId}-01` : null;
+    }
+
+    function getStatus() {
+        return {
+            exporter: exporter ? exporter.name : 'none',
+            endpoint: exporter && exporter.endpoint ? exporter.endpoint : undefined,
+            queued: queue.length,
+            lastExportError,
+            ...counters,
+        };
+    }
+
+    async function shutdown() {
+        if (timer) clearInterval(timer);
+        await flush();
+    }
+
+    return { startSpan, runWithSpan, withSpan, activeSpan, traceparent, flush, getStatus, shutdown };
+}
+
+module.exports = { createTracer, createOtlpExporter, createConsoleExporter, parseTraceparent };
@@ -0,0 +1,307 @@
+'use strict';
+
+/**
+ * Minimal YAML Parser
+ *
+ * Enough of YAML 1.2 for the configuration file, without another npm dependency:
+ *
+ *   - block mappings and sequences, nested by indentation (spaces only)
+ *   - plain, 'single' and "double" quoted scalars; null / ~, true / false and numbers
+ *     are typed as in the YAML core schema, everything else is a string
+ *   - flow collections on one line: [a, b] and { key: value }
+ *   - literal (|) and folded (>) block scalars, for long messages
+ *   - # comments and a leading --- document marker
+ *
+ * Anchors, aliases, tags, multi-document streams and multi-line plain or quoted scalars
+ * are not supported and fail with the line number rather than parsing differently.
+ */
+
+class YamlError extends Error {
+    constructor(message, line) {
+        super(line ? `${message} (line ${line})` : message);
+        this.name = 'YamlError';
+        this.line = line || null;
+    }
+}
+
+// ── Scalars ───────────────────────────────────────────────
+
+const INT = /^[-+]?(0|[1-9][0-9]*)$/;
+const FLOAT = /^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/;
+
+function plainScalar(text) {
+    if (text === '' || text === '~' || text === 'null' || text === 'Null' || text === 'NULL') return null;
+    if (/^(true|True|TRUE)$/.test(text)) return true;
+    if (/^(false|False|FALSE)$/.test(text)) return false;
+    if (INT.test(text) || FLOAT.test(text)) return Number(text);
+    return text;
+}
+
+// Strips a trailing comment: a # at the start or after whitespace, outside quotes
+function stripComment(text) {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (ch === '\\' && quote === '"') i++;
+            else if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === '\'') {
+            if (i === 0 || /[\s[{,:]/.test(text[i - 1])) quote = ch;
+        } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.slice(0, i).trimEnd();
+        }
+    }
+    return text.trimEnd();
+}
+
+// ── Flow values ───────────────────────────────────────────
+
+/**
+ * Parses one value (scalar, quoted string or flow collection) from text[pos...],
+ * stopping at any character in `stops` outside quotes and brackets.
+ * Returns { value, pos }.
+ */
+function parseFlow(text, pos, stops, line) {
+    const skip = () => {
+        while (pos < text.length && text[pos] === ' ') pos++;
+    };
+    skip();
+    const ch = text[pos];
+
+    if (ch === '"') {
+        let end = pos + 1;
+        while (end < text.length && text[end] !== '"') end += text[end] === '\\' ? 2 : 1;
+        if (end >= text.length) throw new YamlError('Unterminated double-quoted string', line);
+        let value;
+        try {
+            value = JSON.parse(text.slice(pos, end + 1));
+        } catch {
+            throw new YamlError('Invalid escape in double-quoted string', line);
+        }
+        return { value, pos: end + 1 };
+    }
+
+    if (ch === '\'') {
+        let end = pos + 1;
+        let value = '';
+        for (;;) {
+            if (end >= text.length) throw new YamlError('Unterminated single-quoted string', line);
+            if (text[end] === '\'') {
+                if (text[end + 1] === '\'') {
+                    value += '\'';
+                    end += 2;
+                    continue;
+                }
+                break;
+            }
+            value += text[end++];
+        }
+        return { value, pos: end + 1 };
+    }
+
+    if (ch === '[' || ch === '{') {
+        const isMap = ch === '{';
+        const close = isMap ? '}' : ']';
+        const result = isMap ? {} : [];
+        pos++;
+        skip();
+        if (text[pos] === close) return { value: result, pos: pos + 1 };
+
+        for (;;) {
+            if (isMap) {
+                const key = parseFlow(text, pos, ':,}', line);
+                if (text[key.pos] !== ':') throw new YamlError('Expected ":" in flow mapping', line);
+                const value = parseFlow(text, key.pos + 1, ',}', line);
+                setKey(result, String(key.value), value.value, line);
+                pos = value.pos;
+            } else {
+                const item = parseFlow(text, pos, ',]', line);
+                result.push(item.value);
+                pos = item.pos;
+            }
+            skip();
+            if (text[pos] === ',') {
+                pos++;
+                continue;
+            }
+            if (text[pos] === close) return { value: result, pos: pos + 1 };
+            throw new YamlError(`Expected "," or "${close}"`, line);
+        }
+    }
+
+    if (/[&*!%@`|>]/.test(ch || '')) {
+        throw new YamlError(`Unsupported YAML syntax "${ch}"`, line);
+    }
+
+    let end = pos;
+    while (end < text.length && !stops.includes(text[end])) {
+        // "a:b" is a plain string; only ": " (or ":" at the end) separates a key
+        if (text[end] === ':' && stops.includes(':') && !/[\s,\]}]|^$/.test(text[end + 1] || '')) {
+            end++;
+            continue;
+        }
+        end++;
+    }
+    const plain = text.slice(pos, end).trim();
+    // Outside a flow collection, "a: b: c" is not the string "b: c" but a second key on the line
+    if (stops === '' && /:(\s|$)/.test(plain)) {
+        throw new YamlError(`Mapping values are not allowed here; quote "${plain}" if it is one string`, line);
+    }
+    return { value: plainScalar(plain), pos: end };
+}
+
+// A complete scalar or flow value; anything after it is an error
+function parseValue(text, line) {
+    const { value, pos } = parseFlow(text, 0, '', line);
+    if (text.slice(pos).trim() !== '') {
+        throw new YamlError(`Unexpected text after value: ${text.slice(pos).trim()}`, line);
+    }
+    return value;
+}
+
+function setKey(target, key, value, line) {
+    if (Object.prototype.hasOwnProperty.call(target, key)) {
+        throw new YamlError(`Duplicate key "${key}"`, line);
+    }
+    target[key] = value;
+}
+
+// ── Blocks ────────────────────────────────────────────────
+
+// "key: value", "key:" or a quoted key; captures the key and the rest
+const MAPPING_ENTRY = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"[\]{},-][^#]*?|-[^\s#][^#]*?)\s*:(?:\s+(.*))?$/;
+
+/**
+ * Parses a YAML document into plain objects, arrays and scalars. An empty document
+ * gives null.
+ *
+ * @param {string} text
+ * @throws {YamlError} with the line number of the first problem
+ */
+function parseYaml(text) {
+    const raw = String(text).replace(/^﻿/, '').split(/\r?\n/);
+    const lines = [];
+    raw.forEach((source, index) => {
+        const indentText = /^[ \t]*/.exec(source)[0];
+        const content = stripComment(source.slice(indentText.length));
+        if (content === '') return;
+        if (indentText.includes('\t')) throw new YamlError('Tabs are not allowed for indentation', index + 1);
+        if (lines.length === 0 && content === '---') return;
+        if (content === '---' || content === '...') {
+            throw new YamlError('Only one document is supported', index + 1);
+        }
+        if (/^[&*!%@`]/.test(content)) {
+            throw new YamlError(`Unsupported YAML syntax "${content[0]}"`, index + 1);
+        }
+        lines.push({ indent: indentText.length, content, number: index + 1 });
+    });
+
+    let i = 0;
+
+    // Lines of a | or > block scalar, read from the raw text so # and blank lines are kept
+    function blockScalar(header, parentIndent, lineNumber) {
+        const match = /^([|>])([-+]?)$/.exec(header);
+        if (!match) throw new YamlError(`Unsupported block scalar header "${header}"`, lineNumber);
+        const [, style, chomp] = match;
+
+        const body = [];
+        let indent = null;
+        let index = lineNumber; // raw index of the line after the header
+        for (; index < raw.length; index++) {
+            const source = raw[index];
+            if (source.trim() === '') {
+                body.push('');
+                continue;
+            }
+            const lineIndent = /^ */.exec(source)[0].length;
+            if (lineIndent <= parentIndent) break;
+            if (indent === null) indent = lineIndent;
+            if (lineIndent < indent) throw new YamlError('Block scalar lines must keep their indentation', index + 1);
+            body.push(source.slice(indent));
+        }
+        // Skip the parsed lines that belonged to the block
+        while (i < lines.length && lines[i].number <= index) i++;
+
+        while (body.length > 0 && body[body.length - 1] === '' && chomp !== '+') body.pop();
+        let value;
+        if (style === '|') {
+            value = body.join('\n');
+        } else {
+            // Folded: lines join with a space; an empty line is a line break
+            value = body.reduce((out, part, n) => {
+                if (n === 0) return part;
+                if (part === '') return out + '\n';
+                return out + (body[n - 1] === '' ? '' : ' ') + part;
+            }, '');
+        }
+        if (chomp !== '-' && body.length > 0) value += '\n';
+        return value;
+    }
+
+    // The value after "key:" or "- " — inline, a block scalar or a nested block
+    function entryValue(rest, indent, lineNumber, allowSequenceAtIndent) {
+        if (rest !== undefined && rest !== '') {
+            if (/^[|>]/.test(rest)) return blockScalar(rest, indent, lineNumber);
+            return parseValue(rest, lineNumber);
+        }
+        const next = lines[i];
+        if (next && next.indent > indent) return parseBlock(next.indent);
+        if (next && allowSequenceAtIndent && next.indent === indent && isSequenceItem(next.content)) {
+            return parseSequence(indent);
+        }
+        return null;
+    }
+
+    function isSequenceItem(content) {
+        return content === '-' || content.startsWith('- ');
+    }
+
+    function parseSequence(indent) {
+        const items = [];
+        while (i < lines.length && lines[i].indent === indent && isSequenceItem(lines[i].content)) {
+            const line = lines[i];
+            const rest = line.content.slice(1).trimStart();
+            const offset = indent + (line.content.length - rest.length);
+
+            if (rest !== '' && (MAPPING_ENTRY.test(rest) || isSequenceItem(rest))) {
+                // "- key: value" starts a mapping (or "- - x" a sequence) at the item's column
+                lines[i] = { indent: offset, content: rest, number: line.number };
+                items.push(parseBlock(offset));
+            } else {
+                i++;
+                items.push(entryValue(rest, indent, line.number, false));
+            }
+        }
+        return items;
+    }
+
+    function parseMapping(indent) {
+        const result = {};
+        while (i < lines.length && lines[i].indent === indent && !isSequenceItem(lines[i].content)) {
+            const line = lines[i];
+            const match = MAPPING_ENTRY.exec(line.content);
+            if (!match) throw new YamlError(`Expected "key: value", got "${line.content}"`, line.number);
+            const key = String(parseValue(match[1], line.number));
+            i++;
+            setKey(result, key, entryValue(match[2], indent, line.number, true), line.number);
+        }
+        return result;
+    }
+
+    function parseBlock(indent) {
+        const line = lines[i];
+        if (isSequenceItem(line.content)) return parseSequence(indent);
+        if (MAPPING_ENTRY.test(line.content)) return parseMapping(indent);
+        i++;
+        return parseValue(line.content, line.number);
+    }
+
+    if (lines.length === 0) return null;
+    const document = parseBlock(lines[0].indent);
+    if (i < lines.length) {
+        throw new YamlError('Unexpected indentation', lines[i].number);
+    }
+    return document;
+}
+
+module.exports = { parseYaml, YamlError };
@@ -0,0 +1,93 @@
+/**
+ * Captive Portal Controller Adapters (page side)
+ *
+ * Each controller redirects to the splash page with its own query parameters. An adapter
+ * recognises them and reads the client details out of them; the server checks the same
+ * parameters again (lib/controller-*.js) and does the grant, so nothing here is trusted.
+ *
+ *   detect(params) - true when the parameters came from this controller
+ *   parse(params)  - { clientMac, clientIp, apMac, ssid, continueUrl }
+ */
+
+// "AA-BB-CC-DD-EE-FF" / "aabbccddeeff" -> "aa:bb:cc:dd:ee:ff"; anything else is kept as is
+function formatMacAddress(value) {
+    const hex = (value || '').replace(/[^0-9a-f]/gi, '').toLowerCase();
+    return hex.length === 12 ? hex.match(/../g).join(':') : (value || '');
+}
+
+// openNDS FAS level 2: base64 "key=value, key=value, ..." in one `fas` parameter
+function decodeFasParameter(fas) {
+    const fields = {};
+    try {
+        atob(fas).split(/,\s*/).forEach(function(part) {
+            const separator = part.indexOf('=');
+            if (separator > 0) {
+                fields[part.slice(0, separator).trim()] = decodeURIComponent(part.slice(separator + 1).trim());
+            }
+        });
+    } catch (error) {
+        console.warn('Could not decode the openNDS fas parameter:', error);
+    }
+    return fields;
+}
+
+const PortalControllers = {
+    adapters: [
+        {
+            // base_grant_url on a click-through splash, login_url on a sign-on splash
+            name: 'meraki',
+            detect: function(params) {
+                return params.has('base_grant_url') || params.has('login_url');
+            },
+            parse: function(params) {
+                return {
+                    clientMac: formatMacAddress(params.get('client_mac')),
+                    clientIp: params.get('client_ip') || '',
+                    apMac: formatMacAddress(params.get('node_mac') || params.get('ap_mac')),
+                    ssid: params.get('ssid') || '',
+                    continueUrl: params.get('user_continue_url') || params.get('continue_url') || ''
+                };
+            }
+        },
+        {
+            // External portal: id (client MAC), ap, t, url, ssid
+            name: 'unifi',
+            detect: function(params) {
+                return params.has('id') && (params.has('ap') || params.has('t'));
+            },
+            parse: function(params) {
+                return {
+                    clientMac: formatMacAddress(params.get('id')),
+                    clientIp: '',
+                    apMac: formatMacAddress(params.get('ap')),
+                    ssid: params.get('ssid') || '',
+                    continueUrl: params.get('url') || ''
+                };
+            }
+        },
+        {
+            // FAS: hid, clientmac, gatewayaddress, originurl, ... (level 2: base64 in `fas`)
+            name: 'opennds',
+            detect: function(params) {
+                return params.has('hid') || params.has('fas');
+            },
+            parse: function(params) {
+                const fields = params.has('fas') ? decodeFasParameter(params.get('fas')) : Object.fromEntries(params);
+                return {
+                    clientMac: formatMacAddress(fields.clientmac),
+                    clientIp: fields.clientip || '',
+                    apMac: formatMacAddress(fields.gatewaymac),
+                    ssid: params.get('ssid') || '',
+                    continueUrl: fields.originurl || ''
+                };
+            }
+        }
+    ],
+
+    // The adapter for the page's query parameters, or null when no controller sent them
+    detect: function(params) {
+        return this.adapters.find(function(adapter) {
+            return adapter.detect(params);
+        }) || null;
+    }
+};
@@ -1,7 +1,10 @@
 /**
  * Meraki Splash Page with RADIUS Authentication
  * 
- * Handles parameter extraction, authentication, and network access
+ * Handles parameter extraction, authentication, and network access.
+ * Works with both Meraki splash types: click-through (base_grant_url) and
+ * sign-on (login_url, where Meraki does the RADIUS login itself), and with the
+ * UniFi and openNDS controllers through the adapters in controllers.js
  */
 
 // Set up page when loaded
@@ -15,16 +18,36 @@ document.addEventListener('DOMContentLoaded', function() {
         performAuthentication();
     });
     
+    // Second step (OTP / MFA code) when the RADIUS server sends Access-Challenge
+    document.getElementById('challengeForm').addEventListener('submit', function(e) {
+        e.preventDefault();
+        submitChallengeResponse();
+    });
+    
     // Add validation styles
     addValidationStyles();
 });
 
-// Global variables to store Meraki parameters
-let base_grant_url = '';
+// Controller that redirected here (meraki, unifi, opennds) and its raw parameters,
+// which the server checks and grants access with
+let controller = '';
+let controller_params = {};
+
+// Client details read from the controller's parameters
 let user_continue_url = '';
 let node_mac = '';
 let client_ip = '';
 let client_mac = '';
+let ssid = '';
+// Splash portal name (selects the server-side access policy), set in the splash page URL
+let portal = '';
+
+// Where the page goes once access is granted: the server's Meraki grant path (signed, short-lived
+// splash session), the openNDS token redirect, or the UniFi continue URL
+let grant_redirect = '';
+
+// Opaque token for a pending Access-Challenge (the RADIUS State stays on the server)
+let challenge_token = '';
 
 // Extract and log Meraki parameters
 function extractAndLogParameters() {
@@ -35,38 +58,42 @@ function extractAndLogParameters() {
     // Parse query parameters
     const urlParams = new URLSearchParams(window.location.search);
     
-    // Extract required Meraki parameters
-    base_grant_url = urlParams.get('base_grant_url') || '';
-    user_continue_url = urlParams.get('user_continue_url') || '';
-    node_mac = urlParams.get('node_mac') || '';
-    client_ip = urlParams.get('client_ip') || '';
-    client_mac = urlParams.get('client_mac') || '';
+    portal = urlParams.get('portal') || '';
+
+    // Find the controller that sent the parameters
+    const adapter = PortalControllers.detect(urlParams);
+    if (!adapter) {
+        console.warn('Missing required captive portal parameters!');
+        showErrorMessage('This page must be accessed via the captive portal redirect.');
+        return;
+    }
+    
+    controller = adapter.name;
+    controller_params = Object.fromEntries(urlParams);
+    delete controller_params.portal;
+    delete controller_params.error_message;
+    
+    const client = adapter.parse(urlParams);
+    user_continue_url = client.continueUrl;
+    node_mac = client.apMac;
+    client_ip = client.clientIp;
+    client_mac = client.clientMac;
+    ssid = client.ssid;
 
     // Log extracted parameters
-    console.log('Extracted Meraki parameters:');
-    console.log('- base_grant_url:', base_grant_url);
+    console.log(`Extracted ${controller} parameters:`);
     console.log('- user_continue_url:', user_continue_url);
     console.log('- node_mac:', node_mac);
     console.log('- client_ip:', client_ip);
     console.log('- client_mac:', client_mac);
+    console.log('- ssid:', ssid);
+    console.log('- portal:', portal);
     
-    // Fix MAC address format if needed
-    if (client_mac) {
-        // Ensure proper MAC format with colons
-        if (!client_mac.includes(':')) {
-            let formattedMac = '';
-            for (let i = 0; i < client_mac.length; i += 2) {
-                formattedMac += client_mac.substr(i, 2) + (i < client_mac.length - 2 ? ':' : '');
-            }
-            client_mac = formattedMac;
-            console.log('Reformatted client_mac:', client_mac);
-        }
-    }
-    
-    // Validate required parameters
-    if (!base_grant_url || !user_continue_url) {
-        console.warn('Missing required Meraki parameters!');
-        showErrorMessage('This page must be accessed via Meraki splash page redirect.');
+    // Meraki sends the user back here with error_message when its own sign-on login failed
+    const merakiError = urlParams.get('error_message');
+    if (merakiError) {
+        console.warn('Meraki sign-on error:', merakiError);
+        showErrorMessage(merakiError);
     }
 }
 
@@ -80,32 +107,69 @@ async function performAuthentication() {
     const username = document.getElementById('username').value;
     const password = document.getElementById('password').value;
     
+    console.log('Sending authentication request to server...');
+    
+    await sendAuthRequest({
+        username: username,
+        password: password
+    });
+}
+
+// Answer an Access-Challenge with the code the user entered
+async function submitChallengeResponse() {
+    showLoading(true);
+    hideMessages();
+    hideValidationStatus();
+    
+    const code = document.getElementById('challengeCode').value;
+    
+    console.log('Sending challenge response to server...');
+    
+    await sendAuthRequest({
+        challenge_token: challenge_token,
+        challenge_response: code
+    });
+}
+
+// Post credentials or a challenge response and handle the result
+async function sendAuthRequest(fields) {
     try {
-        console.log('Sending authentication request to server...');
-        
         // Send authentication request with all Meraki parameters to the server
         const response = await fetch('/auth/radius', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({
-                username: username,
-                password: password,
-                // Pass all Meraki parameters to the server
+            body: JSON.stringify(Object.assign({}, fields, {
+                // Pass the controller's parameters to the server
+                controller: controller,
+                controller_params: controller_params,
+                user_continue_url: user_continue_url,
                 client_mac: client_mac,
                 client_ip: client_ip,
-                node_mac: node_mac
-            })
+                node_mac: node_mac,
+                ssid: ssid,
+                portal: portal
+            }))
         });
         
         const data = await response.json();
         console.log('Authentication response:', data);
         
-        if (response.ok && data.success) {
+        if (response.ok && data.challenge) {
+            // RADIUS server wants another factor (OTP code, MFA approval, ...)
+            console.log('Access-Challenge received');
+            showChallengeForm(data.challenge);
+            showLoading(false);
+        } else if (response.ok && data.success) {
             // RADIUS Authentication successful and StaffPolicy filter found
             console.log(`Authentication successful! Filter-Id: ${data.filterId || 'none'}`);
             
+            // The server checked the controller's parameters and granted access (UniFi), or
+            // returns where to go to be granted it
+            grant_redirect = data.grantRedirect || '';
+            const signOn = data.signOn || null;
+            
             // Show success message
             showSuccessMessage('Authentication successful!');
             
@@ -119,13 +183,22 @@ async function performAuthentication() {
             
             // Grant network access after a short delay
             setTimeout(() => {
-                grantNetworkAccess();
+                if (signOn) {
+                    submitMerakiSignOn(signOn);
+                } else {
+                    grantNetworkAccess();
+                }
             }, 1500);
         } else {
             // Authentication failed or policy not matched
             const errorMsg = data.message || 'Authentication failed. Please check your credentials.';
             console.error('Authentication failed:', errorMsg);
             
+            // A failed or expired second step means starting over with the password
+            if (challenge_token) {
+                showLoginForm();
+            }
+            
             showErrorMessage(errorMsg);
             
             // Show validation status if available
@@ -145,24 +218,75 @@ async function performAuthentication() {
     }
 }
 
-// Grant network access using the Meraki base_grant_url
+// Grant network access: follow the server's grant redirect (Meraki base_grant_url, openNDS
+// token redirect) or go on to the page the client asked for
 function grantNetworkAccess() {
-    if (!base_grant_url) {
-        console.error('Cannot grant network access: base_grant_url is missing');
-        showErrorMessage('Cannot grant network access due to missing parameters.');
+    if (!grant_redirect) {
+        // The controller authorized the client already and did not say where it was going
+        console.log('Access granted, no page to continue to');
+        showSuccessMessage('You are now connected to the network.');
         showLoading(false);
         return;
     }
     
-    // Construct the full grant URL
-    const grantUrl = `${base_grant_url}?continue_url=${encodeURIComponent(user_continue_url)}`;
-    console.log('Redirecting to:', grantUrl);
+    console.log('Redirecting to:', grant_redirect);
     
-    // Redirect to grant URL
-    window.location.href = grantUrl;
+    // Redirect to the server's grant endpoint
+    window.location.href = grant_redirect;
+}
+
+// Sign-on splash: post the credentials to Meraki's login_url, which does the RADIUS login
+// and redirects to success_url (or back here with error_message)
+function submitMerakiSignOn(signOn) {
+    console.log('Posting credentials to Meraki login URL:', signOn.loginUrl);
+    
+    const form = document.createElement('form');
+    form.method = 'POST';
+    form.action = signOn.loginUrl;
+    form.style.display = 'none';
+    
+    const fields = {
+        username: document.getElementById('username').value,
+        password: document.getElementById('password').value
+    };
+    if (signOn.successUrl) {
+        fields.success_url = signOn.successUrl;
+    }
+    
+    Object.keys(fields).forEach(function(name) {
+        const input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = name;
+        input.value = fields[name];
+        form.appendChild(input);
+    });
+    
+    document.body.appendChild(form);
+    form.submit();
 }
 
 // UI Helper Functions
+function showChallengeForm(challenge) {
+    challenge_token = challenge.token;
+    
+    document.getElementById('loginForm').style.display = 'none';
+    document.getElementById('challengeForm').style.display = 'block';
+    document.getElementById('challengePrompt').textContent = challenge.message;
+    
+    const codeInput = document.getElementById('challengeCode');
+    codeInput.type = challenge.echo === false ? 'password' : 'text';
+    codeInput.value = '';
+    codeInput.focus();
+}
+
+function showLoginForm() {
+    challenge_token = '';
+    
+    document.getElementById('challengeForm').style.display = 'none';
+    document.getElementById('loginForm').style.display = 'block';
+    document.getElementById('password').value = '';
+}
+
 function showLoading(show) {
     const loadingIndicator = document.getElementById('loadingIndicator');
     if (loadingIndicator) {
@@ -173,6 +297,11 @@ function showLoading(show) {
     if (loginButton) {
         loginButton.disabled = show;
     }
+    
+    const challengeButton = document.getElementById('challengeButton');
+    if (challengeButton) {
+        challengeButton.disabled = show;
+    }
 }
 
 function hideMessages() {
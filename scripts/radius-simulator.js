@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * Runs the RADIUS simulator (lib/radius-simulator.js) as a stand-alone server, so
+ * the splash page can be tried locally without NPS / FreeRADIUS.
+ *
+ * Usage:
+ *   node scripts/radius-simulator.js <fixture.json> [--port 1812] [--acct-port 1813|off]
+ *                                    [--host 127.0.0.1] [--secret testing123] [--quiet]
+ *
+ * Example:
+ *   node scripts/radius-simulator.js scripts/fixtures/radius-users.json --port 18120 --acct-port 18130
+ *   RADIUS_HOST=127.0.0.1 RADIUS_PORT=18120 RADIUS_ACCT_PORT=18130 node server.js
+ *
+ * The shared secret is --secret, else RADIUS_SECRET, else the fixture's "secret",
+ * else "testing123". Sending SIGHUP re-reads the fixture.
+ */
+
+const { createRadiusSimulator, readFixture } = require('../lib/radius-simulator');
+
+// ── Arguments ─────────────────────────────────────────────
+const args         = process.argv.slice(2);
+const FIXTURE_PATH = args.find((arg, i) => !arg.startsWith('--') && !(args[i - 1] || '').match(/^--(port|acct-port|host|secret)$/));
+
+function option(name, fallback) {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+}
+
+if (!FIXTURE_PATH) {
+    console.error('Usage: node scripts/radius-simulator.js <fixture.json> [--port 1812] [--acct-port 1813|off] [--host 127.0.0.1] [--secret testing123] [--quiet]');
+    process.exit(1);
+}
+
+const acctPortOption = option('acct-port', '1813');
+
+// ── Main ──────────────────────────────────────────────────
+async function main() {
+    const simulator = createRadiusSimulator({
+        fixture: readFixture(FIXTURE_PATH),
+        secret: option('secret', process.env.RADIUS_SECRET),
+        host: option('host', '127.0.0.1'),
+        port: parseInt(option('port', '1812')),
+        acctPort: acctPortOption === 'off' ? null : parseInt(acctPortOption),
+        debug: !args.includes('--quiet'),
+    });
+
+    await simulator.listen();
+
+    process.on('SIGHUP', () => {
+        try {
+            simulator.load(readFixture(FIXTURE_PATH));
+            console.log(`Reloaded ${FIXTURE_PATH}`);
+        } catch (err) {
+            console.error(`Fixture not reloaded: ${err.message}`);
+        }
+    });
+
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, () => {
+            console.log('Status:', JSON.stringify(simulator.getStatus()));
+            simulator.close();
+        });
+    }
+}
+
+main().catch(err => {
+    console.error('Fatal error:', err.message);
+    process.exit(1);
+});
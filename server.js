@@ -13,69 +13,530 @@ require('dotenv').config();
 
 // Core dependencies
 const express = require('express');
-const radius = require('radius');
-const dgram = require('dgram');
 const https = require('https');
+const crypto = require('crypto');
 const bodyParser = require('body-parser');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const { SQSClient, SendMessageCommand } = require('@aws-sdk/client-sqs');
+const { createRadiusServerPool } = require('./lib/radius-pool');
+const { buildCredentials } = require('./lib/radius-auth-methods');
+const { createAccountingManager } = require('./lib/radius-accounting');
+const { createRadiusUdpClient } = require('./lib/radius-client');
+const { createRadSecClient } = require('./lib/radsec');
+const { createChallengeStore } = require('./lib/radius-challenge');
+const { createAccessPolicyTable } = require('./lib/access-policy');
+const { createGroupPolicyMap } = require('./lib/group-policy');
+const { createDynamicAuthServer } = require('./lib/radius-dynauth');
+const { createRadiusSimulator, readFixture } = require('./lib/radius-simulator');
+const { createRadiusHealthMonitor } = require('./lib/radius-health');
+const { createCircuitBreaker } = require('./lib/circuit-breaker');
+const { createMaintenanceMode } = require('./lib/maintenance-mode');
+const { createRateLimiter } = require('./lib/rate-limiter');
+const { createMemoryStore, createRedisStore } = require('./lib/rate-limit-store');
+const { createLogger } = require('./lib/logger');
+const { createSplashGrants } = require('./lib/splash-grant');
+const { createMetricsRegistry } = require('./lib/metrics');
+const { createTracer, createOtlpExporter, createConsoleExporter, parseTraceparent } = require('./lib/tracing');
+const { createConfigManager } = require('./lib/config');
+const { createGracefulShutdown } = require('./lib/graceful-shutdown');
+const { createMerakiController } = require('./lib/controller-meraki');
+const { createUniFiController } = require('./lib/controller-unifi');
+const { createOpenNdsController } = require('./lib/controller-opennds');
+const { createControllerSimulator } = require('./lib/controller-simulator');
+const { normalizeMac } = require('./lib/mac-address');
 
 // Application setup
 const app = express();
-const port = process.env.PORT || 3000;
 const APP_VERSION = '3.1.0';
+const INVALID_SPLASH_LINK_MESSAGE = 'This sign-in page was opened with an invalid link. Disconnect and reconnect to the Wi-Fi network to get a new one.';
+const CONTROLLER_GRANT_FAILED_MESSAGE = 'Your account was verified, but the Wi-Fi network could not let you in. Please try again in a minute.';
+const SIGN_ON_CHALLENGE_MESSAGE = 'Your account needs a verification code, which this network cannot ask for. Please contact IT support.';
+
+// Configuration: every setting, its default and its checks are declared in lib/config.js.
+// Values come from CONFIG_FILE (JSON or YAML) when set, overridden by environment variables.
+let configManager;
+try {
+    configManager = createConfigManager({ env: process.env, file: process.env.CONFIG_FILE || null });
+} catch (err) {
+    const problems = err.errors || [err.message];
+    console.error(`CRITICAL ERROR: Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    process.exit(1);
+}
+
+// Settings that take effect at startup only
+const {
+    PORT,
+    AWS_REGION,
+    RADIUS_SECRET,
+    NAS_IP_ADDRESS,
+    NAS_IDENTIFIER,
+    RADIUS_TIMEOUT_MS,
+    RADIUS_DEBUG,
+    RADIUS_RETRIES,
+    RADIUS_RETRY_INTERVAL_MS,
+    RADIUS_UDP_SOCKETS,
+    RADIUS_MAX_IN_FLIGHT,
+    RADIUS_CHALLENGE_TIMEOUT_MS,
+    RADSEC_CERT_FILE,
+    RADSEC_KEY_FILE,
+    RADSEC_KEY_PASSPHRASE,
+    RADSEC_CA_FILE,
+    RADSEC_PINNED_SHA256,
+    RADSEC_IDLE_TIMEOUT_MS,
+    RADIUS_ACCOUNTING_ENABLED,
+    RADIUS_ACCT_INTERIM_INTERVAL,
+    SPLASH_SESSION_SECONDS,
+    RADIUS_DYNAUTH_ENABLED,
+    RADIUS_DYNAUTH_PORT,
+    RADIUS_DYNAUTH_CLIENTS,
+    RADIUS_SIMULATOR_FIXTURE,
+    RADIUS_PROBE_INTERVAL_MS,
+    RADIUS_PROBE_TIMEOUT_MS,
+    RADIUS_PROBE_WINDOW,
+    RADIUS_PROBE_UNHEALTHY_AFTER,
+    RADIUS_BREAKER_THRESHOLD,
+    RADIUS_BREAKER_RESET_MS,
+    MAINTENANCE_ALLOWED_DOMAINS,
+    MAINTENANCE_AUTO_ENABLE,
+    MAINTENANCE_GROUP_POLICY_ID,
+    MAINTENANCE_GROUP_POLICY_NAME,
+    MAINTENANCE_GRANT_SECONDS,
+    ADMIN_API_TOKEN,
+    RATE_LIMIT_ENABLED,
+    RATE_LIMIT_WINDOW_MS,
+    RATE_LIMIT_PER_USERNAME,
+    RATE_LIMIT_PER_MAC,
+    RATE_LIMIT_PER_IP,
+    RATE_LIMIT_DELAY_AFTER,
+    RATE_LIMIT_DELAY_MS,
+    RATE_LIMIT_MAX_DELAY_MS,
+    RATE_LIMIT_LOCKOUT_AFTER,
+    RATE_LIMIT_LOCKOUT_MS,
+    RATE_LIMIT_MAX_LOCKOUT_MS,
+    RATE_LIMIT_STORE,
+    RATE_LIMIT_REDIS_URL,
+    SPLASH_GRANT_HOSTS,
+    SPLASH_CONTINUE_HOSTS,
+    SPLASH_GRANT_SECRET,
+    SPLASH_GRANT_TTL_MS,
+    TRUST_PROXY,
+    SHUTDOWN_TIMEOUT_MS,
+    MERAKI_API_KEY,
+    MERAKI_NETWORK_ID,
+    MERAKI_DEVICE_RENAME_ENABLED,
+    PORTAL_CONTROLLER,
+    CONTROLLER_SIMULATOR,
+    CONTROLLER_SIMULATOR_PORT,
+    UNIFI_CONTROLLER_URL,
+    UNIFI_USERNAME,
+    UNIFI_PASSWORD,
+    UNIFI_SITE,
+    UNIFI_OS,
+    UNIFI_CA_FILE,
+    UNIFI_GUEST_MINUTES,
+    OPENNDS_FAS_KEY,
+    OPENNDS_GATEWAYS,
+    TEST_USER,
+    TEST_USER_PASSWORD,
+    SQS_QUEUE_URL,
+    NETWORK_SSID,
+    LOG_LEVEL,
+    LOG_FORMAT,
+    LOG_FILE,
+    LOG_MAX_BYTES,
+    LOG_MAX_FILES,
+    LOG_ROTATE,
+    METRICS_ENABLED,
+    METRICS_TOKEN,
+    OTEL_TRACES_EXPORTER,
+    OTEL_EXPORTER_OTLP_ENDPOINT,
+    OTEL_SERVICE_NAME
+} = configManager.values;
+
+// The reloadable settings (RADIUS servers, access and group policies, messages) are read
+// from here where they are used; a reload replaces it (see CONFIGURATION RELOAD)
+let settings = configManager.values;
 
-// RADIUS server configuration from environment variables
-const RADIUS_HOST = process.env.RADIUS_HOST || '192.168.1.108'; 
-const RADIUS_PORT = parseInt(process.env.RADIUS_PORT || '1812');
-const RADIUS_SECRET = process.env.RADIUS_SECRET || 'testing123';
-const NAS_IP_ADDRESS = process.env.NAS_IP_ADDRESS; // optional override
-const NAS_IDENTIFIER = process.env.NAS_IDENTIFIER; // optional
-const RADIUS_TIMEOUT_MS = parseInt(process.env.RADIUS_TIMEOUT_MS || '10000');
-const RADIUS_DEBUG = process.env.RADIUS_DEBUG === '1';
-
-// Meraki API configuration
-const MERAKI_API_KEY = process.env.MERAKI_API_KEY;
-const MERAKI_NETWORK_ID = process.env.MERAKI_NETWORK_ID;
-const MERAKI_DEVICE_RENAME_ENABLED = process.env.MERAKI_DEVICE_RENAME_ENABLED === '1';
-const TEST_USER = process.env.TEST_USER; // Skip Meraki API calls for this user
-
-// SQS client tracking configuration
-const SQS_QUEUE_URL = process.env.SQS_QUEUE_URL;
-const NETWORK_SSID = process.env.NETWORK_SSID || '';
 const sqsClient = SQS_QUEUE_URL
-    ? new SQSClient({ region: process.env.AWS_REGION || 'ap-southeast-1' })
+    ? new SQSClient({ region: AWS_REGION })
     : null;
 
-// Filter-ID configuration from environment variable
-// Default is StaffPolicy if not specified
-const ALLOWED_FILTER_ID = process.env.ALLOWED_FILTER_ID || 'StaffPolicy';
-const ACCESS_DENIED_MESSAGE = process.env.ACCESS_DENIED_MESSAGE || 'You don\'t belong to this SSID';
-const ACCESS_GRANTED_MESSAGE = process.env.ACCESS_GRANTED_MESSAGE || 'Access granted - Account verified';
-// If set to '0', a missing / different Filter-Id will not hard fail auth (helpful for debugging)
-const AUTH_REQUIRE_FILTER_ID = process.env.AUTH_REQUIRE_FILTER_ID !== '0';
+let logger;
+try {
+    logger = createLogger({
+        level: LOG_LEVEL,
+        format: LOG_FORMAT,
+        file: LOG_FILE
+            ? { filePath: LOG_FILE, maxBytes: LOG_MAX_BYTES, maxFiles: LOG_MAX_FILES, rotate: LOG_ROTATE }
+            : null,
+        base: { service: 'radius-splash', version: APP_VERSION }
+    });
+} catch (err) {
+    console.error(`CRITICAL ERROR: Invalid logging configuration: ${err.message}`);
+    process.exit(1);
+}
+// console.* from here on (and from lib/) goes through the logger too
+logger.captureConsole();
 
-// Simple file logger
-const logToFile = (message) => {
+let traceExporter = null;
+if (OTEL_TRACES_EXPORTER === 'otlp') {
     try {
-        fs.appendFileSync('server.log', `[${new Date().toISOString()}] ${message}\n`);
-    } catch (e) {
-        console.error('Failed to write to log file:', e);
+        traceExporter = createOtlpExporter({ endpoint: OTEL_EXPORTER_OTLP_ENDPOINT });
+    } catch (err) {
+        console.error(`CRITICAL ERROR: Invalid OTEL_EXPORTER_OTLP_ENDPOINT: ${err.message}`);
+        process.exit(1);
+    }
+} else if (OTEL_TRACES_EXPORTER === 'console') {
+    traceExporter = createConsoleExporter({ log: (message, fields) => logger.info(message, fields) });
+}
+const tracer = createTracer({
+    resource: {
+        'service.name': OTEL_SERVICE_NAME,
+        'service.version': APP_VERSION,
+        'host.name': os.hostname()
+    },
+    exporter: traceExporter
+});
+
+// Metrics are always recorded; METRICS_ENABLED only controls the /metrics endpoint.
+// Gauges are read when scraped, from objects created further down.
+const metrics = createMetricsRegistry({ prefix: 'splash_' });
+const authAttemptsTotal = metrics.counter({
+    name: 'auth_attempts_total',
+    help: 'Login attempts by outcome: accepted, filter_denied, rejected, timeout, error, challenge, unavailable, fail_open, rate_limited, invalid_link, grant_failed',
+    labelNames: ['outcome', 'ssid', 'portal', 'server']
+});
+const radiusRequestDuration = metrics.histogram({
+    name: 'radius_request_duration_seconds',
+    help: 'Access-Request round trips by RADIUS server and reply (Access-Accept, Access-Reject, Access-Challenge, timeout, error)',
+    labelNames: ['server', 'code']
+});
+const merakiRenameTotal = metrics.counter({
+    name: 'meraki_rename_total',
+    help: 'Meraki device renames (and group policy updates) by result',
+    labelNames: ['result']
+});
+const sqsPublishTotal = metrics.counter({
+    name: 'sqs_publish_total',
+    help: 'Client tracking events sent to SQS by type (auth, revoke) and result',
+    labelNames: ['type', 'result']
+});
+const controllerGrantsTotal = metrics.counter({
+    name: 'controller_grants_total',
+    help: 'Grants made through the portal controller (Meraki, UniFi, openNDS) by result',
+    labelNames: ['controller', 'result']
+});
+const configReloadsTotal = metrics.counter({
+    name: 'config_reloads_total',
+    help: 'Configuration reloads (SIGHUP or config file change) by result',
+    labelNames: ['result']
+});
+const httpRequestDuration = metrics.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request durations by route; static files are not included',
+    labelNames: ['method', 'route', 'status']
+});
+metrics.gauge({
+    name: 'radius_server_up',
+    help: 'Whether the server pool considers a RADIUS server alive (1) or dead (0)',
+    labelNames: ['server'],
+    collect: set => radiusPool.getStatus().forEach(server => set({ server: server.name }, server.state === 'alive' ? 1 : 0))
+});
+metrics.gauge({
+    name: 'radius_circuit_state',
+    help: 'RADIUS circuit breaker state: 1 for the current state (closed, open, half-open)',
+    labelNames: ['state'],
+    collect: set => {
+        if (!radiusBreaker) return;
+        const current = radiusBreaker.getStatus().state;
+        ['closed', 'open', 'half-open'].forEach(state => set({ state }, state === current ? 1 : 0));
+    }
+});
+metrics.gauge({
+    name: 'maintenance_active',
+    help: 'Whether maintenance (fail-open) mode is active, by source (manual, circuit-breaker)',
+    labelNames: ['source'],
+    collect: set => {
+        const source = maintenanceMode && maintenanceMode.activeSource();
+        if (source) set({ source }, 1);
     }
-};
+});
+metrics.gauge({
+    name: 'build_info',
+    help: 'Version of the splash server',
+    labelNames: ['version'],
+    collect: set => set({ version: APP_VERSION }, 1)
+});
 
 // Minimal startup logging
 console.log(`RADIUS-Meraki Auth Server v${APP_VERSION} starting`);
 
-// Only log critical configuration issues
-if (!RADIUS_SECRET) {
-    console.error('CRITICAL ERROR: RADIUS shared secret is missing!');
+if (configManager.file) {
+    console.log(`Configuration file: ${configManager.file}`);
+}
+
+let radiusSimulator = null;
+if (RADIUS_SIMULATOR_FIXTURE) {
+    try {
+        radiusSimulator = createRadiusSimulator({
+            fixture: readFixture(RADIUS_SIMULATOR_FIXTURE),
+            secret: RADIUS_SECRET,
+            port: settings.RADIUS_PORT,
+            acctPort: settings.RADIUS_ACCT_PORT,
+            debug: RADIUS_DEBUG
+        });
+    } catch (err) {
+        console.error(`CRITICAL ERROR: Invalid RADIUS_SIMULATOR_FIXTURE: ${err.message}`);
+        process.exit(1);
+    }
+
+    radiusSimulator.listen().catch(err => {
+        console.error(`CRITICAL ERROR: Cannot start the RADIUS simulator on UDP ${settings.RADIUS_PORT}: ${err.message}`);
+        process.exit(1);
+    });
+    console.warn(`WARNING: RADIUS requests go to the built-in simulator (${RADIUS_SIMULATOR_FIXTURE}), not a real RADIUS server`);
+}
+
+let radiusPool;
+try {
+    radiusPool = buildRadiusPool(settings);
+} catch (err) {
+    console.error(`CRITICAL ERROR: Invalid RADIUS server configuration: ${err.message}`);
+    process.exit(1);
+}
+let radiusServerTimeoutMs = serverTimeoutFor(radiusPool, settings);
+
+console.log(`RADIUS pool: ${radiusPool.servers.map(s => s.name).join(', ')} (strategy: ${radiusPool.strategy})`);
+
+let accessPolicies;
+try {
+    accessPolicies = buildAccessPolicies(settings);
+} catch (err) {
+    console.error(`CRITICAL ERROR: Invalid ACCESS_POLICIES: ${err.message}`);
+    process.exit(1);
+}
+
+let groupPolicies;
+try {
+    groupPolicies = buildGroupPolicies(settings);
+} catch (err) {
+    console.error(`CRITICAL ERROR: Invalid MERAKI_GROUP_POLICIES: ${err.message}`);
+    process.exit(1);
+}
+
+if (groupPolicies.size > 0 && (!MERAKI_API_KEY || !MERAKI_NETWORK_ID)) {
+    console.warn('WARNING: MERAKI_GROUP_POLICIES is set but the Meraki API is not configured — group policies will not be applied');
+}
+
+// Replies dropped because they failed source / identifier / authenticator checks, by reason
+const radiusDroppedReplies = {};
+
+// Shared UDP sockets for every UDP server in the pool
+const radiusUdpClient = createRadiusUdpClient({
+    sockets: RADIUS_UDP_SOCKETS,
+    maxInFlight: RADIUS_MAX_IN_FLIGHT,
+    retries: RADIUS_RETRIES,
+    retryIntervalMs: RADIUS_RETRY_INTERVAL_MS,
+    onDrop: recordDroppedReply,
+    debug: RADIUS_DEBUG
+});
+
+// One shared TLS connection per RadSec server, created only when a server uses it
+let radsecClient = null;
+if (radiusPool.servers.some(s => s.transport === 'radsec')) {
+    if (!RADSEC_CERT_FILE || !RADSEC_KEY_FILE || !RADSEC_CA_FILE) {
+        console.error('CRITICAL ERROR: RadSec requires RADSEC_CERT_FILE, RADSEC_KEY_FILE and RADSEC_CA_FILE');
+        process.exit(1);
+    }
+
+    try {
+        radsecClient = createRadSecClient({
+            tls: {
+                cert: fs.readFileSync(RADSEC_CERT_FILE),
+                key: fs.readFileSync(RADSEC_KEY_FILE),
+                passphrase: RADSEC_KEY_PASSPHRASE,
+                ca: fs.readFileSync(RADSEC_CA_FILE)
+            },
+            pinnedSha256: RADSEC_PINNED_SHA256,
+            idleTimeoutMs: RADSEC_IDLE_TIMEOUT_MS,
+            onDrop: recordDroppedReply,
+            debug: RADIUS_DEBUG
+        });
+    } catch (err) {
+        console.error(`CRITICAL ERROR: Failed to load RadSec certificates: ${err.message}`);
+        process.exit(1);
+    }
+}
+
+// Access-Challenge State attributes, held here until the user answers the prompt
+const radiusChallenges = createChallengeStore({ ttlMs: RADIUS_CHALLENGE_TIMEOUT_MS });
+
+const radiusAccounting = RADIUS_ACCOUNTING_ENABLED
+    ? createAccountingManager({
+        send: sendAccountingRequest,
+        sessionSeconds: SPLASH_SESSION_SECONDS,
+        interimIntervalSec: RADIUS_ACCT_INTERIM_INTERVAL
+    })
+    : null;
+
+// Fails logins fast while no RADIUS server is answering
+const radiusBreaker = RADIUS_BREAKER_THRESHOLD > 0
+    ? createCircuitBreaker({
+        name: 'radius',
+        failureThreshold: RADIUS_BREAKER_THRESHOLD,
+        resetTimeoutMs: RADIUS_BREAKER_RESET_MS
+    })
+    : null;
+
+// Fail-open logins for the allowed domains while RADIUS is unusable
+const maintenanceMode = MAINTENANCE_ALLOWED_DOMAINS.length > 0
+    ? createMaintenanceMode({
+        allowedDomains: MAINTENANCE_ALLOWED_DOMAINS,
+        groupPolicy: MAINTENANCE_GROUP_POLICY_ID
+            ? { groupPolicyId: MAINTENANCE_GROUP_POLICY_ID, name: MAINTENANCE_GROUP_POLICY_NAME }
+            : null,
+        durationSeconds: MAINTENANCE_GRANT_SECONDS,
+        autoEnable: MAINTENANCE_AUTO_ENABLE,
+        isCircuitOpen: () => Boolean(radiusBreaker) && radiusBreaker.getStatus().state !== 'closed'
+    })
+    : null;
+
+if (maintenanceMode && !MAINTENANCE_GROUP_POLICY_ID) {
+    console.warn('WARNING: MAINTENANCE_GROUP_POLICY_ID is not set — fail-open logins will get the Normal policy');
+}
+if (MAINTENANCE_AUTO_ENABLE && !radiusBreaker) {
+    console.warn('WARNING: MAINTENANCE_AUTO_ENABLE has no effect while the circuit breaker is disabled');
+}
+
+// Signed grant sessions, so the portal only ever redirects to validated Meraki grant URLs
+if (!SPLASH_GRANT_SECRET) {
+    console.warn('WARNING: SPLASH_GRANT_SECRET is not set — using a random key, so a grant only works on the task that issued it');
+}
+const splashGrants = createSplashGrants({
+    secret: SPLASH_GRANT_SECRET || crypto.randomBytes(32).toString('hex'),
+    ttlMs: SPLASH_GRANT_TTL_MS,
+    grantHosts: SPLASH_GRANT_HOSTS,
+    continueHosts: SPLASH_CONTINUE_HOSTS,
+    // The Meraki stand-in serves its grant URLs over http on a local port
+    localHosts: CONTROLLER_SIMULATOR ? [`127.0.0.1:${CONTROLLER_SIMULATOR_PORT}`] : []
+});
+
+// Stand-in for the portal controller, for local development. It accepts the configured UniFi
+// credentials and openNDS faskey, or random ones when they are not set.
+let controllerSimulator = null;
+let simulatorCredentials = null;
+if (CONTROLLER_SIMULATOR) {
+    simulatorCredentials = {
+        unifi: {
+            username: UNIFI_USERNAME || 'admin',
+            password: UNIFI_PASSWORD || crypto.randomBytes(12).toString('hex'),
+            site: UNIFI_SITE
+        },
+        opennds: { fasKey: OPENNDS_FAS_KEY || crypto.randomBytes(16).toString('hex') }
+    };
+    controllerSimulator = createControllerSimulator({
+        controller: PORTAL_CONTROLLER,
+        splashUrl: `http://127.0.0.1:${PORT}/`,
+        port: CONTROLLER_SIMULATOR_PORT,
+        ...simulatorCredentials,
+        debug: RADIUS_DEBUG
+    });
+
+    controllerSimulator.listen().catch(err => {
+        console.error(`CRITICAL ERROR: Cannot start the controller simulator on port ${CONTROLLER_SIMULATOR_PORT}: ${err.message}`);
+        process.exit(1);
+    });
+    console.warn(`WARNING: portal grants go to the built-in ${PORTAL_CONTROLLER} simulator (${controllerSimulator.url}), not a real controller`);
+}
+
+// Parses the controller's redirect parameters and makes the grant (see lib/controller-*.js)
+let portalController;
+try {
+    portalController = buildPortalController();
+} catch (err) {
+    console.error(`CRITICAL ERROR: Invalid ${PORTAL_CONTROLLER} controller configuration: ${err.message}`);
     process.exit(1);
 }
+console.log(`Portal controller: ${PORTAL_CONTROLLER}`);
+
+// Device names, group policies and Disconnect / CoA go through the Meraki Dashboard API
+if (PORTAL_CONTROLLER !== 'meraki') {
+    if (MERAKI_DEVICE_RENAME_ENABLED || groupPolicies.size > 0) {
+        console.warn(`WARNING: device renaming and MERAKI_GROUP_POLICIES only apply with PORTAL_CONTROLLER=meraki`);
+    }
+}
+
+// Per-username / MAC / IP login throttling
+let rateLimiter = null;
+let rateLimitStore = null;
+if (RATE_LIMIT_ENABLED) {
+    if (RATE_LIMIT_STORE === 'redis') {
+        try {
+            rateLimitStore = createRedisStore({ url: RATE_LIMIT_REDIS_URL });
+        } catch (err) {
+            console.error(`CRITICAL ERROR: Invalid RATE_LIMIT_REDIS_URL: ${err.message}`);
+            process.exit(1);
+        }
+    } else {
+        rateLimitStore = createMemoryStore();
+    }
+
+    rateLimiter = createRateLimiter({
+        store: rateLimitStore,
+        limits: {
+            username: RATE_LIMIT_PER_USERNAME,
+            mac: RATE_LIMIT_PER_MAC,
+            ip: RATE_LIMIT_PER_IP
+        },
+        windowMs: RATE_LIMIT_WINDOW_MS,
+        failures: {
+            delayAfter: RATE_LIMIT_DELAY_AFTER,
+            delayMs: RATE_LIMIT_DELAY_MS,
+            maxDelayMs: RATE_LIMIT_MAX_DELAY_MS,
+            lockoutAfter: RATE_LIMIT_LOCKOUT_AFTER,
+            lockoutMs: RATE_LIMIT_LOCKOUT_MS,
+            maxLockoutMs: RATE_LIMIT_MAX_LOCKOUT_MS
+        }
+    });
+}
+
+// Periodic Status-Server / Access-Request probes for /api/health and /api/ready
+let radiusHealth = buildHealthMonitor(radiusPool);
+
+// SIGTERM handling: in-flight logins and their Meraki / SQS side-effects finish before exit
+const gracefulShutdown = createGracefulShutdown({ timeoutMs: SHUTDOWN_TIMEOUT_MS });
+
+// Disconnect / CoA listener, so account changes in RADIUS reach authorized splash sessions
+let dynamicAuth = null;
+if (RADIUS_DYNAUTH_ENABLED) {
+    try {
+        dynamicAuth = createDynamicAuthServer({
+            port: RADIUS_DYNAUTH_PORT,
+            clients: RADIUS_DYNAUTH_CLIENTS,
+            defaultSecret: RADIUS_SECRET,
+            handlers: {
+                disconnect: request => gracefulShutdown.track(handleDisconnectRequest(request), 'dynauth.disconnect'),
+                coa: request => gracefulShutdown.track(handleCoaRequest(request), 'dynauth.coa')
+            }
+        });
+    } catch (err) {
+        console.error(`CRITICAL ERROR: Invalid RADIUS_DYNAUTH_CLIENTS: ${err.message}`);
+        process.exit(1);
+    }
+
+    dynamicAuth.listen().catch(err => {
+        console.error(`CRITICAL ERROR: Cannot listen on UDP ${RADIUS_DYNAUTH_PORT}: ${err.message}`);
+        process.exit(1);
+    });
+}
 
 // ===== MIDDLEWARE SETUP =====
+if (TRUST_PROXY > 0) {
+    app.set('trust proxy', TRUST_PROXY);
+}
+app.use(gracefulShutdown.middleware);
 app.use(bodyParser.json({ limit: '1mb' }));
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, 'public')));
@@ -89,14 +550,33 @@ app.use((req, res, next) => {
     next();
 });
 
+// Request ID: taken from X-Request-Id (e.g. set by a proxy) or generated, echoed back in the
+// response, and added to every log entry written while handling the request.
+// Registered after the body parsers, which would otherwise lose the logging context.
+app.use((req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+    logger.runWithContext({ requestId: req.id }, next);
+});
+
 // Request logging middleware - only log errors and slow responses
 app.use((req, res, next) => {
     const start = Date.now();
+    const endTimer = httpRequestDuration.startTimer({ method: req.method });
     res.on('finish', () => {
         const duration = Date.now() - start;
+        // The route pattern, not the path, so unknown URLs cannot add time series
+        endTimer({ route: req.route ? req.route.path : 'unmatched', status: res.statusCode });
         // Only log errors (4xx/5xx) and slow responses (>1000ms)
         if (res.statusCode >= 400 || duration > 1000) {
-            console.log(`${req.method} ${req.path} - ${res.statusCode} (${duration}ms)`);
+            logger.info(`${req.method} ${req.path} - ${res.statusCode} (${duration}ms)`, {
+                requestId: req.id,
+                method: req.method,
+                path: req.path,
+                status: res.statusCode,
+                durationMs: duration
+            });
         }
     });
     next();
@@ -114,9 +594,32 @@ app.get('/test-splash', (req, res) => {
     console.log('Test splash page requested');
 
     try {
+        // With the controller stand-in the page gets real, working parameters from it
+        if (controllerSimulator) {
+            const connect = new URL(`${controllerSimulator.url}/connect`);
+            if (req.query.portal) connect.searchParams.set('portal', req.query.portal);
+            if (req.query.mode) connect.searchParams.set('mode', req.query.mode);
+            return res.redirect(connect.toString());
+        }
+
         // Build the redirect URL with test parameters
         const baseUrl = `${req.protocol}://${req.get('host')}/`;
-        const redirectUrl = `${baseUrl}?base_grant_url=https://n143.network-auth.com/splash/grant&user_continue_url=http://google.com&node_mac=00:11:22:33:44:55&client_ip=10.0.0.1&client_mac=aa:bb:cc:aa:ff:ee`;
+        let redirectUrl = `${baseUrl}?base_grant_url=https://n143.network-auth.com/splash/grant&user_continue_url=http://google.com&node_mac=00:11:22:33:44:55&client_ip=10.0.0.1&client_mac=aa:bb:cc:aa:ff:ee`;
+        // /test-splash?mode=sign-on sends the parameters of a Meraki sign-on splash instead
+        if (req.query.mode === 'sign-on') {
+            const loginUrl = 'https://n143.network-auth.com/splash/login?mauth=TEST&continue_url=http%3A%2F%2Fgoogle.com';
+            redirectUrl = `${baseUrl}?login_url=${encodeURIComponent(loginUrl)}&continue_url=http://google.com&ap_mac=00:11:22:33:44:55&client_ip=10.0.0.1&client_mac=aa:bb:cc:aa:ff:ee`;
+        }
+        // UniFi and openNDS send their own parameters
+        if (PORTAL_CONTROLLER === 'unifi') {
+            redirectUrl = `${baseUrl}?id=aa:bb:cc:aa:ff:ee&ap=00:11:22:33:44:55&t=${Math.floor(Date.now() / 1000)}&url=http://google.com&ssid=${encodeURIComponent(NETWORK_SSID)}`;
+        } else if (PORTAL_CONTROLLER === 'opennds') {
+            redirectUrl = `${baseUrl}?hid=0123456789abcdef0123456789abcdef&clientip=10.0.0.1&clientmac=aa:bb:cc:aa:ff:ee&gatewayname=test&gatewayaddress=192.168.1.1:2050&authdir=opennds_auth&originurl=${encodeURIComponent('http://google.com')}`;
+        }
+        // /test-splash?portal=hs previews the page for one access policy
+        if (req.query.portal) {
+            redirectUrl += `&portal=${encodeURIComponent(req.query.portal)}`;
+        }
         return res.redirect(redirectUrl);
     } catch (err) {
         console.error('Error in test-splash route:', err);
@@ -131,12 +634,43 @@ app.get('/api/health', (req, res) => {
         version: APP_VERSION,
         timestamp: new Date().toISOString(),
         radius: {
-            host: RADIUS_HOST,
-            port: RADIUS_PORT
+            strategy: radiusPool.strategy,
+            servers: withProbeStatus(radiusPool.getStatus()),
+            ready: getRadiusReadiness().ready,
+            requireMessageAuthenticator: settings.RADIUS_REQUIRE_MESSAGE_AUTHENTICATOR,
+            droppedReplies: radiusDroppedReplies,
+            udp: radiusUdpClient.getStatus(),
+            radsec: radsecClient ? radsecClient.getStatus() : undefined,
+            challenges: radiusChallenges.getStatus(),
+            circuitBreaker: radiusBreaker
+                ? { enabled: true, ...radiusBreaker.getStatus() }
+                : { enabled: false },
+            simulator: radiusSimulator ? radiusSimulator.getStatus() : undefined,
+            accounting: radiusAccounting
+                ? { enabled: true, ...radiusAccounting.getStatus() }
+                : { enabled: false },
+            dynamicAuthorization: dynamicAuth
+                ? { enabled: true, ...dynamicAuth.getStatus() }
+                : { enabled: false }
         },
         accessControl: {
-            allowedFilterId: ALLOWED_FILTER_ID
+            allowedFilterId: settings.ALLOWED_FILTER_ID,
+            policies: accessPolicies.getSummary(),
+            groupPolicies: groupPolicies.getSummary()
+        },
+        maintenance: maintenanceMode
+            ? { enabled: true, ...maintenanceMode.getStatus() }
+            : { enabled: false },
+        splashGrants: splashGrants.getStatus(),
+        portal: {
+            controller: portalController.getStatus(),
+            simulator: controllerSimulator ? controllerSimulator.getStatus() : undefined
         },
+        tracing: tracer.getStatus(),
+        rateLimit: rateLimiter
+            ? { enabled: true, ...rateLimiter.getStatus() }
+            : { enabled: false },
+        shutdown: gracefulShutdown.getStatus(),
         container: {
             hostname: os.hostname()
         }
@@ -148,53 +682,319 @@ app.get('/health', (req, res) => {
     res.status(200).send('OK');
 });
 
+// Prometheus metrics (see the METRICS section for what is recorded)
+if (METRICS_ENABLED) {
+    app.get('/metrics', (req, res) => {
+        if (METRICS_TOKEN && !bearerTokenMatches(req, METRICS_TOKEN)) {
+            return res.status(401).type('text/plain').send('Unauthorized');
+        }
+        res.set('Content-Type', metrics.contentType);
+        res.send(metrics.render());
+    });
+}
+
+// Readiness check: 503 while no RADIUS server is healthy or the task is shutting down,
+// so the task can be taken out of rotation
+app.get('/api/ready', (req, res) => {
+    if (gracefulShutdown.isDraining()) {
+        return res.status(503).json({ status: 'not-ready', reason: 'shutting down', healthyServers: 0 });
+    }
+    const readiness = getRadiusReadiness();
+    res.status(readiness.ready ? 200 : 503).json({
+        status: readiness.ready ? 'ready' : 'not-ready',
+        reason: readiness.reason,
+        healthyServers: readiness.healthyServers
+    });
+});
+
+// Final step of a login: redirects to the Meraki grant URL of a session issued by /auth/radius
+app.get('/splash/grant', (req, res) => {
+    const session = splashGrants.redeem(req.query.session);
+    if (!session.ok) {
+        logger.warn(`Refused grant redirect: ${session.error}`, { event: 'grant.refused', reason: session.error });
+        return res.status(400).type('text/plain').send('This sign-in link has expired or was already used. Please sign in again.');
+    }
+
+    logger.info('Redirecting to the Meraki grant URL', { event: 'grant.redirect', clientMac: session.clientMac || undefined });
+    res.set('Cache-Control', 'no-store');
+    res.set('Referrer-Policy', 'no-referrer');
+    return res.redirect(302, session.redirectUrl);
+});
+
+// Maintenance (fail-open) mode status, for admins
+app.get('/api/admin/maintenance', requireAdminToken, (req, res) => {
+    res.json(maintenanceMode ? { enabled: true, ...maintenanceMode.getStatus() } : { enabled: false });
+});
+
+// Turns maintenance mode on or off: { "enabled": true, "reason": "...", "expiresInMinutes": 60, "by": "..." }
+app.post('/api/admin/maintenance', requireAdminToken, (req, res) => {
+    if (!maintenanceMode) {
+        return res.status(409).json({
+            success: false,
+            message: 'Maintenance mode is not configured (MAINTENANCE_ALLOWED_DOMAINS is not set)'
+        });
+    }
+
+    const { enabled, reason, expiresInMinutes, by } = req.body || {};
+    if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ success: false, message: '"enabled" must be true or false' });
+    }
+    if (expiresInMinutes !== undefined && !(Number(expiresInMinutes) > 0)) {
+        return res.status(400).json({ success: false, message: '"expiresInMinutes" must be a positive number' });
+    }
+
+    // The token is shared, so record who the caller says they are along with their address
+    const actor = by ? `${String(by).slice(0, 64)} (${req.ip})` : req.ip;
+    const status = enabled
+        ? maintenanceMode.enable({
+            enabledBy: actor,
+            reason: reason ? String(reason).slice(0, 256) : null,
+            expiresInSeconds: expiresInMinutes ? Math.round(Number(expiresInMinutes) * 60) : 0
+        })
+        : maintenanceMode.disable({ disabledBy: actor });
+
+    logger.warn(`Maintenance mode ${enabled ? 'enabled' : 'disabled'} through the admin API`, {
+        event: 'maintenance',
+        enabled,
+        actor,
+        reason: reason || undefined
+    });
+    // No "enabled" here: in the request it means on/off, in GET it means configured. "active" is the state.
+    res.json({ success: true, ...status });
+});
+
+// Settings in effect and where each came from (default, file or env), secrets masked
+app.get('/api/config', requireAdminToken, (req, res) => {
+    res.json(configManager.describe());
+});
+
 // RADIUS authentication endpoint
-app.post('/auth/radius', async (req, res) => {
-    console.log('Authentication request received');
-    logToFile(`Authentication request: ${JSON.stringify(req.body)}`);
+app.post('/auth/radius', traceRequest, async (req, res) => {
+    // Never the whole body: it holds the password
+    logger.info('Authentication request received', {
+        event: 'auth.request',
+        username: req.body.username,
+        clientMac: req.body.client_mac,
+        clientIp: req.body.client_ip,
+        ssid: req.body.ssid,
+        portal: req.body.portal,
+        challengeResponse: Boolean(req.body.challenge_token)
+    });
 
     try {
         // Extract parameters from the request
-        const {
+        let {
             username,
             password,
             client_mac,
             client_ip,
             node_mac,
-            ssid // allow caller to provide SSID (Meraki sometimes can pass via query/body)
+            ssid, // allow caller to provide SSID (Meraki sometimes can pass via query/body)
+            portal, // which splash portal the page was served for (selects the access policy)
+            user_continue_url
         } = req.body;
 
-        // Validate inputs
-        if (!username || !password) {
-            console.log('Missing credentials in request');
-            return res.status(400).json({
-                success: false,
-                message: 'Username and password are required'
-            });
-        }
+        // Second step of a multi-step login: the answer to an Access-Challenge
+        const { challenge_token, challenge_response } = req.body;
 
-        // Perform RADIUS authentication
-        const result = await authenticateWithRadius(
-            username,
-            password,
-            {
+        let result;
+        let context;
+
+        if (challenge_token) {
+            if (!challenge_response) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Verification code is required'
+                });
+            }
+
+            const challenge = radiusChallenges.take(challenge_token);
+            if (!challenge || (client_mac && challenge.context.clientMac &&
+                normalizeMac(client_mac) !== normalizeMac(challenge.context.clientMac))) {
+                console.log('Unknown or expired challenge token');
+                return res.status(401).json({
+                    success: false,
+                    message: 'Your sign-in attempt has expired. Please sign in again.',
+                    challengeExpired: true
+                });
+            }
+
+            // Continue with the details of the first step, not what the page sent now
+            username = challenge.username;
+            context = challenge.context;
+            ({ clientMac: client_mac, clientIp: client_ip, nodeMac: node_mac, ssid, portal } = context);
+
+            console.log(`Challenge response received for user: ${username} (round ${challenge.round})`);
+            if (await rateLimited(req, res, username, client_mac)) {
+                return recordAuthOutcome('rate_limited', context);
+            }
+            result = await answerRadiusChallenge(challenge, challenge_response);
+            result.round = challenge.round;
+        } else {
+            // Validate inputs
+            if (!username || !password) {
+                console.log('Missing credentials in request');
+                return res.status(400).json({
+                    success: false,
+                    message: 'Username and password are required'
+                });
+            }
+
+            // The controller's redirect parameters as the page forwarded them, checked before anything
+            // else. Pages from before the controller adapters sent Meraki's at the top level.
+            const controllerParams = req.body.controller_params && typeof req.body.controller_params === 'object'
+                ? req.body.controller_params
+                : req.body;
+
+            // Only grant URLs that really point at the controller; a crafted link fails here, not after the login
+            let parsed = req.body.controller && req.body.controller !== portalController.name
+                ? { ok: false, error: `the page sent ${req.body.controller} parameters, but the portal controller is ${portalController.name}` }
+                : portalController.parse(controllerParams);
+
+            if (parsed.ok) {
+                // What the controller says about the client wins over what the page sent alongside
+                client_mac = parsed.client.clientMac || client_mac;
+                client_ip = parsed.client.clientIp || client_ip;
+                node_mac = parsed.client.apMac || node_mac;
+                ssid = parsed.client.ssid || ssid;
+
+                // The portal comes from the page URL: one from another SSID's policy is refused, or any
+                // user could pick the groups that get in. On a sign-on splash Meraki does RADIUS itself,
+                // once the page posts the credentials to login_url.
+                const policy = accessPolicies.resolve({ portal, ssid: ssid || NETWORK_SSID });
+                if (!policy) {
+                    parsed = { ok: false, error: `portal ${portal} is not for SSID ${ssid || NETWORK_SSID}` };
+                } else if (parsed.splashMode !== policy.splashMode) {
+                    parsed = { ok: false, error: `access policy ${policy.name} expects a ${policy.splashMode} splash, but the page sent ${parsed.splashMode} parameters` };
+                }
+            }
+            if (!parsed.ok) {
+                logger.warn(`Invalid splash parameters: ${parsed.error}`, {
+                    event: 'auth.invalidGrantUrl',
+                    username,
+                    controller: portalController.name,
+                    baseGrantUrl: controllerParams.base_grant_url,
+                    loginUrl: controllerParams.login_url,
+                    continueUrl: user_continue_url
+                });
+                recordAuthOutcome('invalid_link', { ssid, portal });
+                return res.status(400).json({
+                    success: false,
+                    invalidSplashLink: true,
+                    message: INVALID_SPLASH_LINK_MESSAGE
+                });
+            }
+
+            context = {
                 clientMac: client_mac,
                 clientIp: client_ip,
                 nodeMac: node_mac,
-                ssid
+                ssid,
+                portal,
+                splashMode: parsed.splashMode,
+                grant: parsed.grant
+            };
+
+            if (await rateLimited(req, res, username, client_mac)) {
+                return recordAuthOutcome('rate_limited', context);
             }
-        );
+
+            // Maintenance mode switched on by an admin: RADIUS is not asked at all. Not on a sign-on
+            // splash, where Meraki asks RADIUS anyway.
+            if (maintenanceMode && maintenanceMode.activeSource() === 'manual' && context.splashMode !== 'sign-on') {
+                return await grantFailOpen(res, username, context, 'manual');
+            }
+
+            // Perform RADIUS authentication
+            result = await authenticateWithRadius(username, password, context);
+        }
+
+        // Only Access-Rejects count towards the rate limiter's delays and lockouts. Awaited, so
+        // the next attempt already sees a lockout this one caused.
+        if (rateLimiter) {
+            const subject = { username, mac: client_mac };
+            if (result.success) {
+                await rateLimiter.recordSuccess(subject);
+            } else if (result.radius && result.radius.code === 'Access-Reject') {
+                await rateLimiter.recordFailure(subject);
+            }
+        }
+
+        // Meraki's sign-on splash has no second step, and the pre-check would use up a one-time code
+        if (result.challenge && context.splashMode === 'sign-on') {
+            console.log(`Access-Challenge for user: ${username} refused - multi-step logins need a click-through splash`);
+            result = { success: false, message: SIGN_ON_CHALLENGE_MESSAGE };
+        }
+
+        // Access-Challenge: ask the user for the next factor (OTP code, MFA approval, ...)
+        if (result.challenge) {
+            const token = radiusChallenges.create({
+                serverName: result.server,
+                username,
+                state: result.challenge.state,
+                context,
+                round: (result.round || 0) + 1
+            });
+
+            if (token) {
+                console.log(`Access-Challenge for user: ${username} from ${result.server}`);
+                recordAuthOutcome('challenge', context, result.server);
+                return res.status(200).json({
+                    success: false,
+                    challenge: {
+                        token,
+                        message: result.challenge.message || 'Enter the verification code sent to you.',
+                        echo: result.challenge.echo,
+                        expiresInSeconds: Math.floor(RADIUS_CHALLENGE_TIMEOUT_MS / 1000)
+                    }
+                });
+            }
+
+            console.log(`Too many Access-Challenge rounds for user: ${username}`);
+            result = { success: false, message: 'Authentication failed. Please sign in again.' };
+        }
 
         if (result.success) {
-            console.log(`Authentication successful for user: ${username}`);
-            logToFile(`Authentication successful for user: ${username}, Filter-Id: ${result.filterId || 'none'}`);
+            logger.info(`Authentication successful for user: ${username}`, {
+                event: 'auth.success',
+                username,
+                filterId: result.filterId || null,
+                server: result.server
+            });
+
+            // Check the Filter-Id against the policy for this SSID / portal (the first step refused a mismatch)
+            const policy = accessPolicies.resolve({ portal, ssid: ssid || NETWORK_SSID });
+            const decision = accessPolicies.evaluate(policy, result.filterId);
+            const filterPolicy = {
+                policy: policy.name,
+                required: policy.allowedFilterIds,
+                received: result.filterId || null,
+                matchedRule: decision.rule,
+                enforced: policy.requireFilterId
+            };
 
-            // Check if user has the allowed Filter-Id
-            const filterMatch = result.filterId === ALLOWED_FILTER_ID;
+            if (decision.allowed) {
+                if (!decision.matched) {
+                    console.log(`WARNING: Filter-Id mismatch (policy ${policy.name} expects ${filterPolicy.required.join(' | ')}, got ${result.filterId || 'none'}) but requireFilterId is off so allowing.`);
+                }
 
-            if (filterMatch || !AUTH_REQUIRE_FILTER_ID) {
-                if (!filterMatch) {
-                    console.log(`WARNING: Filter-Id mismatch (expected ${ALLOWED_FILTER_ID}, got ${result.filterId || 'none'}) but AUTH_REQUIRE_FILTER_ID=0 so allowing.`);
+                // Grant access on the portal controller first; without it the login is worth nothing
+                let granted;
+                try {
+                    granted = await grantAccess(context, result.sessionTimeout);
+                } catch (err) {
+                    logger.error(`Portal controller grant failed for ${username}: ${err.message}`, {
+                        event: 'auth.grantFailed',
+                        username,
+                        clientMac: client_mac,
+                        controller: portalController.name,
+                        error: err
+                    });
+                    recordAuthOutcome('grant_failed', context, result.server);
+                    return res.status(502).json({
+                        success: false,
+                        message: CONTROLLER_GRANT_FAILED_MESSAGE
+                    });
                 }
 
                 // Skip all side-effects (Meraki + SQS tracking) for the health-check test user
@@ -203,60 +1003,99 @@ app.post('/auth/radius', async (req, res) => {
                 if (isTestUser) {
                     console.log(`Test user detected (${username}) — skipping Meraki and client tracking`);
                 } else {
-                    // Rename device in Meraki dashboard
-                    if (MERAKI_DEVICE_RENAME_ENABLED && client_mac) {
-                        renameDeviceInMeraki(username, client_mac)
-                            .then(renameResult => {
-                                if (renameResult.success) {
-                                    console.log(`Device renamed successfully: ${renameResult.deviceName}`);
-                                } else {
-                                    console.log(`Device rename failed: ${renameResult.error}`);
-                                }
-                            })
-                            .catch(err => {
-                                console.error(`Device rename error: ${err.message}`);
-                            });
+                    // Meraki group policy for this user's Filter-Id / reply attributes, if any
+                    const groupPolicy = PORTAL_CONTROLLER === 'meraki' ? groupPolicies.resolve(result.attributes) : null;
+                    if (groupPolicy) {
+                        console.log(`Group policy for ${username}: ${groupPolicy.name} (${groupPolicy.attribute} = ${groupPolicy.value})`);
                     }
 
-                    // Publish auth event to SQS for DynamoDB client tracking (async, non-blocking)
+                    // Rename device (and apply its group policy) in Meraki dashboard
+                    const provisioning = provisionDevice(username, client_mac, groupPolicy);
+
+                    // Publish auth event to SQS for DynamoDB client tracking (async, non-blocking).
+                    // Waits for provisioning so the event records whether the group policy was applied.
                     if (client_mac) {
-                        publishClientEvent(username, client_mac, client_ip, NETWORK_SSID);
+                        gracefulShutdown.track(provisioning.then(renameResult => publishClientEvent(
+                            username, client_mac, client_ip, NETWORK_SSID, result.sessionTimeout,
+                            groupPolicy && { ...groupPolicy, applied: Boolean(renameResult && renameResult.success) }
+                        )), 'client.provision');
                     }
+
+                    // Accounting Start so RADIUS logs can tie the IP to the user (async, non-blocking).
+                    // Meraki accounts for sign-on logins itself.
+                    if (radiusAccounting && client_mac && context.splashMode !== 'sign-on') {
+                        gracefulShutdown.track(radiusAccounting.start({
+                            username,
+                            clientMac: client_mac,
+                            clientIp: client_ip,
+                            nodeMac: node_mac,
+                            ssid: ssid || NETWORK_SSID,
+                            classes: result.classes,
+                            serverName: result.server,
+                            sessionSeconds: result.sessionTimeout,
+                            interimIntervalSec: result.acctInterimInterval
+                        }).catch(err => {
+                            console.error(`Accounting start error: ${err.message}`);
+                        }), 'radius.accounting.start');
+                    }
+                }
+
+                if (result.sessionTimeout) {
+                    console.log(`Session-Timeout for ${username}: ${result.sessionTimeout}s`);
                 }
 
+                recordAuthOutcome('accepted', context, result.server);
+
                 return res.status(200).json({
                     success: true,
                     message: 'Authentication successful',
                     filterId: result.filterId,
+                    // Passed to Meraki as the grant `duration`; null = the splash page's own setting
+                    sessionTimeout: result.sessionTimeout,
+                    idleTimeout: result.idleTimeout,
+                    // For the page to follow; none when the controller has authorized the client already
+                    grantRedirect: granted.redirectUrl || undefined,
+                    // Sign-on splash: the page posts the credentials to Meraki's login_url, which logs in again
+                    signOn: granted.signOn,
                     validation: {
                         status: 'success',
-                        message: ACCESS_GRANTED_MESSAGE,
-                        filterPolicy: {
-                            required: ALLOWED_FILTER_ID,
-                            received: result.filterId || null,
-                            enforced: AUTH_REQUIRE_FILTER_ID
-                        }
+                        message: policy.grantedMessage,
+                        filterPolicy
                     }
                 });
             }
 
-            console.log(`User does not have required Filter-Id (${ALLOWED_FILTER_ID}) - Access denied`);
+            console.log(`User does not have a Filter-Id allowed by policy ${policy.name} (${filterPolicy.required.join(' | ')}) - Access denied`);
+            recordAuthOutcome('filter_denied', context, result.server);
             return res.status(403).json({
                 success: false,
-                message: ACCESS_DENIED_MESSAGE,
+                message: policy.deniedMessage,
                 filterId: result.filterId,
                 validation: {
                     status: 'error',
-                    message: `Access denied - ${ACCESS_DENIED_MESSAGE}`,
-                    filterPolicy: {
-                        required: ALLOWED_FILTER_ID,
-                        received: result.filterId || null,
-                        enforced: AUTH_REQUIRE_FILTER_ID
-                    }
+                    message: `Access denied - ${policy.deniedMessage}`,
+                    filterPolicy
                 }
             });
+        } else if (result.unavailable) {
+            // Circuit open and MAINTENANCE_AUTO_ENABLE set: fail open instead of refusing
+            const failOpenSource = maintenanceMode && context.splashMode !== 'sign-on' && maintenanceMode.activeSource();
+            if (failOpenSource) {
+                return await grantFailOpen(res, username, context, failOpenSource);
+            }
+
+            console.log(`RADIUS unavailable (circuit open) - refused login for user: ${username}`);
+            recordAuthOutcome('unavailable', context);
+            res.set('Retry-After', String(result.retryAfterSeconds));
+            return res.status(503).json({
+                success: false,
+                unavailable: true,
+                message: result.message,
+                retryAfterSeconds: result.retryAfterSeconds
+            });
         } else {
             console.log(`Authentication failed for user: ${username}`);
+            recordAuthOutcome(authFailureOutcome(result), context, result.server);
             return res.status(401).json({
                 success: false,
                 message: result.message || 'Authentication failed',
@@ -264,15 +1103,14 @@ app.post('/auth/radius', async (req, res) => {
             });
         }
     } catch (error) {
-        console.error('Authentication error:', error.message);
-        logToFile(`Authentication error: ${error.message}`);
+        logger.error(`Authentication error: ${error.message}`, { event: 'auth.error', error });
+        recordAuthOutcome('error', req.body);
         return res.status(500).json({
             success: false,
             message: 'Server error during authentication'
         });
     } finally {
         console.log('Authentication request completed');
-        console.log('=================================================');
     }
 });
 
@@ -284,9 +1122,47 @@ function buildDeviceName(email, macAddress) {
     return `${userPart}.${last4Mac}`;
 }
 
+// Renames the device (and applies its group policy) in Meraki when either is configured.
+// Resolves the rename result, or null when there was nothing to do; never rejects.
+function provisionDevice(username, clientMac, groupPolicy) {
+    if (!(MERAKI_DEVICE_RENAME_ENABLED || groupPolicy) || !clientMac || PORTAL_CONTROLLER !== 'meraki') {
+        return Promise.resolve(null);
+    }
+
+    const rename = tracer.withSpan('meraki.provision_client', {
+        kind: 'client',
+        attributes: {
+            'meraki.network_id': MERAKI_NETWORK_ID,
+            'meraki.group_policy_id': groupPolicy ? groupPolicy.groupPolicyId : undefined
+        }
+    }, async span => {
+        const renameResult = await renameDeviceInMeraki(username, clientMac, groupPolicy);
+        span.setAttributes({ 'meraki.success': renameResult.success });
+        if (!renameResult.success) span.setStatus('error', renameResult.error);
+        return renameResult;
+    });
+
+    return rename
+        .then(renameResult => {
+            if (renameResult.success) {
+                console.log(`Device renamed successfully: ${renameResult.deviceName}`);
+            } else {
+                console.log(`Device rename failed: ${renameResult.error}`);
+            }
+            merakiRenameTotal.inc({ result: renameResult.success ? 'success' : 'failure' });
+            return renameResult;
+        })
+        .catch(err => {
+            console.error(`Device rename error: ${err.message}`);
+            merakiRenameTotal.inc({ result: 'failure' });
+            return { success: false, error: err.message };
+        });
+}
+
 // Publishes a client auth event to SQS for async DynamoDB tracking.
 // Non-blocking — failures are logged but do not affect the auth response.
-async function publishClientEvent(username, clientMac, clientIp, ssid) {
+// failOpen ({ source, reason }) flags a maintenance-mode grant that RADIUS never checked.
+async function publishClientEvent(username, clientMac, clientIp, ssid, sessionSeconds, groupPolicy, failOpen = null) {
     if (!sqsClient || !SQS_QUEUE_URL) return;
 
     try {
@@ -296,6 +1172,66 @@ async function publishClientEvent(username, clientMac, clientIp, ssid) {
             macAddress: clientMac,
             clientIp:   clientIp || '',
             ssid:       ssid || '',
+            // RADIUS Session-Timeout; the Lambda falls back to 90 days when absent
+            sessionSeconds: sessionSeconds || undefined,
+            // Meraki group policy chosen from the RADIUS reply, and whether provisioning succeeded
+            groupPolicyId:      groupPolicy ? groupPolicy.groupPolicyId : undefined,
+            groupPolicyName:    groupPolicy ? groupPolicy.name : undefined,
+            groupPolicyApplied: groupPolicy ? groupPolicy.applied : undefined,
+            // Maintenance-mode grant without RADIUS, for auditing
+            failOpen:       failOpen ? true : undefined,
+            failOpenSource: failOpen ? failOpen.source : undefined,
+            failOpenReason: failOpen && failOpen.reason ? failOpen.reason : undefined,
+        };
+
+        // The request ID and trace context travel as message attributes, so the tracker Lambda
+        // can continue the login's trace and record which request last authorized the client
+        await tracer.withSpan('sqs.send_message', {
+            kind: 'producer',
+            attributes: {
+                'messaging.system': 'aws_sqs',
+                'messaging.destination.name': SQS_QUEUE_URL.split('/').pop()
+            }
+        }, async span => {
+            const result = await sqsClient.send(new SendMessageCommand({
+                QueueUrl:          SQS_QUEUE_URL,
+                MessageBody:       JSON.stringify(payload),
+                MessageAttributes: traceMessageAttributes(span),
+            }));
+            span.setAttributes({ 'messaging.message.id': result && result.MessageId });
+        });
+
+        console.log(`Client event queued for tracking: ${clientMac} (${username})`);
+        sqsPublishTotal.inc({ type: 'auth', result: 'success' });
+    } catch (err) {
+        // Log and continue — client tracking must not block or fail authentication
+        console.error(`Failed to queue client event for ${clientMac}: ${err.message}`);
+        sqsPublishTotal.inc({ type: 'auth', result: 'failure' });
+    }
+}
+
+// SQS message attributes carrying the span's trace context and correlation (request) ID
+function traceMessageAttributes(span) {
+    const attributes = {
+        traceparent: { DataType: 'String', StringValue: tracer.traceparent(span) }
+    };
+    if (span.correlationId) {
+        attributes.RequestId = { DataType: 'String', StringValue: span.correlationId };
+    }
+    return attributes;
+}
+
+// Publishes a revocation to SQS so the tracker Lambda marks the DynamoDB record as revoked.
+// Non-blocking — failures are logged only.
+async function publishRevokeEvent(clientMac, reason) {
+    if (!sqsClient || !SQS_QUEUE_URL) return;
+
+    try {
+        const payload = {
+            type:      'revoke',
+            clientId:  clientMac,
+            reason:    reason,
+            revokedAt: new Date().toISOString(),
         };
 
         await sqsClient.send(new SendMessageCommand({
@@ -303,15 +1239,17 @@ async function publishClientEvent(username, clientMac, clientIp, ssid) {
             MessageBody: JSON.stringify(payload),
         }));
 
-        console.log(`Client event queued for tracking: ${clientMac} (${username})`);
+        console.log(`Revocation queued for tracking: ${clientMac}`);
+        sqsPublishTotal.inc({ type: 'revoke', result: 'success' });
     } catch (err) {
-        // Log and continue — client tracking must not block or fail authentication
-        console.error(`Failed to queue client event for ${clientMac}: ${err.message}`);
+        console.error(`Failed to queue revocation for ${clientMac}: ${err.message}`);
+        sqsPublishTotal.inc({ type: 'revoke', result: 'failure' });
     }
 }
 
-// Meraki API function to rename device
-async function renameDeviceInMeraki(email, macAddress) {
+// Meraki API function to rename device. With a group policy, the client is also
+// provisioned with that policy instead of 'Normal'.
+async function renameDeviceInMeraki(email, macAddress, groupPolicy = null) {
     try {
         // Validate required configuration
         if (!MERAKI_API_KEY || !MERAKI_NETWORK_ID) {
@@ -336,6 +1274,11 @@ async function renameDeviceInMeraki(email, macAddress) {
             ],
             devicePolicy: 'Normal'
         };
+        if (groupPolicy) {
+            payload.devicePolicy = 'Group policy';
+            payload.groupPolicyId = groupPolicy.groupPolicyId;
+            console.log(`Applying Meraki group policy ${groupPolicy.name} (${groupPolicy.groupPolicyId}) to ${macAddress}`);
+        }
         
         // Make API call using https module
         return new Promise((resolve, reject) => {
@@ -398,188 +1341,1038 @@ async function renameDeviceInMeraki(email, macAddress) {
     }
 }
 
-// RADIUS authentication function
-function authenticateWithRadius(username, password, context = {}) {
+// Sends one Meraki Dashboard API request. Resolves { statusCode, body }; rejects on network errors.
+function merakiApiRequest(method, apiPath, payload) {
     return new Promise((resolve, reject) => {
-        // Create UDP client
-        const client = dgram.createSocket('udp4');
-        let timeoutId = null;
-        let clientClosed = false;
-
-        // Handle socket errors
-        client.on('error', (err) => {
-            console.error('Socket error:', err);
-            if (!clientClosed) {
-                clearTimeoutSafely();
-                closeSafely();
-                reject(new Error(`Network error: ${err.message}`));
+        const postData = JSON.stringify(payload);
+
+        const req = https.request({
+            hostname: 'api.meraki.com',
+            port: 443,
+            path: `/api/v1${apiPath}`,
+            method,
+            headers: {
+                'Authorization': `Bearer ${MERAKI_API_KEY}`,
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'Content-Length': Buffer.byteLength(postData)
             }
+        }, (res) => {
+            let data = '';
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => resolve({ statusCode: res.statusCode, body: data }));
         });
 
-        // Handle RADIUS responses
-        client.on('message', (message, rinfo) => {
-            if (clientClosed) return;
+        req.on('error', reject);
+        req.write(postData);
+        req.end();
+    });
+}
 
-            clearTimeoutSafely();
-            console.log(`Received RADIUS response from ${rinfo.address}:${rinfo.port}`);
+// Revokes a client's splash authorization on its SSID, or on every SSID in
+// MERAKI_SSID_MAP when the SSID is not known
+async function revokeSplashAuthorization(macAddress, ssidName) {
+    if (!MERAKI_API_KEY || !MERAKI_NETWORK_ID) {
+        return { success: false, error: 'Meraki API credentials not configured' };
+    }
 
-            try {
-                // Decode the response
-                const response = radius.decode({
-                    packet: message,
-                    secret: RADIUS_SECRET
-                });
+    const ssidNumbers = ssidName && settings.MERAKI_SSID_MAP[ssidName] !== undefined
+        ? [settings.MERAKI_SSID_MAP[ssidName]]
+        : Object.values(settings.MERAKI_SSID_MAP);
+    if (ssidNumbers.length === 0) {
+        return { success: false, error: 'MERAKI_SSID_MAP is not configured' };
+    }
 
-                console.log('Decoded response code:', response.code);
+    const payload = {
+        ssids: Object.fromEntries(ssidNumbers.map(number => [String(number), { isAuthorized: false }]))
+    };
 
-                // Log only in debug mode to save on CloudWatch costs
-                if (RADIUS_DEBUG && response.attributes) {
-                    console.log('RADIUS Attributes:', JSON.stringify(response.attributes, null, 2));
-                }
+    try {
+        const res = await merakiApiRequest(
+            'PUT',
+            `/networks/${MERAKI_NETWORK_ID}/clients/${encodeURIComponent(macAddress)}/splashAuthorizationStatus`,
+            payload
+        );
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+            return { success: true, ssids: ssidNumbers };
+        }
+        return { success: false, error: `API returned status ${res.statusCode}: ${res.body}` };
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+}
 
-                closeSafely();
+// ===== PORTAL CONTROLLER =====
 
-                // Check response code
-                if (response.code === 'Access-Accept') {
-                    // Extract Filter-Id if present
-                    const filterId = response.attributes && response.attributes['Filter-Id']
-                        ? response.attributes['Filter-Id']
-                        : null;
-                    resolve({ success: true, filterId: filterId });
-                } else {
-                    console.log('Authentication failed. Response code:', response.code);
-                    const replyMessage = response.attributes && response.attributes['Reply-Message']
-                        ? response.attributes['Reply-Message']
-                        : undefined;
-                    resolve({
-                        success: false,
-                        message: replyMessage || `Authentication failed. Please check your credentials.`,
-                        radius: {
-                            code: response.code,
-                            replyMessage
-                        }
-                    });
-                }
-            } catch (err) {
-                console.error('Failed to decode RADIUS response:', err);
-                closeSafely();
-                reject(new Error(`Failed to process authentication response: ${err.message}`));
-            }
+function buildPortalController() {
+    if (PORTAL_CONTROLLER === 'unifi') {
+        const api = simulatorCredentials
+            ? { url: `http://127.0.0.1:${CONTROLLER_SIMULATOR_PORT}`, ...simulatorCredentials.unifi }
+            : { url: UNIFI_CONTROLLER_URL, username: UNIFI_USERNAME, password: UNIFI_PASSWORD, site: UNIFI_SITE };
+        return createUniFiController({
+            splashGrants,
+            api: {
+                ...api,
+                unifiOs: UNIFI_OS,
+                ca: UNIFI_CA_FILE ? fs.readFileSync(UNIFI_CA_FILE) : null
+            },
+            guestMinutes: UNIFI_GUEST_MINUTES
+        });
+    }
+    if (PORTAL_CONTROLLER === 'opennds') {
+        return createOpenNdsController({
+            splashGrants,
+            fasKey: simulatorCredentials ? simulatorCredentials.opennds.fasKey : OPENNDS_FAS_KEY,
+            gateways: simulatorCredentials
+                ? [...OPENNDS_GATEWAYS, `127.0.0.1:${CONTROLLER_SIMULATOR_PORT}`]
+                : OPENNDS_GATEWAYS
         });
+    }
+    return createMerakiController({ splashGrants });
+}
 
-        // Create RADIUS request
-        try {                // Create the packet
-            const packet = {
-                code: 'Access-Request',
-                identifier: Math.floor(Math.random() * 256),
-                attributes: [
-                    ['User-Name', username],
-                    ['User-Password', password], // PAP
-                    ['Service-Type', 'Framed-User'],
-                    ['NAS-Port', 0]
-                ]
-            };
+// Grants access through the portal controller after a login: a signed /splash/grant link or
+// the sign-on form post (Meraki), an authorize-guest call (UniFi), or the FAS token redirect
+// (openNDS). Resolves { redirectUrl } or { signOn } for the page; rejects when the controller
+// refused or could not be reached.
+function grantAccess(context, durationSeconds) {
+    return tracer.withSpan('portal.grant', {
+        kind: 'client',
+        attributes: { 'portal.controller': portalController.name }
+    }, async span => {
+        try {
+            const granted = await portalController.grant(context.grant, { clientMac: context.clientMac, durationSeconds });
+            controllerGrantsTotal.inc({ controller: portalController.name, result: 'success' });
+            return granted;
+        } catch (err) {
+            span.setStatus('error', err.message);
+            controllerGrantsTotal.inc({ controller: portalController.name, result: 'failure' });
+            throw err;
+        }
+    });
+}
 
-            // Determine NAS-IP-Address
-            const nasIp = NAS_IP_ADDRESS || detectServerIP();
-            if (nasIp) packet.attributes.push(['NAS-IP-Address', nasIp]);
-            if (NAS_IDENTIFIER) packet.attributes.push(['NAS-Identifier', NAS_IDENTIFIER]);
+// Ends a client's authorization on the portal controller, for a Disconnect-Request
+async function revokeClientAuthorization(clientMac, ssid) {
+    if (PORTAL_CONTROLLER === 'meraki') return revokeSplashAuthorization(clientMac, ssid);
+    // openNDS has no remote API for it
+    if (!portalController.revoke) return { success: false, error: `${PORTAL_CONTROLLER} cannot revoke clients remotely` };
 
-            // Add contextual attributes if provided
-            if (context.clientMac) {
-                packet.attributes.push(['Calling-Station-Id', context.clientMac]);
-            }
-            if (context.nodeMac || context.ssid) {
-                // Called-Station-Id format often AP_MAC:SSID (AP MAC no separators) or AP_MAC:SSID
-                let called = context.nodeMac || '';
-                if (called && called.includes(':')) called = called.toUpperCase().replace(/:/g, '-');
-                if (context.ssid) {
-                    called = called ? `${called}:${context.ssid}` : context.ssid;
-                }
-                if (called) packet.attributes.push(['Called-Station-Id', called]);
-            }
+    try {
+        await portalController.revoke(clientMac);
+        return { success: true, ssids: [ssid || 'all'] };
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+}
+
+// ===== CONFIGURATION RELOAD =====
+
+// Settings the RADIUS server pool is built from
+const RADIUS_POOL_SETTINGS = [
+    'RADIUS_SERVERS', 'RADIUS_HOST', 'RADIUS_PORT', 'RADIUS_ACCT_PORT', 'RADSEC_PORT', 'RADIUS_TRANSPORT',
+    'RADIUS_AUTH_METHOD', 'RADIUS_REQUIRE_MESSAGE_AUTHENTICATOR', 'RADIUS_LB_STRATEGY',
+    'RADIUS_DEAD_AFTER_FAILURES', 'RADIUS_DEAD_TIME_MS'
+];
+const ACCESS_POLICY_SETTINGS = [
+    'ACCESS_POLICIES', 'ALLOWED_FILTER_ID', 'AUTH_REQUIRE_FILTER_ID', 'SPLASH_MODE', 'ACCESS_GRANTED_MESSAGE',
+    'ACCESS_DENIED_MESSAGE'
+];
+
+function buildRadiusPool(config) {
+    return createRadiusServerPool({
+        servers: radiusSimulator
+            ? [{ host: '127.0.0.1', name: 'simulator', transport: 'udp' }]
+            : config.RADIUS_SERVERS.length > 0
+                ? config.RADIUS_SERVERS
+                : [{ host: config.RADIUS_HOST }], // port and secret come from the defaults below
+        strategy: config.RADIUS_LB_STRATEGY,
+        deadAfterFailures: config.RADIUS_DEAD_AFTER_FAILURES,
+        deadTimeMs: config.RADIUS_DEAD_TIME_MS,
+        defaults: {
+            port: config.RADIUS_PORT,
+            acctPort: config.RADIUS_ACCT_PORT,
+            radsecPort: config.RADSEC_PORT,
+            transport: config.RADIUS_TRANSPORT,
+            secret: RADIUS_SECRET,
+            authMethod: config.RADIUS_AUTH_METHOD,
+            requireMessageAuthenticator: config.RADIUS_REQUIRE_MESSAGE_AUTHENTICATOR
+        }
+    });
+}
+
+// Per-server wait before failing over. Defaults to an even share of RADIUS_TIMEOUT_MS
+// so trying every server in the pool still fits inside the overall timeout.
+function serverTimeoutFor(pool, config) {
+    return config.RADIUS_SERVER_TIMEOUT_MS || Math.floor(RADIUS_TIMEOUT_MS / pool.servers.length);
+}
+
+function buildHealthMonitor(pool) {
+    if (RADIUS_PROBE_INTERVAL_MS <= 0) return null;
+    return createRadiusHealthMonitor({
+        servers: pool.servers,
+        probes: {
+            statusServer: probeStatusServer,
+            accessRequest: TEST_USER && TEST_USER_PASSWORD ? probeAccessRequest : null
+        },
+        intervalMs: RADIUS_PROBE_INTERVAL_MS,
+        timeoutMs: RADIUS_PROBE_TIMEOUT_MS,
+        window: RADIUS_PROBE_WINDOW,
+        unhealthyAfter: RADIUS_PROBE_UNHEALTHY_AFTER
+    });
+}
+
+function buildAccessPolicies(config) {
+    return createAccessPolicyTable({
+        policies: config.ACCESS_POLICIES,
+        defaults: {
+            allowedFilterIds: config.ALLOWED_FILTER_ID,
+            requireFilterId: config.AUTH_REQUIRE_FILTER_ID,
+            splashMode: config.SPLASH_MODE,
+            grantedMessage: config.ACCESS_GRANTED_MESSAGE,
+            deniedMessage: config.ACCESS_DENIED_MESSAGE
+        }
+    });
+}
+
+function buildGroupPolicies(config) {
+    return createGroupPolicyMap({ mappings: config.MERAKI_GROUP_POLICIES });
+}
+
+// Builds everything the changed settings feed before switching any of it over, so a change
+// that fails here leaves the running configuration untouched. Logins already in progress
+// finish with the servers and policies they started with.
+function applyReloadedConfig(next, changed) {
+    const touches = names => names.some(name => changed.includes(name));
+    const build = (label, fn) => {
+        try {
+            return fn();
+        } catch (err) {
+            throw new Error(`Invalid ${label}: ${err.message}`);
+        }
+    };
+
+    let pool = null;
+    if (touches(RADIUS_POOL_SETTINGS)) {
+        if (radiusSimulator) {
+            throw new Error('RADIUS servers cannot be reloaded while the simulator replaces them');
+        }
+        pool = build('RADIUS server configuration', () => buildRadiusPool(next));
+        if (!radsecClient && pool.servers.some(s => s.transport === 'radsec')) {
+            throw new Error('RadSec servers need a restart, which loads the RadSec client certificate');
+        }
+    }
+    const policies = touches(ACCESS_POLICY_SETTINGS) ? build('ACCESS_POLICIES', () => buildAccessPolicies(next)) : null;
+    const mappings = touches(['MERAKI_GROUP_POLICIES']) ? build('MERAKI_GROUP_POLICIES', () => buildGroupPolicies(next)) : null;
+
+    settings = next;
+    if (pool) {
+        radiusPool = pool;
+        if (radiusHealth) radiusHealth.stop();
+        radiusHealth = buildHealthMonitor(pool);
+        if (radiusHealth) radiusHealth.start();
+        console.log(`RADIUS pool: ${pool.servers.map(s => s.name).join(', ')} (strategy: ${pool.strategy})`);
+    }
+    radiusServerTimeoutMs = serverTimeoutFor(radiusPool, settings);
+    if (policies) accessPolicies = policies;
+    if (mappings) groupPolicies = mappings;
+}
+
+// Re-reads CONFIG_FILE and the environment (on SIGHUP or a file change). An invalid
+// configuration is logged and the running one kept.
+function reloadConfig(trigger) {
+    const result = configManager.reload(applyReloadedConfig);
+    configReloadsTotal.inc({ result: result.ok ? 'success' : 'failure' });
+
+    if (!result.ok) {
+        logger.error(`Configuration reload failed, keeping the running configuration: ${result.error}`, {
+            event: 'config.reloadFailed',
+            trigger
+        });
+        return;
+    }
+
+    logger.info(result.changed.length > 0
+        ? `Configuration reloaded: ${result.changed.join(', ')}`
+        : 'Configuration reloaded: nothing to apply', {
+        event: 'config.reload',
+        trigger,
+        changed: result.changed
+    });
+    if (result.restartRequired.length > 0) {
+        console.warn(`WARNING: restart the server to apply the changes to ${result.restartRequired.join(', ')}`);
+    }
+}
+
+// ===== METRICS =====
+
+// SSID / portal label values for login metrics. The page can send anything, so only names
+// the access policies (or NETWORK_SSID) know are used as they are; others become "other".
+function authMetricLabels({ ssid, portal } = {}) {
+    const policies = accessPolicies.getSummary();
+    const wantedSsid = String(ssid || NETWORK_SSID).toLowerCase();
+    const wantedPortal = String(portal || '').toLowerCase();
+
+    const knownSsid = wantedSsid === NETWORK_SSID.toLowerCase() || policies.some(p => p.ssids.includes(wantedSsid));
+    const knownPortal = policies.some(p => p.portals.includes(wantedPortal));
+    return {
+        ssid: !wantedSsid || knownSsid ? wantedSsid : 'other',
+        portal: !wantedPortal || knownPortal ? wantedPortal : 'other'
+    };
+}
+
+// A failed login is "rejected" only when RADIUS said so; timeouts and replies that failed
+// verification are counted apart
+function authFailureOutcome(result) {
+    if (result.timedOut) return 'timeout';
+    if (result.radius && result.radius.code === 'Access-Reject') return 'rejected';
+    return 'error';
+}
+
+// Counts the outcome of one /auth/radius request in splash_auth_attempts_total, and adds it
+// to the request's span
+function recordAuthOutcome(outcome, context, server = '') {
+    authAttemptsTotal.inc({ outcome, server, ...authMetricLabels(context) });
+
+    const span = tracer.activeSpan();
+    if (span) {
+        span.setAttributes({ 'splash.auth.outcome': outcome, 'radius.server': server || undefined });
+    }
+}
+
+// ===== TRACING =====
+
+// Route middleware: runs the rest of the request in a server span, continuing the trace of an
+// incoming traceparent header. The request ID becomes the correlation ID of every span in
+// it, and log entries written meanwhile carry the trace ID.
+function traceRequest(req, res, next) {
+    const span = tracer.startSpan(`${req.method} ${req.route.path}`, {
+        kind: 'server',
+        parent: parseTraceparent(req.get('traceparent')),
+        correlationId: req.id,
+        attributes: {
+            'http.request.method': req.method,
+            'http.route': req.route.path,
+            'client.address': req.ip
+        }
+    });
+
+    res.on('finish', () => {
+        span.setAttributes({ 'http.response.status_code': res.statusCode });
+        if (res.statusCode >= 500) span.setStatus('error', `HTTP ${res.statusCode}`);
+        span.end();
+    });
+
+    logger.runWithContext({ traceId: span.traceId }, () => tracer.runWithSpan(span, () => next()));
+}
+
+// ===== RATE LIMITING =====
+
+// Counts a login attempt against the rate limits. Sends 429 and resolves true when it is
+// refused; otherwise waits out any progressive delay and resolves false.
+async function rateLimited(req, res, username, clientMac) {
+    if (!rateLimiter) return false;
+
+    const decision = await rateLimiter.check({ username, mac: clientMac, ip: req.ip });
+    if (!decision.allowed) {
+        logger.warn(`Login refused by rate limit (${decision.reason}, ${decision.dimension})`, {
+            event: 'auth.rateLimited',
+            username,
+            clientMac,
+            ip: req.ip,
+            reason: decision.reason,
+            dimension: decision.dimension,
+            retryAfterSeconds: decision.retryAfterSeconds
+        });
+        res.set('Retry-After', String(decision.retryAfterSeconds));
+        res.status(429).json({
+            success: false,
+            rateLimited: true,
+            message: settings.RATE_LIMIT_MESSAGE,
+            retryAfterSeconds: decision.retryAfterSeconds
+        });
+        return true;
+    }
+
+    if (decision.delayMs > 0) {
+        console.log(`Delaying login for ${username} by ${decision.delayMs}ms after earlier rejected logins`);
+        await new Promise(resolve => setTimeout(resolve, decision.delayMs));
+    }
+    return false;
+}
+
+// ===== MAINTENANCE MODE (fail-open) =====
+
+// Whether the request's Authorization header is "Bearer <token>"
+function bearerTokenMatches(req, token) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    // Compare digests so the comparison takes the same time whatever the token length
+    const presented = crypto.createHash('sha256').update(match ? match[1] : '').digest();
+    const expected = crypto.createHash('sha256').update(token).digest();
+    return Boolean(match) && crypto.timingSafeEqual(presented, expected);
+}
+
+// Guards the /api/admin endpoints with ADMIN_API_TOKEN as a Bearer token.
+// They do not exist (404) while no token is configured.
+function requireAdminToken(req, res, next) {
+    if (!ADMIN_API_TOKEN) {
+        return res.status(404).json({ success: false, message: 'Not found' });
+    }
+
+    if (!bearerTokenMatches(req, ADMIN_API_TOKEN)) {
+        console.warn(`Rejected admin request ${req.method} ${req.path} from ${req.ip}`);
+        return res.status(401).json({ success: false, message: 'Unauthorized' });
+    }
+
+    next();
+}
+
+// Answers a login while maintenance mode is active, without asking RADIUS. Only usernames in
+// MAINTENANCE_ALLOWED_DOMAINS get in, with the maintenance group policy and a short session.
+// When a group policy is configured it must be applied before the page gets the grant link,
+// otherwise the grant would be unrestricted.
+async function grantFailOpen(res, username, context, source) {
+    const { clientMac, clientIp } = context;
+    const { allowed, domain } = maintenanceMode.checkUsername(username);
+
+    if (!allowed) {
+        console.log(`Maintenance mode (${source}) - refused login for user: ${username} (domain ${domain || 'none'} not allowed)`);
+        if (source === 'circuit-breaker') {
+            res.set('Retry-After', String(radiusBreaker.getRetryAfterSeconds()));
+        }
+        recordAuthOutcome('unavailable', context);
+        return res.status(503).json({
+            success: false,
+            unavailable: true,
+            maintenance: true,
+            message: settings.MAINTENANCE_DENIED_MESSAGE || settings.RADIUS_UNAVAILABLE_MESSAGE
+        });
+    }
+
+    const status = maintenanceMode.getStatus();
+    const failOpen = {
+        source,
+        reason: source === 'manual'
+            ? status.manual && status.manual.reason
+            : radiusBreaker.getStatus().lastError
+    };
+
+    // Grant first: a refused grant must not be renamed or recorded as a fail-open login
+    let granted;
+    try {
+        granted = await grantAccess(context, maintenanceMode.durationSeconds);
+    } catch (err) {
+        logger.error(`Portal controller grant failed for ${username}: ${err.message}`, {
+            event: 'auth.grantFailed',
+            username,
+            clientMac,
+            controller: portalController.name,
+            error: err
+        });
+        recordAuthOutcome('grant_failed', context);
+        return res.status(502).json({
+            success: false,
+            message: CONTROLLER_GRANT_FAILED_MESSAGE
+        });
+    }
+
+    const isTestUser = TEST_USER && username.toLowerCase() === TEST_USER.toLowerCase();
+    if (!isTestUser) {
+        const groupPolicy = PORTAL_CONTROLLER === 'meraki' ? maintenanceMode.groupPolicy : null;
+        const renameResult = await provisionDevice(username, clientMac, groupPolicy);
+
+        if (groupPolicy && !(renameResult && renameResult.success)) {
+            console.error(`Fail-open login refused for ${username}: maintenance group policy could not be applied`);
+            recordAuthOutcome('unavailable', context);
+            return res.status(503).json({
+                success: false,
+                unavailable: true,
+                maintenance: true,
+                message: settings.MAINTENANCE_DENIED_MESSAGE || settings.RADIUS_UNAVAILABLE_MESSAGE
+            });
+        }
+
+        if (clientMac) {
+            gracefulShutdown.track(publishClientEvent(
+                username, clientMac, clientIp, NETWORK_SSID, maintenanceMode.durationSeconds,
+                groupPolicy && { ...groupPolicy, applied: true },
+                failOpen
+            ), 'sqs.publish');
+        }
+    }
+
+    logger.warn(`FAIL-OPEN login for user: ${username} (${source}) - password NOT verified by RADIUS`, {
+        event: 'auth.failOpen',
+        username,
+        clientMac,
+        source,
+        reason: failOpen.reason
+    });
+    recordAuthOutcome('fail_open', context);
+
+    return res.status(200).json({
+        success: true,
+        message: 'Authentication successful',
+        maintenance: true,
+        filterId: null,
+        // Passed to Meraki as the grant `duration`
+        sessionTimeout: maintenanceMode.durationSeconds,
+        idleTimeout: null,
+        grantRedirect: granted.redirectUrl || undefined,
+        validation: {
+            status: 'success',
+            message: settings.MAINTENANCE_GRANTED_MESSAGE,
+            failOpen: source
+        }
+    });
+}
+
+// ===== DYNAMIC AUTHORIZATION (Disconnect / CoA) =====
+
+// Attributes that only identify the session — anything else in a CoA-Request is a change
+const DYNAUTH_IDENTIFICATION_ATTRIBUTES = new Set([
+    'User-Name', 'Calling-Station-Id', 'Acct-Session-Id', 'NAS-IP-Address', 'NAS-Identifier',
+    'Called-Station-Id', 'Event-Timestamp', 'Message-Authenticator', 'Proxy-State'
+]);
+
+// Finds the splash clients a Disconnect / CoA refers to, by Calling-Station-Id,
+// Acct-Session-Id or User-Name. Returns null when the request identifies nothing.
+// Lookups other than by MAC need RADIUS_ACCOUNTING_ENABLED, which tracks open sessions.
+function findDynamicAuthTargets(attributes) {
+    const callingStationId = attributes['Calling-Station-Id'];
+    const sessionId = attributes['Acct-Session-Id'];
+    const username = attributes['User-Name'];
+
+    if (callingStationId) {
+        const clientMac = normalizeMac(callingStationId);
+        if (!clientMac) return [];
+
+        const session = radiusAccounting ? radiusAccounting.find({ clientMac }) : null;
+        return [{ clientMac, ssid: session ? session.ssid : null, username: session ? session.username : username }];
+    }
+
+    if (sessionId || username) {
+        if (!radiusAccounting) return [];
+        return radiusAccounting.findAll({ sessionId, username })
+            .map(session => ({ clientMac: session.clientMac, ssid: session.ssid, username: session.username }));
+    }
+
+    return null;
+}
+
+// Disconnect-Request: revoke the splash authorization, mark the client revoked and stop accounting
+async function handleDisconnectRequest({ attributes, client }) {
+    const targets = findDynamicAuthTargets(attributes);
+    if (targets === null) return { ack: false, errorCause: 'Missing-Attribute' };
+    if (targets.length === 0) return { ack: false, errorCause: 'Session-Context-Not-Found' };
+
+    let removed = true;
+    for (const target of targets) {
+        const result = await revokeClientAuthorization(target.clientMac, target.ssid);
+        if (!result.success) {
+            console.error(`Failed to revoke splash authorization for ${target.clientMac}: ${result.error}`);
+            removed = false;
+            continue;
+        }
+
+        console.log(`Splash authorization revoked for ${target.clientMac} (${target.username || 'unknown user'}) on SSID ${result.ssids.join(', ')}`);
+        gracefulShutdown.track(publishRevokeEvent(target.clientMac, `Disconnect-Request from ${client}`), 'sqs.publish');
+
+        if (radiusAccounting) {
+            gracefulShutdown.track(radiusAccounting.stop(target.clientMac, 'Admin-Reset').catch(err => {
+                console.error(`Accounting stop error: ${err.message}`);
+            }), 'radius.accounting.stop');
+        }
+    }
+
+    return removed ? { ack: true } : { ack: false, errorCause: 'Session-Context-Not-Removable' };
+}
 
-            if (RADIUS_DEBUG) {
-                console.log('Outgoing RADIUS attributes:', JSON.stringify(packet.attributes, null, 2));
+// CoA-Request: a new Filter-Id moves the client to the mapped Meraki group policy
+async function handleCoaRequest({ attributes }) {
+    // Group policies live in the Meraki dashboard
+    if (PORTAL_CONTROLLER !== 'meraki') return { ack: false, errorCause: 'Unsupported-Service' };
+
+    const changes = Object.keys(attributes).filter(name => !DYNAUTH_IDENTIFICATION_ATTRIBUTES.has(name));
+    if (changes.some(name => name !== 'Filter-Id')) return { ack: false, errorCause: 'Unsupported-Attribute' };
+    if (changes.length === 0) return { ack: false, errorCause: 'Missing-Attribute' };
+
+    const groupPolicy = groupPolicies.resolve(attributes);
+    if (!groupPolicy) return { ack: false, errorCause: 'Unsupported-Service' };
+
+    const targets = findDynamicAuthTargets(attributes);
+    if (targets === null) return { ack: false, errorCause: 'Missing-Attribute' };
+    if (targets.length === 0) return { ack: false, errorCause: 'Session-Context-Not-Found' };
+
+    for (const target of targets) {
+        // The device name is rebuilt from the user name, so it has to be known
+        if (!target.username) return { ack: false, errorCause: 'Session-Context-Not-Found' };
+
+        const result = await renameDeviceInMeraki(target.username, target.clientMac, groupPolicy);
+        if (!result.success) {
+            console.error(`Failed to apply group policy to ${target.clientMac}: ${result.error}`);
+            return { ack: false, errorCause: 'Resources-Unavailable' };
+        }
+    }
+
+    return { ack: true };
+}
+
+// RADIUS authentication function
+// Goes through the circuit breaker: while it is open the login is refused at once with
+// RADIUS_UNAVAILABLE_MESSAGE. A login that no server answers counts as a failure.
+async function authenticateWithRadius(username, password, context = {}) {
+    if (!radiusBreaker) return authenticateWithServerPool(username, password, context);
+
+    if (!radiusBreaker.allowRequest()) {
+        return {
+            success: false,
+            unavailable: true,
+            message: settings.RADIUS_UNAVAILABLE_MESSAGE,
+            retryAfterSeconds: radiusBreaker.getRetryAfterSeconds()
+        };
+    }
+
+    let result;
+    try {
+        result = await authenticateWithServerPool(username, password, context);
+    } catch (err) {
+        radiusBreaker.recordFailure(err.message);
+        throw err;
+    }
+
+    if (result.timedOut) {
+        radiusBreaker.recordFailure('no RADIUS server answered');
+    } else {
+        radiusBreaker.recordSuccess();
+    }
+    return result;
+}
+
+// Walks the server pool: a timeout or network error on one server fails over to the next
+// until a server answers or RADIUS_TIMEOUT_MS is used up.
+async function authenticateWithServerPool(username, password, context) {
+    const deadline = Date.now() + RADIUS_TIMEOUT_MS;
+    let lastError = null;
+
+    for (const server of radiusPool.getCandidates()) {
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) break;
+
+        const started = Date.now();
+        try {
+            const result = await sendAccessRequest(
+                server,
+                username,
+                password,
+                context,
+                Math.min(radiusServerTimeoutMs, remaining)
+            );
+
+            if (result.timedOut) {
+                radiusPool.markFailure(server, 'timeout');
+                console.log(`RADIUS server ${server.name} timed out, trying next server`);
+                continue;
             }
 
-            // Encode the packet with shared secret
-            const encoded = radius.encode({
-                ...packet,
-                secret: RADIUS_SECRET
+            radiusPool.markSuccess(server, Date.now() - started);
+            return { ...result, server: server.name };
+        } catch (err) {
+            radiusPool.markFailure(server, err.message);
+            console.error(`RADIUS server ${server.name} failed: ${err.message}`);
+            lastError = err;
+        }
+    }
+
+    // Every server failed — surface a hard error as before, otherwise report the timeout
+    if (lastError) throw lastError;
+    return { success: false, timedOut: true, message: 'Authentication server timed out' };
+}
+
+// Sends the user's answer to an Access-Challenge. The State is only valid on the server
+// that issued it, so there is no failover here.
+async function answerRadiusChallenge(challenge, answer) {
+    const server = radiusPool.servers.find(s => s.name === challenge.serverName);
+    if (!server) {
+        return { success: false, message: 'Your sign-in attempt has expired. Please sign in again.' };
+    }
+
+    const started = Date.now();
+    try {
+        const result = await sendAccessRequest(
+            server,
+            challenge.username,
+            answer,
+            challenge.context,
+            RADIUS_TIMEOUT_MS,
+            challenge.state
+        );
+
+        if (result.timedOut) {
+            radiusPool.markFailure(server, 'timeout');
+            return result;
+        }
+
+        radiusPool.markSuccess(server, Date.now() - started);
+        return { ...result, server: server.name };
+    } catch (err) {
+        radiusPool.markFailure(server, err.message);
+        throw err;
+    }
+}
+
+const RADIUS_STATE_TYPE = 24;
+
+// Sends a single Access-Request to one RADIUS server and waits up to timeoutMs for the reply.
+// `state` is the State of the Access-Challenge being answered, if any.
+async function sendAccessRequest(server, username, password, context, timeoutMs, state = null) {
+    let credentials;
+    let packet;
+
+    // Create RADIUS request
+    try {
+        credentials = buildCredentials(server.authMethod, username, password);
+
+        packet = {
+            code: 'Access-Request',
+            attributes: [
+                ['User-Name', username],
+                ...credentials.attributes, // PAP, CHAP or MS-CHAPv2
+                ['Service-Type', 'Framed-User'],
+                ['NAS-Port', 0],
+                ...buildNasAttributes(context),
+                ...(state ? [['State', state]] : [])
+            ]
+        };
+    } catch (err) {
+        console.error('Failed to create RADIUS request:', err);
+        throw new Error(`Failed to create authentication request: ${err.message}`);
+    }
+
+    if (RADIUS_DEBUG) {
+        // Passed as an object so the logger can redact User-Password / CHAP values
+        console.log('Outgoing RADIUS attributes:', packet.attributes);
+    }
+
+    const endTimer = radiusRequestDuration.startTimer({ server: server.name });
+    const reply = await tracer.withSpan('radius.access_request', {
+        kind: 'client',
+        attributes: {
+            'radius.server': server.name,
+            'radius.auth_method': server.authMethod,
+            'server.address': server.host,
+            'server.port': server.port
+        }
+    }, async span => {
+        let sent;
+        try {
+            sent = await sendRadiusPacket(server, packet, {
+                port: server.port,
+                timeoutMs,
+                messageAuthenticator: true,
+                requireMessageAuthenticator: server.requireMessageAuthenticator
             });
+        } catch (err) {
+            endTimer({ code: 'error' });
+            throw err;
+        }
 
-            // Send the packet to RADIUS server
-            client.send(encoded, 0, encoded.length, RADIUS_PORT, RADIUS_HOST, (err) => {
-                if (err) {
-                    console.error('Failed to send request:', err);
-                    clearTimeoutSafely();
-                    closeSafely();
-                    reject(new Error(`Failed to send authentication request: ${err.message}`));
-                } else {
-                    try {
-                        const address = client.address();
-                        console.log(`RADIUS request sent from ${address.address}:${address.port} to ${RADIUS_HOST}:${RADIUS_PORT}`);
-                    } catch (err) {
-                        console.log(`RADIUS request sent to ${RADIUS_HOST}:${RADIUS_PORT}`);
-                    }
+        const code = sent.timedOut ? 'timeout' : sent.response.code;
+        endTimer({ code });
+        span.setAttributes({ 'radius.code': code });
+        if (sent.timedOut) span.setStatus('error', 'no reply');
+        return sent;
+    });
+
+    if (reply.timedOut) {
+        return { success: false, timedOut: true, message: 'Authentication server timed out' };
+    }
+
+    const response = reply.response;
+
+    // Check response code
+    if (response.code === 'Access-Accept') {
+        // MS-CHAPv2: the server must prove it knows the password too
+        const proof = credentials.verifyAccept(response.raw_attributes);
+        if (!proof.ok) {
+            console.error(`Rejecting Access-Accept from ${server.name}: ${proof.message}`);
+            return {
+                success: false,
+                message: 'Authentication server could not be verified. Please try again later.',
+                radius: {
+                    code: response.code,
+                    error: proof.message
                 }
-            });
+            };
+        }
 
-            // Set request timeout
-            timeoutId = setTimeout(() => {
-                console.log('RADIUS request timed out');
-                closeSafely();
-                resolve({ success: false, message: 'Authentication server timed out' });
-            }, RADIUS_TIMEOUT_MS);
+        // Extract Filter-Id if present
+        const filterId = response.attributes && response.attributes['Filter-Id']
+            ? response.attributes['Filter-Id']
+            : null;
 
-        } catch (err) {
-            console.error('Failed to create RADIUS request:', err);
-            closeSafely();
-            reject(new Error(`Failed to create authentication request: ${err.message}`));
+        // Class must be echoed unchanged in accounting (RFC 2865 §5.25); it may appear more than once
+        const classes = [].concat(response.attributes['Class'] || []);
+
+        return {
+            success: true,
+            filterId: filterId,
+            classes,
+            acctInterimInterval: response.attributes['Acct-Interim-Interval'] || null,
+            // Full reply, for group policy mapping on attributes other than Filter-Id
+            attributes: response.attributes,
+            // Per-user session lengths in seconds (RFC 2865 §5.27, §5.28)
+            sessionTimeout: response.attributes['Session-Timeout'] || null,
+            idleTimeout: response.attributes['Idle-Timeout'] || null
+        };
+    }
+
+    if (response.code === 'Access-Challenge') {
+        // State is opaque binary (RFC 2865 §5.24) — echo the raw bytes, not the decoded value
+        const stateAttribute = response.raw_attributes.find(([type]) => type === RADIUS_STATE_TYPE);
+        if (!stateAttribute) {
+            console.error(`Access-Challenge from ${server.name} has no State attribute`);
+            return {
+                success: false,
+                message: 'Authentication failed. Please try again.',
+                radius: { code: response.code }
+            };
         }
 
-        // Helper function to safely clear timeout
-        function clearTimeoutSafely() {
-            if (timeoutId) {
-                clearTimeout(timeoutId);
-                timeoutId = null;
+        return {
+            success: false,
+            challenge: {
+                state: stateAttribute[1],
+                message: [].concat(response.attributes['Reply-Message'] || []).join('\n') || null,
+                echo: response.attributes['Prompt'] !== 'No-Echo'
             }
+        };
+    }
+
+    console.log('Authentication failed. Response code:', response.code);
+    const replyMessage = response.attributes && response.attributes['Reply-Message']
+        ? response.attributes['Reply-Message']
+        : undefined;
+    // MS-CHAP-Error carries the reason (expired password, disabled account, ...)
+    const methodError = credentials.describeReject(response.raw_attributes);
+    if (methodError) {
+        console.log(`MS-CHAP error ${methodError.code}: ${methodError.message}`);
+    }
+    return {
+        success: false,
+        message: (methodError && methodError.message) || replyMessage ||
+            `Authentication failed. Please check your credentials.`,
+        radius: {
+            code: response.code,
+            replyMessage,
+            errorCode: methodError ? methodError.code : undefined
         }
+    };
+}
 
-        // Helper function to safely close socket
-        function closeSafely() {
-            if (clientClosed) return;
-            clientClosed = true;
+// Sends one Accounting-Request for an accounting session. The server that accepted the
+// login is tried first, then the rest of the pool. Throws when no server acknowledges it.
+async function sendAccountingRequest(session, attributes) {
+    const candidates = radiusPool.getCandidates();
+    const preferred = candidates.find(s => s.name === session.serverName);
+    const ordered = preferred
+        ? [preferred, ...candidates.filter(s => s !== preferred)]
+        : candidates;
 
-            try {
-                client.removeAllListeners();
-                client.close();
-            } catch (err) {
-                console.error('Error closing socket:', err);
-            }
+    const packet = {
+        code: 'Accounting-Request',
+        attributes: [
+            ...attributes,
+            ...buildNasAttributes({ clientMac: session.clientMac, nodeMac: session.nodeMac, ssid: session.ssid })
+        ]
+    };
+
+    for (const server of ordered) {
+        try {
+            const reply = await sendRadiusPacket(server, packet, {
+                port: server.acctPort,
+                timeoutMs: radiusServerTimeoutMs
+            });
+            if (!reply.timedOut) return;
+            console.log(`RADIUS accounting server ${server.name} timed out, trying next server`);
+        } catch (err) {
+            console.error(`RADIUS accounting server ${server.name} failed: ${err.message}`);
         }
+    }
 
-        function detectServerIP() {
-            try {
-                const ifs = os.networkInterfaces();
-                for (const name of Object.keys(ifs)) {
-                    for (const iface of ifs[name]) {
-                        if (iface.family === 'IPv4' && !iface.internal) {
-                            return iface.address;
-                        }
-                    }
+    throw new Error('No RADIUS accounting server responded');
+}
+
+// ===== RADIUS HEALTH =====
+
+// Status-Server probe (RFC 5997). Any verified reply means the server is up.
+async function probeStatusServer(server, timeoutMs) {
+    const reply = await sendRadiusPacket(server, {
+        code: 'Status-Server',
+        attributes: buildNasAttributes()
+    }, {
+        port: server.port,
+        timeoutMs,
+        messageAuthenticator: true,
+        requireMessageAuthenticator: server.requireMessageAuthenticator
+    });
+
+    return reply.timedOut ? { timedOut: true } : { code: reply.response.code };
+}
+
+// Access-Request probe for servers that ignore Status-Server, using the test user
+async function probeAccessRequest(server, timeoutMs) {
+    const result = await sendAccessRequest(server, TEST_USER, TEST_USER_PASSWORD, {}, timeoutMs);
+    if (result.timedOut) return { timedOut: true };
+
+    if (result.challenge) return { code: 'Access-Challenge' };
+    return { code: result.success ? 'Access-Accept' : 'Access-Reject' };
+}
+
+// Adds each server's probe results to the pool status for /api/health
+function withProbeStatus(servers) {
+    if (!radiusHealth) return servers;
+    const probes = radiusHealth.getStatus();
+    return servers.map(server => ({ ...server, probe: probes[server.name] }));
+}
+
+// Ready when at least one RADIUS server answers its probes. Without probes, the pool's
+// own view (servers not marked dead by failed logins) is used.
+function getRadiusReadiness() {
+    if (!radiusHealth) {
+        const alive = radiusPool.getStatus().filter(s => s.state === 'alive').map(s => s.name);
+        return {
+            ready: alive.length > 0,
+            reason: alive.length > 0 ? null : 'every RADIUS server is marked dead',
+            healthyServers: alive
+        };
+    }
+
+    const { probed, healthy } = radiusHealth.getHealthyServers();
+    if (healthy.length > 0) return { ready: true, reason: null, healthyServers: healthy };
+    return {
+        ready: false,
+        reason: probed ? 'no RADIUS server is answering health probes' : 'waiting for the first health probes',
+        healthyServers: []
+    };
+}
+
+// NAS and station attributes shared by Access-Request and Accounting-Request
+function buildNasAttributes(context = {}) {
+    const attributes = [];
+
+    // Determine NAS-IP-Address
+    const nasIp = NAS_IP_ADDRESS || detectServerIP();
+    if (nasIp) attributes.push(['NAS-IP-Address', nasIp]);
+    if (NAS_IDENTIFIER) attributes.push(['NAS-Identifier', NAS_IDENTIFIER]);
+
+    // Add contextual attributes if provided
+    if (context.clientMac) {
+        attributes.push(['Calling-Station-Id', context.clientMac]);
+    }
+    if (context.nodeMac || context.ssid) {
+        // Called-Station-Id format often AP_MAC:SSID (AP MAC no separators) or AP_MAC:SSID
+        let called = context.nodeMac || '';
+        if (called && called.includes(':')) called = called.toUpperCase().replace(/:/g, '-');
+        if (context.ssid) {
+            called = called ? `${called}:${context.ssid}` : context.ssid;
+        }
+        if (called) attributes.push(['Called-Station-Id', called]);
+    }
+
+    return attributes;
+}
+
+function detectServerIP() {
+    try {
+        const ifs = os.networkInterfaces();
+        for (const name of Object.keys(ifs)) {
+            for (const iface of ifs[name]) {
+                if (iface.family === 'IPv4' && !iface.internal) {
+                    return iface.address;
                 }
-            } catch (e) {
-                if (RADIUS_DEBUG) console.log('Failed to detect server IP:', e.message);
             }
-            return null;
         }
+    } catch (e) {
+        if (RADIUS_DEBUG) console.log('Failed to detect server IP:', e.message);
+    }
+    return null;
+}
+
+// Sends one RADIUS packet over the server's transport and waits up to timeoutMs for a verified reply.
+// Resolves { response } with the decoded reply, or { timedOut: true }; rejects on network errors.
+function sendRadiusPacket(server, packet, options) {
+    if (server.transport === 'radsec') {
+        return radsecClient.request(server, packet, options);
+    }
+    return radiusUdpClient.request(server, packet, options);
+}
+
+// Count and log a reply that failed verification
+function recordDroppedReply(serverName, reason, detail) {
+    radiusDroppedReplies[reason] = (radiusDroppedReplies[reason] || 0) + 1;
+
+    let message = `Dropped RADIUS reply for ${serverName} (${reason})`;
+    if (detail) message += ` ${detail}`;
+    if (reason === 'message-authenticator-missing') {
+        message += ' — set RADIUS_REQUIRE_MESSAGE_AUTHENTICATOR=0 if this server cannot send one';
+    }
+    console.warn(message);
+}
+
+// ===== GRACEFUL SHUTDOWN =====
+// Run after in-flight requests and background tasks have finished (or the deadline passed), in order
+gracefulShutdown.onStop('config watcher', () => configManager.close());
+gracefulShutdown.onStop('radius health probes', () => radiusHealth && radiusHealth.stop());
+gracefulShutdown.onStop('radius accounting', () => radiusAccounting && radiusAccounting.close());
+gracefulShutdown.onStop('radius challenges', () => radiusChallenges.close());
+gracefulShutdown.onStop('radius udp sockets', () => radiusUdpClient.close());
+gracefulShutdown.onStop('radsec connections', () => radsecClient && radsecClient.close());
+gracefulShutdown.onStop('rate limit store', () => rateLimitStore && rateLimitStore.close());
+gracefulShutdown.onStop('radius simulator', () => radiusSimulator && radiusSimulator.close());
+gracefulShutdown.onStop('controller simulator', () => controllerSimulator && controllerSimulator.close());
+gracefulShutdown.onStop('traces', () => tracer.shutdown());
+
+function shutdownGracefully(signal) {
+    if (gracefulShutdown.isDraining()) {
+        // A second Ctrl-C skips the wait
+        if (signal === 'SIGINT') {
+            console.warn('WARNING: second SIGINT — exiting without waiting for the shutdown to finish');
+            logger.close();
+            process.exit(1);
+        }
+        return;
+    }
+
+    logger.info(`${signal} received — draining before exit`, { event: 'shutdown.start', signal, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+    // Disconnect / CoA requests arriving now would be cut off; the RADIUS server retries them
+    if (dynamicAuth) dynamicAuth.close();
+
+    gracefulShutdown.shutdown(signal).then(result => {
+        const clean = result.drained && result.failedSteps.length === 0;
+        const fields = { event: 'shutdown', signal, ...result };
+        if (clean) {
+            logger.info(`Shutdown complete in ${result.durationMs}ms`, fields);
+        } else {
+            logger.warn(`Shutdown finished in ${result.durationMs}ms with unfinished work`, fields);
+        }
+        logger.close();
+        // Exit once stdout has taken the last lines, so they reach CloudWatch
+        process.stdout.write('', () => process.exit(clean ? 0 : 1));
     });
 }
 
 // Start server
-app.listen(port, () => {
+const server = app.listen(PORT, () => {
     console.log(`Server started successfully!`);
     console.log(`Ready to receive connections.`);
-});
\ No newline at end of file
+
+    if (radiusHealth) radiusHealth.start();
+
+    process.on('SIGHUP', () => reloadConfig('SIGHUP'));
+    configManager.watch(() => reloadConfig('file'));
+});
+gracefulShutdown.addServer(server);
+
+process.on('SIGTERM', () => shutdownGracefully('SIGTERM'));
+process.on('SIGINT', () => shutdownGracefully('SIGINT'));
\ No newline at end of file